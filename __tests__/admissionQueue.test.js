@@ -0,0 +1,92 @@
+const { acquireSlot, getQueueStats } = require('../services/admissionQueue');
+
+// Queues are kept per host for the life of the process, so every test gets its own
+let nextHost = 0;
+const newServer = (capacity = 1) => {
+  const host = `node-${nextHost++}:3001`;
+  return { id: host, host, capacity };
+};
+
+describe('acquireSlot', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('admits runs up to capacity straight away', async () => {
+    const server = newServer(2);
+    const onUpdate = jest.fn();
+
+    await acquireSlot(server, { onUpdate });
+    await acquireSlot(server, { onUpdate });
+    expect(onUpdate).not.toHaveBeenCalled();
+  });
+
+  test('admits waiting runs in FIFO order as slots are released', async () => {
+    const server = newServer(1);
+    const admitted = [];
+    const release = await acquireSlot(server);
+
+    const second = acquireSlot(server).then(releaseSecond => { admitted.push('second'); return releaseSecond; });
+    const third = acquireSlot(server).then(releaseThird => { admitted.push('third'); return releaseThird; });
+
+    release();
+    const releaseSecond = await second;
+    expect(admitted).toEqual(['second']);
+
+    releaseSecond();
+    await third;
+    expect(admitted).toEqual(['second', 'third']);
+  });
+
+  test('tells waiting runs their position and an ETA from the average run time', async () => {
+    const server = newServer(1);
+    const release = await acquireSlot(server);
+    const first = jest.fn();
+    const second = jest.fn();
+
+    const admittedFirst = acquireSlot(server, { onUpdate: first });
+    acquireSlot(server, { onUpdate: second });
+
+    // Nothing has finished on the node yet, so runs are assumed to take 30 s
+    expect(first).toHaveBeenLastCalledWith({ position: 1, etaSeconds: 30 });
+    expect(second).toHaveBeenLastCalledWith({ position: 2, etaSeconds: 60 });
+
+    jest.advanceTimersByTime(10000);
+    release();
+    await admittedFirst;
+
+    // A 10 s run pulls the 30 s average down to 24 s
+    expect(second).toHaveBeenLastCalledWith({ position: 1, etaSeconds: 24 });
+    expect(getQueueStats().find(queue => queue.server === server.id).avgRunSeconds).toBe(24);
+  });
+
+  test('removes an aborted run from the queue and moves the others up', async () => {
+    const server = newServer(1);
+    const release = await acquireSlot(server);
+    const controller = new AbortController();
+    const onUpdate = jest.fn();
+
+    const aborted = acquireSlot(server, { signal: controller.signal });
+    const waiting = acquireSlot(server, { onUpdate });
+    expect(onUpdate).toHaveBeenLastCalledWith(expect.objectContaining({ position: 2 }));
+
+    controller.abort();
+    await expect(aborted).rejects.toMatchObject({ name: 'AbortError' });
+    expect(onUpdate).toHaveBeenLastCalledWith(expect.objectContaining({ position: 1 }));
+
+    release();
+    await expect(waiting).resolves.toEqual(expect.any(Function));
+  });
+
+  test('rejects a run whose signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(acquireSlot(newServer(1), { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
@@ -0,0 +1,123 @@
+jest.mock('systeminformation', () => ({
+  currentLoad: jest.fn(),
+  networkStats: jest.fn(),
+  networkInterfaces: jest.fn()
+}));
+// Fake timers replace the global performance object, not the one perf_hooks exports
+jest.mock('perf_hooks', () => ({ performance: { timeOrigin: 0, now: () => Date.now() } }));
+
+const MBPS = 1000000 / 8; // bytes per second in one Mbps
+
+describe('watchHost', () => {
+  let si;
+  let watchHost;
+
+  // Host readings for the sample taken one interval into the transfer; the
+  // baseline sample before it only sets the starting point
+  const readings = ({ cpu = 20, processCpuMs = 100, txMbps = 50, nicSpeed = 1000, sockets = 5 } = {}) => {
+    si.currentLoad.mockResolvedValue({ currentLoad: cpu });
+    si.networkStats.mockResolvedValue([{ rx_sec: 5 * MBPS, tx_sec: txMbps * MBPS }]);
+    si.networkInterfaces.mockResolvedValue({ speed: nicSpeed });
+    jest.spyOn(process, 'cpuUsage')
+      .mockReturnValueOnce({ user: 0, system: 0 })
+      .mockReturnValue({ user: processCpuMs * 800, system: processCpuMs * 200 });
+    jest.spyOn(process, 'getActiveResourcesInfo').mockReturnValue(Array(sockets).fill('TCPSocketWrap'));
+  };
+
+  const watchOneInterval = async () => {
+    const watch = watchHost();
+    await jest.advanceTimersByTimeAsync(1000);
+    return watch.end();
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.resetModules();
+    delete process.env.NODE_NIC_SPEED_MBPS;
+    si = require('systeminformation');
+    ({ watchHost } = require('../services/hostTelemetry'));
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('summarizes a transfer on an idle node as not saturated', async () => {
+    readings();
+
+    expect(await watchOneInterval()).toEqual({
+      samples: 1,
+      cpuPercent: 20,
+      processCpuPercent: 10,
+      rxMbps: 5,
+      txMbps: 50,
+      nicSpeedMbps: 1000,
+      nicUtilization: 0.05,
+      sockets: 5,
+      saturation: [],
+      saturated: false
+    });
+  });
+
+  test('flags host CPU, process CPU and NIC limits at 90%', async () => {
+    readings({ cpu: 95, processCpuMs: 900, txMbps: 900 });
+
+    const summary = await watchOneInterval();
+    expect(summary.saturation).toEqual(['cpu', 'process_cpu', 'nic']);
+    expect(summary.saturated).toBe(true);
+  });
+
+  test('flags the process CPU alone, which saturates at one core on an idle host', async () => {
+    readings({ cpu: 30, processCpuMs: 990 });
+
+    expect((await watchOneInterval()).saturation).toEqual(['process_cpu']);
+  });
+
+  test('flags the open socket limit', async () => {
+    readings({ sockets: 1000 });
+
+    expect((await watchOneInterval()).saturation).toEqual(['sockets']);
+  });
+
+  test('leaves NIC utilization out when the interface reports no speed', async () => {
+    readings({ txMbps: 5000, nicSpeed: -1 });
+
+    const summary = await watchOneInterval();
+    expect(summary).toMatchObject({ nicSpeedMbps: null, nicUtilization: null, saturated: false });
+  });
+
+  test('uses NODE_NIC_SPEED_MBPS over the interface speed', async () => {
+    process.env.NODE_NIC_SPEED_MBPS = '100';
+    readings({ txMbps: 95, nicSpeed: 10000 });
+
+    expect(await watchOneInterval()).toMatchObject({ nicSpeedMbps: 100, nicUtilization: 0.95, saturation: ['nic'] });
+    expect(si.networkInterfaces).not.toHaveBeenCalled();
+  });
+
+  test('reports peaks over every sample taken during the transfer', async () => {
+    readings();
+    const watch = watchHost();
+    await jest.advanceTimersByTimeAsync(1000);
+
+    si.currentLoad.mockResolvedValue({ currentLoad: 92 });
+    await jest.advanceTimersByTimeAsync(1000);
+
+    si.currentLoad.mockResolvedValue({ currentLoad: 10 });
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(watch.end()).toMatchObject({ samples: 3, cpuPercent: 92, saturation: ['cpu'] });
+  });
+
+  test('has no summary before the first sample, and only one per watch', async () => {
+    readings();
+    const watch = watchHost();
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(watch.end()).toBeNull();
+
+    const next = watchHost();
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(next.end()).not.toBeNull();
+    expect(next.end()).toBeNull();
+  });
+});
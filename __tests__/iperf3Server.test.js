@@ -0,0 +1,220 @@
+jest.mock('../services/hostTelemetry', () => ({ watchHost: () => ({ end: () => null }) }));
+
+const crypto = require('crypto');
+const net = require('net');
+
+// Keep the payload pool small; it is generated when the module loads
+process.env.PAYLOAD_POOL_MB = '1';
+const { parseAllowList, createIperf3Server } = require('../services/iperf3Server');
+
+const STATE = {
+  TEST_START: 1,
+  TEST_RUNNING: 2,
+  TEST_END: 4,
+  PARAM_EXCHANGE: 9,
+  CREATE_STREAMS: 10,
+  EXCHANGE_RESULTS: 13,
+  DISPLAY_RESULTS: 14,
+  IPERF_DONE: 16,
+  ACCESS_DENIED: -1,
+  SERVER_ERROR: -2
+};
+
+// iperf3 cookies are 36 characters and a NUL
+const newCookie = () => Buffer.from(`${crypto.randomUUID().replace(/-/g, '')}abcd\0`, 'latin1');
+
+const frameJSON = (value) => {
+  const body = Buffer.from(JSON.stringify(value));
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(body.length);
+  return Buffer.concat([length, body]);
+};
+
+// Reads exact byte counts off a client socket: states are one signed byte, JSON
+// messages a 4-byte length and the text
+const byteReader = (socket) => {
+  let buffer = Buffer.alloc(0);
+  const waiting = [];
+  const check = () => {
+    while (waiting.length > 0 && buffer.length >= waiting[0].length) {
+      const { length, resolve } = waiting.shift();
+      resolve(buffer.subarray(0, length));
+      buffer = buffer.subarray(length);
+    }
+  };
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    check();
+  });
+
+  const read = (length) => new Promise(resolve => {
+    waiting.push({ length, resolve });
+    check();
+  });
+  return {
+    read,
+    state: async () => (await read(1)).readInt8(0),
+    json: async () => JSON.parse(await read((await read(4)).readUInt32BE(0)))
+  };
+};
+
+const connect = (port) => new Promise((resolve, reject) => {
+  const socket = net.connect(port, '127.0.0.1', () => resolve(socket));
+  socket.on('error', reject);
+});
+
+const pause = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// One iperf3 client run: TCP with `params`, sending `bytesPerStream` on each
+// stream unless reversed. Returns the states seen and the server's results.
+async function runClient(port, params, { bytesPerStream = 0 } = {}) {
+  const cookie = newCookie();
+  const control = await connect(port);
+  const reader = byteReader(control);
+  const states = [];
+
+  control.write(cookie);
+  states.push(await reader.state());
+  control.write(frameJSON({ tcp: true, time: 1, client_version: '3.16', ...params }));
+  states.push(await reader.state());
+
+  const streams = [];
+  for (let i = 0; i < (params.parallel || 1); i++) {
+    const stream = await connect(port);
+    stream.write(cookie);
+    streams.push(stream);
+  }
+
+  states.push(await reader.state(), await reader.state());
+  streams.forEach(stream => stream.write(Buffer.alloc(bytesPerStream)));
+  await pause(100);
+
+  control.write(Buffer.from([STATE.TEST_END]));
+  states.push(await reader.state());
+  control.write(frameJSON({ streams: streams.map((stream, index) => ({ id: index + 1, bytes: bytesPerStream })) }));
+  const serverResults = await reader.json();
+  states.push(await reader.state());
+  // The server reports the run before it closes the control connection
+  const closed = new Promise(resolve => control.once('end', resolve));
+  control.write(Buffer.from([STATE.IPERF_DONE]));
+  await closed;
+
+  streams.forEach(stream => stream.destroy());
+  control.destroy();
+  return { states, serverResults };
+}
+
+describe('parseAllowList', () => {
+  test('matches listed addresses and CIDR ranges in both families', () => {
+    const { allow, entries, invalid } = parseAllowList(' 203.0.113.0/24, 2001:db8::/32 ,198.51.100.7,,');
+
+    expect(entries).toEqual(['203.0.113.0/24', '2001:db8::/32', '198.51.100.7']);
+    expect(invalid).toEqual([]);
+    expect(allow.check('203.0.113.200', 'ipv4')).toBe(true);
+    expect(allow.check('203.0.114.1', 'ipv4')).toBe(false);
+    expect(allow.check('198.51.100.7', 'ipv4')).toBe(true);
+    expect(allow.check('198.51.100.8', 'ipv4')).toBe(false);
+    expect(allow.check('2001:db8:ffff::1', 'ipv6')).toBe(true);
+    expect(allow.check('2001:db9::1', 'ipv6')).toBe(false);
+  });
+
+  test('lists entries that are not addresses or have an out-of-range prefix as invalid', () => {
+    const { entries, invalid } = parseAllowList('10.0.0.0/33,::/129,10.0.0.0/x,10.0.0.0/-1,example.com,10.0.0.0/8,0.0.0.0/0');
+
+    expect(invalid).toEqual(['10.0.0.0/33', '::/129', '10.0.0.0/x', '10.0.0.0/-1', 'example.com']);
+    expect(entries).toEqual(['10.0.0.0/8', '0.0.0.0/0']);
+  });
+
+  test('allows nobody without a list', () => {
+    const { allow, entries } = parseAllowList(undefined);
+
+    expect(entries).toEqual([]);
+    expect(allow.check('127.0.0.1', 'ipv4')).toBe(false);
+  });
+});
+
+describe('iperf3 server', () => {
+  let server;
+  let port;
+  let onResult;
+
+  const listen = async (allowList) => {
+    onResult = jest.fn();
+    server = createIperf3Server({ serverId: 'node-1', allow: parseAllowList(allowList).allow, onResult });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('sends access denied to addresses off the allow list', async () => {
+    await listen('192.0.2.0/24');
+    const socket = await connect(port);
+
+    expect(await byteReader(socket).state()).toBe(STATE.ACCESS_DENIED);
+    socket.destroy();
+  });
+
+  test('runs the control exchange and counts what each stream uploads', async () => {
+    await listen('127.0.0.0/8');
+    const { states, serverResults } = await runClient(port, { parallel: 2 }, { bytesPerStream: 50000 });
+
+    expect(states).toEqual([
+      STATE.PARAM_EXCHANGE,
+      STATE.CREATE_STREAMS,
+      STATE.TEST_START,
+      STATE.TEST_RUNNING,
+      STATE.EXCHANGE_RESULTS,
+      STATE.DISPLAY_RESULTS
+    ]);
+    // iperf3 numbers streams 1, 3, 4, ...; retransmits are unknown without TCP_INFO
+    expect(serverResults.sender_has_retransmits).toBe(-1);
+    expect(serverResults.streams.map(({ id, bytes, retransmits }) => ({ id, bytes, retransmits }))).toEqual([
+      { id: 1, bytes: 50000, retransmits: -1 },
+      { id: 3, bytes: 50000, retransmits: -1 }
+    ]);
+  });
+
+  test('pairs an upload and a -R download that share an --extra-data label', async () => {
+    await listen('127.0.0.1');
+    await runClient(port, { extra_data: 'router-7' }, { bytesPerStream: 20000 });
+    expect(onResult).not.toHaveBeenCalled();
+
+    const { serverResults } = await runClient(port, { extra_data: 'router-7', reverse: true, len: 16384 });
+    expect(serverResults.sender_has_retransmits).toBe(0);
+    expect(serverResults.streams[0].bytes % 16384).toBe(0);
+    expect(onResult).toHaveBeenCalledTimes(1);
+    const result = onResult.mock.calls[0][0];
+    expect(result).toMatchObject({ serverId: 'node-1', clientIP: '127.0.0.1', userAgent: 'iperf3/3.16' });
+    expect(result.upload).toMatchObject({ test: 'upload', bytes: 20000, clientBytes: 20000, streams: 1, completed: true });
+    expect(result.download).toMatchObject({ test: 'download', streams: 1, completed: true });
+    expect(result.download.bytes).toBe(serverResults.streams[0].bytes);
+  });
+
+  test.each([
+    [{ udp: true }, 13],
+    [{ bidirectional: true }, 13],
+    [{ parallel: 17 }, 6],
+    [{ time: 61 }, 5]
+  ])('refuses %j with iperf3 error %i before streams open', async (params, errno) => {
+    await listen('127.0.0.1');
+    const control = await connect(port);
+    const reader = byteReader(control);
+
+    control.write(newCookie());
+    expect(await reader.state()).toBe(STATE.PARAM_EXCHANGE);
+    control.write(frameJSON({ tcp: true, time: 1, ...params }));
+
+    const error = await reader.read(9);
+    expect(error.readInt8(0)).toBe(STATE.SERVER_ERROR);
+    expect(error.readInt32BE(1)).toBe(errno);
+    control.destroy();
+  });
+});
@@ -0,0 +1,85 @@
+const { LinkShaper } = require('../services/linkEmulator');
+
+const link = (fields) => ({
+  name: 'custom',
+  downloadMbps: 0,
+  uploadMbps: 0,
+  latencyMs: 0,
+  jitterMs: 0,
+  lossPercent: 0,
+  seed: 1,
+  ...fields
+});
+
+describe('LinkShaper.reserve', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('lets the first burst through and paces the bytes after it', () => {
+    // 8 Mbps is 1000 bytes/ms, with the 16 KiB minimum bucket
+    const shaper = new LinkShaper(link({ downloadMbps: 8 }));
+
+    expect(shaper.reserve('download', 16 * 1024)).toBe(0);
+    expect(shaper.reserve('download', 1000)).toBe(1);
+    expect(shaper.reserve('download', 4000)).toBe(5);
+  });
+
+  test('delivers the payload at exactly the link rate whatever the chunk size', () => {
+    const shaper = new LinkShaper(link({ downloadMbps: 80 }));
+    const chunks = [65536, 1448, 300000, 7, 16384, 1048576, 12345];
+    const totalBytes = chunks.reduce((sum, bytes) => sum + bytes, 0);
+    const start = Date.now();
+    let sentAt = start;
+
+    for (const bytes of chunks) {
+      const wait = shaper.reserve('download', bytes);
+      sentAt = Date.now() + wait;
+      jest.advanceTimersByTime(wait);
+    }
+
+    // 80 Mbps is 10000 bytes/ms; everything past the initial burst waits its turn.
+    // The fake clock moves in whole milliseconds, and the debt carried between
+    // chunks keeps that rounding from adding up.
+    const capacity = shaper.buckets.download.capacity;
+    expect(Math.abs(sentAt - start - (totalBytes - capacity) / 10000)).toBeLessThan(1);
+  });
+
+  test('refills the bucket while the sender is idle', () => {
+    const shaper = new LinkShaper(link({ downloadMbps: 8 }));
+
+    expect(shaper.reserve('download', 20384)).toBe(4);
+    jest.advanceTimersByTime(20);
+    expect(shaper.reserve('download', 16000)).toBe(0);
+  });
+
+  test('leaves a direction without a rate unshaped', () => {
+    const shaper = new LinkShaper(link({ downloadMbps: 8 }));
+
+    expect(shaper.buckets.upload).toBeNull();
+    expect(shaper.reserve('upload', 10 * 1024 * 1024)).toBe(0);
+  });
+
+  test('adds a round trip for every lost segment', () => {
+    const lossy = new LinkShaper(link({ latencyMs: 40, lossPercent: 100 }));
+    expect(lossy.reserve('download', 1448 * 3)).toBe(120);
+    expect(lossy.reserve('download', 1449)).toBe(80);
+
+    // A retransmit costs at least a millisecond on a link without added latency
+    const fast = new LinkShaper(link({ lossPercent: 100 }));
+    expect(fast.reserve('upload', 1448 * 5)).toBe(5);
+  });
+
+  test('reproduces the same losses for the same seed', () => {
+    const waits = (seed) => {
+      const shaper = new LinkShaper(link({ latencyMs: 30, jitterMs: 10, lossPercent: 5, seed }));
+      return Array.from({ length: 20 }, () => shaper.reserve('download', 64 * 1024));
+    };
+
+    expect(waits(7)).toEqual(waits(7));
+    expect(waits(7)).not.toEqual(waits(8));
+  });
+});
@@ -0,0 +1,126 @@
+jest.mock('../services/hostTelemetry', () => ({ watchHost: () => ({ end: () => null }) }));
+
+const http = require('http');
+const WebSocket = require('ws');
+const { createNdt7Server, NDT7_SUBPROTOCOL } = require('../services/ndt7Server');
+
+const KiB = 1024;
+
+// A node that routes every upgrade to ndt7 with the given handleUpgrade options
+const startNode = async (options = {}) => {
+  const ndt7 = createNdt7Server({ serverId: 'node-1', onResult: () => {} });
+  const server = http.createServer();
+  server.on('upgrade', (req, socket, head) => {
+    req.ip = req.socket.remoteAddress;
+    req.query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+    ndt7.handleUpgrade(req, socket, head, options);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+};
+
+const connect = (server, path, protocols = NDT7_SUBPROTOCOL) =>
+  new WebSocket(`ws://127.0.0.1:${server.address().port}${path}`, protocols);
+
+// Binary message sizes, measurement messages and the close code of one subtest
+const record = (ws) => new Promise((resolve, reject) => {
+  const binary = [];
+  const measurements = [];
+  ws.on('message', (data, isBinary) => {
+    if (isBinary) binary.push(data.length);
+    else measurements.push(JSON.parse(data));
+  });
+  ws.on('close', (code, reason) => resolve({ binary, measurements, code, reason: String(reason) }));
+  ws.on('error', reject);
+});
+
+const rejectedStatus = (ws) => new Promise(resolve => {
+  ws.on('unexpected-response', (req, res) => resolve(res.statusCode));
+  ws.on('error', () => {});
+});
+
+describe('ndt7 server', () => {
+  let server;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('refuses unknown subtests and clients without the ndt7 subprotocol', async () => {
+    server = await startNode();
+
+    expect(await rejectedStatus(connect(server, '/ndt/v7/other'))).toBe(404);
+    expect(await rejectedStatus(connect(server, '/ndt/v7/download', []))).toBe(400);
+  });
+
+  test('frames the download as binary messages that start at 8 KiB and double as the transfer grows', async () => {
+    const limit = 3 * 1024 * KiB;
+    server = await startNode({ limit });
+    const ws = connect(server, '/ndt/v7/download');
+    const { binary, code } = await record(ws);
+
+    expect(ws.protocol).toBe(NDT7_SUBPROTOCOL);
+    expect(code).toBe(1000);
+    expect(binary.reduce((sum, size) => sum + size, 0)).toBe(limit);
+    expect(binary[0]).toBe(8 * KiB);
+
+    // Every message but the last (cut to the budget) is a power of two no smaller
+    // than the one before, and a size is only reached once 8 times it has been sent
+    let sent = 0;
+    binary.slice(0, -1).forEach((size, index) => {
+      expect(Math.log2(size) % 1).toBe(0);
+      if (index > 0) expect(size).toBeGreaterThanOrEqual(binary[index - 1]);
+      if (size > 8 * KiB) expect(sent).toBeGreaterThanOrEqual(8 * size);
+      sent += size;
+    });
+    expect(Math.max(...binary)).toBeGreaterThan(8 * KiB);
+  });
+
+  test('counts uploaded bytes and reports them in JSON measurements', async () => {
+    let ended;
+    const onEnd = new Promise(resolve => { ended = resolve; });
+    server = await startNode({ onEnd: ended });
+    const ws = connect(server, '/ndt/v7/upload');
+    const measured = new Promise(resolve => ws.once('message', data => resolve(JSON.parse(data))));
+    const closed = record(ws);
+
+    await new Promise(resolve => ws.once('open', resolve));
+    ws.send(Buffer.alloc(64 * KiB));
+    ws.send(Buffer.alloc(16 * KiB));
+    // Text messages are the client's own measurements and don't count as payload
+    ws.send(JSON.stringify({ AppInfo: { ElapsedTime: 1000, NumBytes: 80 * KiB } }));
+
+    const first = await measured;
+    expect(first).toMatchObject({ Origin: 'server', Test: 'upload' });
+    expect(first.AppInfo).toEqual({ ElapsedTime: expect.any(Number), NumBytes: expect.any(Number) });
+    expect(first.ConnectionInfo).toMatchObject({
+      Client: expect.stringMatching(/^127\.0\.0\.1:\d+$/),
+      Server: `127.0.0.1:${server.address().port}`,
+      UUID: expect.any(String)
+    });
+
+    ws.close(1000);
+    expect((await closed).code).toBe(1000);
+    expect((await onEnd).bytes).toBe(80 * KiB);
+  });
+
+  test('closes an upload that goes over the ticket budget', async () => {
+    let ended;
+    const onEnd = new Promise(resolve => { ended = resolve; });
+    server = await startNode({ limit: 32 * KiB, onEnd: ended });
+    const ws = connect(server, '/ndt/v7/upload');
+    const closed = record(ws);
+
+    await new Promise(resolve => ws.once('open', resolve));
+    ws.send(Buffer.alloc(16 * KiB));
+    ws.send(Buffer.alloc(32 * KiB));
+
+    expect(await closed).toMatchObject({ code: 1008, reason: 'Ticket upload budget exceeded' });
+    expect((await onEnd).bytes).toBe(48 * KiB);
+  });
+});
@@ -0,0 +1,111 @@
+const { EventEmitter } = require('events');
+
+// Keep the pool small; it is generated when the module loads
+process.env.PAYLOAD_POOL_MB = '1';
+const { streamPayload, payloadSlice } = require('../services/payloadPool');
+
+const MB = 1024 * 1024;
+
+// Response double; `flushes(writeCount)` decides whether each write fits the socket buffer
+const fakeResponse = (flushes = () => true) => {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.destroyed = false;
+  res.write = jest.fn(chunk => {
+    res.chunks.push(chunk);
+    return flushes(res.chunks.length);
+  });
+  res.end = jest.fn();
+  return res;
+};
+
+const sentBytes = (res) => res.chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+
+describe('streamPayload', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('writes exactly the requested bytes in chunk-sized slices, then ends', () => {
+    const res = fakeResponse();
+    const onChunk = jest.fn();
+
+    streamPayload(res, 100000, { chunkSize: 30000, onChunk });
+
+    expect(res.chunks.map(chunk => chunk.length)).toEqual([30000, 30000, 30000, 10000]);
+    expect(onChunk.mock.calls.map(([bytes]) => bytes)).toEqual([30000, 30000, 30000, 10000]);
+    expect(res.end).toHaveBeenCalledTimes(1);
+  });
+
+  test('serves more than the pool holds by wrapping around it, without copying', () => {
+    const res = fakeResponse();
+
+    streamPayload(res, 3 * MB);
+
+    expect(sentBytes(res)).toBe(3 * MB);
+    expect(new Set(res.chunks.map(chunk => chunk.buffer)).size).toBe(1);
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  test('waits for drain when the socket buffer is full and reports the stall', () => {
+    jest.useFakeTimers();
+    const res = fakeResponse(count => count !== 2);
+    const onStall = jest.fn();
+
+    streamPayload(res, 4 * 1000, { chunkSize: 1000, onStall });
+    expect(res.chunks).toHaveLength(2);
+
+    jest.advanceTimersByTime(25);
+    res.emit('drain');
+
+    expect(onStall).toHaveBeenCalledWith(25);
+    expect(sentBytes(res)).toBe(4000);
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  test('holds each chunk for the wait the link reserves', () => {
+    jest.useFakeTimers();
+    const res = fakeResponse();
+    const reserve = jest.fn(() => 10);
+
+    streamPayload(res, 3000, { chunkSize: 1000, reserve });
+    expect(res.chunks).toHaveLength(0);
+
+    jest.advanceTimersByTime(10);
+    expect(res.chunks).toHaveLength(1);
+
+    jest.advanceTimersByTime(20);
+    expect(sentBytes(res)).toBe(3000);
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  test('gives other requests a turn after 4 MiB in one go', async () => {
+    const res = fakeResponse();
+
+    streamPayload(res, 5 * MB, { chunkSize: MB / 2 });
+    expect(sentBytes(res)).toBe(4 * MB);
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(sentBytes(res)).toBe(5 * MB);
+  });
+
+  test('stops writing once the response is destroyed', () => {
+    const res = fakeResponse(count => {
+      if (count === 3) res.destroyed = true;
+      return true;
+    });
+
+    streamPayload(res, 10000, { chunkSize: 1000 });
+
+    expect(res.chunks).toHaveLength(3);
+    expect(res.end).not.toHaveBeenCalled();
+  });
+});
+
+describe('payloadSlice', () => {
+  test('returns a slice of the pool, capped at the pool size', () => {
+    expect(payloadSlice(4096)).toHaveLength(4096);
+    expect(payloadSlice(4096).buffer).toBe(payloadSlice(1).buffer);
+    expect(payloadSlice(2 * MB)).toHaveLength(MB);
+  });
+});
@@ -0,0 +1,56 @@
+const { estimateVoipMos, calculateExperienceScores } = require('../utils/scoring');
+
+describe('estimateVoipMos', () => {
+  test('rates an ideal path near the G.711 ceiling', () => {
+    expect(estimateVoipMos({ latency: 0 })).toEqual({ rFactor: 92.72, mos: 4.4, rating: 'great' });
+  });
+
+  test('applies the extra delay impairment past 177.3 ms one way', () => {
+    // 400 ms RTT + 2 x 20 ms jitter buffer + 20 ms codec = 260 ms one way
+    expect(estimateVoipMos({ latency: 400, jitter: 20 })).toEqual({ rFactor: 77.86, mos: 3.94, rating: 'okay' });
+  });
+
+  test('applies the equipment impairment for packet loss', () => {
+    expect(estimateVoipMos({ latency: 40, packetLoss: 5 })).toEqual({ rFactor: 76.46, mos: 3.88, rating: 'okay' });
+  });
+
+  test('stays within the MOS scale', () => {
+    expect(estimateVoipMos({ latency: 20, packetLoss: 100 }).rating).toBe('poor');
+    expect(estimateVoipMos({ latency: 5000, packetLoss: 100 }).mos).toBe(1);
+  });
+
+  test('gets worse as latency grows', () => {
+    const moses = [20, 100, 200, 400].map(latency => estimateVoipMos({ latency }).mos);
+    expect([...moses].sort((a, b) => b - a)).toEqual(moses);
+  });
+});
+
+describe('calculateExperienceScores', () => {
+  test('leaves VoIP unrated without a latency measurement', () => {
+    expect(calculateExperienceScores({ download: 100 }).voip).toBeNull();
+  });
+
+  test('names the metric that limits a use case', () => {
+    const experience = calculateExperienceScores({ download: 100, upload: 20, latency: 90, jitter: 2, packetLoss: 0 });
+
+    expect(experience.competitiveGaming.rating).toBe('poor');
+    expect(experience.competitiveGaming.limitedBy).toBe('latency');
+    expect(experience.streaming4k.rating).toBe('great');
+  });
+
+  test('leaves every use case unrated without measurements', () => {
+    const experience = calculateExperienceScores({});
+
+    for (const useCase of ['streaming4k', 'videoCalls', 'competitiveGaming', 'browsing']) {
+      expect(experience[useCase]).toMatchObject({ score: null, rating: null });
+    }
+  });
+
+  test('leaves calls and gaming unrated for a download-only result', () => {
+    const experience = calculateExperienceScores({ download: 300 });
+
+    expect(experience.streaming4k.rating).toBe('great');
+    expect(experience.videoCalls).toMatchObject({ rating: null, unmeasured: ['upload', 'latency'] });
+    expect(experience.competitiveGaming).toMatchObject({ rating: null, unmeasured: ['latency'] });
+  });
+});
@@ -0,0 +1,43 @@
+const { hashSeed, createSeededRandom } = require('../utils/seededRandom');
+
+const draw = (random, count) => Array.from({ length: count }, () => random.next());
+
+describe('createSeededRandom', () => {
+  test('repeats the same sequence for the same seed', () => {
+    expect(draw(createSeededRandom('lab-1'), 20)).toEqual(draw(createSeededRandom('lab-1'), 20));
+    expect(draw(createSeededRandom(42), 20)).toEqual(draw(createSeededRandom('42'), 20));
+  });
+
+  test('gives different seeds different sequences', () => {
+    expect(draw(createSeededRandom('lab-1'), 5)).not.toEqual(draw(createSeededRandom('lab-2'), 5));
+  });
+
+  test('draws within [0, 1) and the requested range', () => {
+    const random = createSeededRandom('range');
+    draw(random, 1000).forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+
+    const between = random.between(10, 20);
+    expect(between).toBeGreaterThanOrEqual(10);
+    expect(between).toBeLessThan(20);
+  });
+
+  test('repeats normal() and chance() draws too', () => {
+    const a = createSeededRandom('mixed');
+    const b = createSeededRandom('mixed');
+
+    expect([a.normal(50, 5), a.chance(0.5), a.between(1, 2)]).toEqual([b.normal(50, 5), b.chance(0.5), b.between(1, 2)]);
+  });
+});
+
+describe('hashSeed', () => {
+  test('is an unsigned 32-bit integer', () => {
+    const hash = hashSeed('anything');
+
+    expect(Number.isInteger(hash)).toBe(true);
+    expect(hash).toBeGreaterThanOrEqual(0);
+    expect(hash).toBeLessThan(2 ** 32);
+  });
+});
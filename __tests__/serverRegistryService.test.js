@@ -0,0 +1,83 @@
+jest.mock('../models', () => ({ ServerNode: {} }));
+
+const crypto = require('crypto');
+const { readNodePayload } = require('../services/serverRegistryService');
+const { signTicket, deriveNodeKey } = require('../utils/testTicket');
+
+const SECRET = 'test-secret';
+
+const nodeToken = (claims = {}, key = deriveNodeKey(SECRET)) => signTicket({
+  type: 'node',
+  nonce: crypto.randomUUID(),
+  serverId: 'node-1',
+  expiresAt: Date.now() + 60000,
+  ...claims
+}, key);
+
+// The registry error readNodePayload throws, or null when the body is accepted
+const rejection = (body) => {
+  try {
+    readNodePayload(body);
+    return null;
+  } catch (error) {
+    return { status: error.status, message: error.message };
+  }
+};
+
+describe('readNodePayload', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.TEST_TICKET_SECRET = SECRET;
+    process.env.NODE_ENV = 'test';
+  });
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  test('returns the claims of a signed node message', () => {
+    expect(readNodePayload({ token: nodeToken({ load: 3 }) })).toMatchObject({ serverId: 'node-1', load: 3 });
+  });
+
+  test('refuses a token replayed with the same nonce', () => {
+    const token = nodeToken();
+
+    expect(rejection({ token })).toBeNull();
+    expect(rejection({ token })).toEqual({ status: 401, message: 'Invalid node token: already used' });
+    expect(rejection({ token: nodeToken() })).toBeNull();
+  });
+
+  test('only accepts messages signed with the derived node key', () => {
+    // A client ticket is signed with the plain secret and can't pass as a node message
+    expect(rejection({ token: nodeToken({}, SECRET) })).toEqual({ status: 401, message: 'Invalid node token: Invalid signature' });
+    expect(rejection({ token: nodeToken({ type: 'ticket' }) })).toEqual({ status: 401, message: 'Invalid node token: not a node message' });
+    expect(rejection({ token: nodeToken({ nonce: undefined }) })).toEqual({ status: 401, message: 'Invalid node token: not a node message' });
+  });
+
+  test('only accepts expiry times within the two minute window', () => {
+    expect(rejection({ token: nodeToken({ expiresAt: Date.now() - 1 }) }).message).toBe('Invalid node token: Ticket expired');
+    expect(rejection({ token: nodeToken({ expiresAt: undefined }) }).message).toBe('Invalid node token: expiry out of range');
+    expect(rejection({ token: nodeToken({ expiresAt: Date.now() + 3 * 60 * 1000 }) }).message).toBe('Invalid node token: expiry out of range');
+    expect(rejection({ token: nodeToken({ expiresAt: Date.now() + 2 * 60 * 1000 - 1000 }) })).toBeNull();
+  });
+
+  test('needs the secret to check signed messages', () => {
+    delete process.env.TEST_TICKET_SECRET;
+
+    expect(rejection({ token: nodeToken() })).toEqual({
+      status: 503,
+      message: 'Signed node requests need TEST_TICKET_SECRET on the backend'
+    });
+  });
+
+  test('accepts unsigned bodies only without a secret outside production', () => {
+    const body = { serverId: 'node-1' };
+    expect(rejection(body)).toEqual({ status: 401, message: 'Node requests must be signed' });
+
+    delete process.env.TEST_TICKET_SECRET;
+    expect(readNodePayload(body)).toBe(body);
+
+    process.env.NODE_ENV = 'production';
+    expect(rejection(body)).toEqual({ status: 401, message: 'Node requests must be signed' });
+  });
+});
@@ -0,0 +1,147 @@
+jest.mock('../models', () => ({
+  SpeedTestRun: { create: jest.fn().mockResolvedValue({}), findOne: jest.fn() }
+}));
+jest.mock('../services/webSocketService', () => ({ broadcastToSession: jest.fn() }));
+
+const { startRun, getRun, cancelRun } = require('../services/speedTestRunService');
+const { broadcastToSession } = require('../services/webSocketService');
+
+// An engine that reports the given stages and then runs until it's aborted
+const stagedExecute = (stages) => ({ onStage }) => {
+  stages.forEach(stage => onStage(stage, { results: {} }));
+  return new Promise(() => {});
+};
+
+const start = (execute, options = {}) => startRun({
+  engine: 'custom',
+  sessionToken: 'session-1',
+  config: {},
+  execute,
+  complete: jest.fn(),
+  timeoutMs: 1000,
+  queueTimeoutMs: 5000,
+  ...options
+});
+
+describe('startRun end states', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('completes with the saved test', async () => {
+    const complete = jest.fn().mockResolvedValue({ speedTest: { _id: 'test-1' }, response: { ok: true } });
+    const run = start(async () => ({ results: {} }), { complete });
+
+    await run.done;
+    expect(run.status).toBe('completed');
+    expect(run.speedTestId).toBe('test-1');
+    expect((await getRun(run.runId)).result).toEqual({ ok: true });
+  });
+
+  test('fails when the engine reports an error', async () => {
+    const complete = jest.fn();
+    const run = start(async () => ({ error: 'No server', results: { download: null } }), { complete });
+
+    await run.done;
+    expect(run.status).toBe('failed');
+    expect(run.error).toBe('No server');
+    expect(complete).not.toHaveBeenCalled();
+  });
+
+  test('is cancelled by the client, which aborts the engine signal', async () => {
+    let signal;
+    const run = start((hooks) => {
+      signal = hooks.signal;
+      hooks.onStage('download_test', { results: { latency: { avg: 20 } } });
+      return new Promise(() => {});
+    });
+
+    const state = await cancelRun(run.runId);
+    expect(signal.aborted).toBe(true);
+    expect(state).toMatchObject({ status: 'cancelled', stage: 'download_test', cancelReason: 'cancelled' });
+    expect(state.partialResults).toEqual({ latency: { avg: 20 } });
+  });
+
+  test('fails on timeout with the partial results kept', async () => {
+    const run = start(stagedExecute(['latency_test']), { timeoutMs: 2000 });
+
+    await jest.advanceTimersByTimeAsync(2000);
+    await run.done;
+    expect(run.status).toBe('failed');
+    expect(run.error).toBe('Speed test timeout after 2 seconds');
+    expect(run.partialResults).toEqual({});
+  });
+
+  test('cannot cancel a run that has finished', async () => {
+    const run = start(async () => ({ error: 'No server' }));
+    await run.done;
+
+    expect(await cancelRun(run.runId)).toBeNull();
+  });
+});
+
+describe('startRun queueing', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    broadcastToSession.mockClear();
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('does not run the test timeout while the run waits in the queue', async () => {
+    const run = start(stagedExecute(['server_selection', 'queued']));
+
+    await jest.advanceTimersByTimeAsync(4999);
+    expect(run.status).toBe('queued');
+
+    await jest.advanceTimersByTimeAsync(1);
+    await run.done;
+    expect(run.status).toBe('failed');
+    expect(run.cancelReason).toBe('queue_timeout');
+    expect(run.error).toBe('Speed test waited for a server slot for more than 5 seconds');
+  });
+
+  test('starts the test timeout on admission', async () => {
+    let admit;
+    const run = start(({ onStage }) => {
+      onStage('queued', { results: {} });
+      admit = () => onStage('latency_test', { results: {} });
+      return new Promise(() => {});
+    });
+
+    await jest.advanceTimersByTimeAsync(3000);
+    admit();
+    expect(run.status).toBe('running');
+    expect(broadcastToSession).toHaveBeenCalledWith('session-1', { type: 'speedtest_admitted', runId: run.runId });
+
+    await jest.advanceTimersByTimeAsync(999);
+    expect(run.status).toBe('running');
+
+    await jest.advanceTimersByTimeAsync(1);
+    await run.done;
+    expect(run.status).toBe('failed');
+    expect(run.cancelReason).toBe('timeout');
+  });
+
+  test('broadcasts queue updates to the session', () => {
+    const run = start(({ onStage, onQueue }) => {
+      onStage('queued', { results: {} });
+      onQueue({ position: 2, etaSeconds: 60 });
+      return new Promise(() => {});
+    });
+
+    expect(run.queue).toMatchObject({ position: 2, etaSeconds: 60 });
+    expect(broadcastToSession).toHaveBeenCalledWith('session-1', {
+      type: 'speedtest_queued', runId: run.runId, position: 2, etaSeconds: 60
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const { createSubtestPairing } = require('../services/subtestPairing');
+
+describe('createSubtestPairing', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  const base = { serverId: 'node-a', clientIP: '192.0.2.1' };
+  const download = { test: 'download', mbps: 100 };
+  const upload = { test: 'upload', mbps: 20 };
+
+  test('pairs a download and an upload from the same client', () => {
+    const onResult = jest.fn();
+    const collect = createSubtestPairing(onResult);
+
+    collect('ticket:t1', base, download);
+    expect(onResult).not.toHaveBeenCalled();
+
+    collect('ticket:t1', base, upload);
+    expect(onResult).toHaveBeenCalledTimes(1);
+    expect(onResult).toHaveBeenCalledWith({ ...base, download, upload });
+  });
+
+  test('reports a lone subtest once the window closes', () => {
+    const onResult = jest.fn();
+    const collect = createSubtestPairing(onResult, { windowMs: 1000 });
+
+    collect('ticket:t1', base, upload);
+    jest.advanceTimersByTime(999);
+    expect(onResult).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    expect(onResult).toHaveBeenCalledWith({ ...base, download: null, upload });
+  });
+
+  test('closes the earlier result on a repeat of the same direction', () => {
+    const onResult = jest.fn();
+    const collect = createSubtestPairing(onResult);
+    const second = { test: 'download', mbps: 120 };
+
+    collect('ticket:t1', base, download);
+    collect('ticket:t1', base, second);
+    expect(onResult).toHaveBeenCalledWith({ ...base, download, upload: null });
+
+    collect('ticket:t1', base, upload);
+    expect(onResult).toHaveBeenLastCalledWith({ ...base, download: second, upload });
+  });
+
+  test('keeps clients behind one address apart', () => {
+    const onResult = jest.fn();
+    const collect = createSubtestPairing(onResult, { windowMs: 1000 });
+
+    collect('ticket:t1', base, download);
+    collect('ticket:t2', base, upload);
+    expect(onResult).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1000);
+    expect(onResult).toHaveBeenCalledTimes(2);
+  });
+});
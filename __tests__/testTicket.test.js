@@ -0,0 +1,90 @@
+const {
+  signTicket,
+  decodeTicket,
+  verifyTicket,
+  deriveNodeKey,
+  normalizeTicketIP,
+  ticketAddresses
+} = require('../utils/testTicket');
+
+const SECRET = 'test-secret';
+const ticket = (claims = {}) => signTicket({ ticketId: 't1', expiresAt: Date.now() + 60000, ...claims }, SECRET);
+
+describe('verifyTicket', () => {
+  test('accepts a ticket signed with the secret', () => {
+    const { valid, payload } = verifyTicket(ticket(), SECRET);
+
+    expect(valid).toBe(true);
+    expect(payload.ticketId).toBe('t1');
+  });
+
+  test('rejects malformed tokens', () => {
+    expect(verifyTicket('', SECRET).reason).toBe('Malformed ticket');
+    expect(verifyTicket('no-signature', SECRET).reason).toBe('Malformed ticket');
+  });
+
+  test('rejects another secret and tampered claims', () => {
+    expect(verifyTicket(ticket(), 'other-secret').reason).toBe('Invalid signature');
+
+    const [, signature] = ticket().split('.');
+    const forged = Buffer.from(JSON.stringify({ ticketId: 't2' })).toString('base64url');
+    expect(verifyTicket(`${forged}.${signature}`, SECRET).reason).toBe('Invalid signature');
+  });
+
+  test('rejects expired tickets', () => {
+    const { valid, reason } = verifyTicket(ticket({ expiresAt: Date.now() - 1 }), SECRET);
+
+    expect(valid).toBe(false);
+    expect(reason).toBe('Ticket expired');
+  });
+
+  test('binds the ticket to the client address', () => {
+    const token = ticket({ clientIPs: ticketAddresses('203.0.113.5') });
+
+    expect(verifyTicket(token, SECRET, { clientIP: '203.0.113.5' }).valid).toBe(true);
+    expect(verifyTicket(token, SECRET, { clientIP: '::ffff:203.0.113.5' }).valid).toBe(true);
+    expect(verifyTicket(token, SECRET, { clientIP: '203.0.113.6' }).reason).toBe('Ticket issued to another address');
+  });
+
+  test('refuses the address family the ticket was not issued for', () => {
+    const ipv4 = ticket({ clientIPs: ticketAddresses('203.0.113.5') });
+    const ipv6 = ticket({ clientIPs: ticketAddresses('2001:db8::1') });
+
+    expect(verifyTicket(ipv4, SECRET, { clientIP: '2001:db8::1' }).reason).toBe('Ticket not issued for IPv6');
+    expect(verifyTicket(ipv6, SECRET, { clientIP: '203.0.113.5' }).reason).toBe('Ticket not issued for IPv4');
+    expect(verifyTicket(ipv6, SECRET, { clientIP: '2001:db8::1' }).valid).toBe(true);
+    expect(verifyTicket(ipv6, SECRET, { clientIP: '2001:db8::2' }).reason).toBe('Ticket issued to another address');
+  });
+
+  test('checks each family of a ticket bound to both', () => {
+    const token = ticket({ clientIPs: { ipv4: '203.0.113.5', ipv6: '2001:db8::1' } });
+
+    expect(verifyTicket(token, SECRET, { clientIP: '203.0.113.5' }).valid).toBe(true);
+    expect(verifyTicket(token, SECRET, { clientIP: '2001:db8::1' }).valid).toBe(true);
+    expect(verifyTicket(token, SECRET, { clientIP: '2001:db8::2' }).valid).toBe(false);
+  });
+
+  test('leaves unbound tickets to expiry and budget', () => {
+    expect(verifyTicket(ticket({ clientIPs: null }), SECRET, { clientIP: '2001:db8::1' }).valid).toBe(true);
+  });
+
+  test('does not accept client tickets under the node key', () => {
+    expect(verifyTicket(ticket(), deriveNodeKey(SECRET)).reason).toBe('Invalid signature');
+  });
+});
+
+describe('decodeTicket', () => {
+  test('reads claims without verifying and tolerates garbage', () => {
+    expect(decodeTicket(ticket()).ticketId).toBe('t1');
+    expect(decodeTicket('%%%')).toBeNull();
+  });
+});
+
+describe('normalizeTicketIP', () => {
+  test('folds IPv4-mapped and loopback forms', () => {
+    expect(normalizeTicketIP('::ffff:192.0.2.1')).toBe('192.0.2.1');
+    expect(normalizeTicketIP('::1')).toBe('127.0.0.1');
+    expect(normalizeTicketIP('192.0.2.1, 10.0.0.1')).toBe('192.0.2.1');
+    expect(normalizeTicketIP('2001:db8::1')).toBe('2001:db8::1');
+  });
+});
@@ -0,0 +1,77 @@
+const { reconcileTransfers } = require('../utils/transferReconciliation');
+
+// A node record moving `bytes` evenly from `firstByteAt` over `durationMs`
+const record = (transferId, bytes, firstByteAt, durationMs) => ({
+  transferId,
+  bytes,
+  completed: true,
+  firstByteAt,
+  lastByteAt: firstByteAt + durationMs
+});
+
+describe('reconcileTransfers', () => {
+  const client = [
+    { transferId: 'a', bytes: 1250000, completed: true },
+    { transferId: 'b', bytes: 1250000, completed: true }
+  ];
+
+  test('is unavailable without records on either side', () => {
+    expect(reconcileTransfers(client, []).status).toBe('unavailable');
+    expect(reconcileTransfers([], [record('a', 1250000, 0, 1000)]).status).toBe('unavailable');
+  });
+
+  test('is consistent when bytes match and the rates agree', () => {
+    const server = [record('a', 1250000, 0, 1000), record('b', 1250000, 1000, 1000)];
+    const result = reconcileTransfers(client, server, { clientDurationMs: 2000 });
+
+    expect(result.status).toBe('consistent');
+    expect(result.clientMbps).toBe(10);
+    expect(result.serverMbps).toBe(10);
+    expect(result.deviation).toBe(0);
+  });
+
+  test('flags transfers the node never saw', () => {
+    const result = reconcileTransfers(client, [record('a', 1250000, 0, 1000)], { clientDurationMs: 2000 });
+
+    expect(result.status).toBe('disagreement');
+    expect(result.missing).toBe(1);
+  });
+
+  test('flags completed transfers whose byte counts differ', () => {
+    const server = [record('a', 1250000, 0, 1000), record('b', 1000000, 1000, 1000)];
+    const result = reconcileTransfers(client, server, { clientDurationMs: 2000 });
+
+    expect(result.status).toBe('disagreement');
+    expect(result.byteMismatches).toBe(1);
+  });
+
+  test('flags a published rate outside the tolerance', () => {
+    const server = [record('a', 1250000, 0, 1000), record('b', 1250000, 1000, 1000)];
+    const result = reconcileTransfers(client, server, { clientMbps: 15 });
+
+    expect(result.status).toBe('disagreement');
+    expect(result.deviation).toBe(0.5);
+  });
+
+  test('leaves the skipped lead-in out of the server rate', () => {
+    // 1 s of slow start at 5 Mbps, then 1 s at 10 Mbps
+    const slowStart = [{ transferId: 'a', bytes: 625000, completed: true }, client[1]];
+    const server = [record('a', 625000, 0, 1000), record('b', 1250000, 1000, 1000)];
+    const skipped = reconcileTransfers(slowStart, server, { clientMbps: 10, skipMs: 1000 });
+    const whole = reconcileTransfers(slowStart, server, { clientMbps: 10 });
+
+    expect(skipped.serverMbps).toBe(10);
+    expect(skipped.status).toBe('consistent');
+    expect(whole.serverMbps).toBe(7.5);
+    expect(whole.status).toBe('disagreement');
+  });
+
+  test('reports the limits the node hit', () => {
+    const server = [
+      { ...record('a', 1250000, 0, 1000), host: { saturation: ['cpu'] } },
+      { ...record('b', 1250000, 1000, 1000), host: { saturation: ['cpu', 'nic'] } }
+    ];
+
+    expect(reconcileTransfers(client, server).hostSaturation).toEqual(['cpu', 'nic']);
+  });
+});
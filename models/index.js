@@ -3,11 +3,13 @@ const ISP = require('./isp');
 const NetworkOutage = require('./networkOutage');
 const UserSession = require('./userSession');
 const ServerNode = require('./serverNode');
+const SpeedTestRun = require('./speedTestRun');
 
 module.exports = {
   SpeedTest,
   ISP,
   NetworkOutage,
   UserSession,
-  ServerNode
+  ServerNode,
+  SpeedTestRun
 };
\ No newline at end of file
@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
 
 const serverNodeSchema = new mongoose.Schema({
+  // SERVER_ID of a self-registered speed test node; unset for manually added nodes
+  serverId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   name: {
     type: String,
     required: true
@@ -16,10 +22,17 @@ const serverNodeSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  ipv6Address: String, // Set on dual-stack nodes for IPv4/IPv6 comparisons
   port: {
     type: Number,
     default: 80
   },
+  // Mount of the measurement endpoints: '' on a node, '/speedtest' for the main
+  // API's embedded endpoints (which have no WebSocket, UDP or iperf3 listeners)
+  basePath: {
+    type: String,
+    default: ''
+  },
   provider: String,
   isActive: {
     type: Boolean,
@@ -34,7 +47,14 @@ const serverNodeSchema = new mongoose.Schema({
   currentLoad: {
     type: Number,
     default: 0
-  }
+  },
+  // Reported by the node itself on every heartbeat
+  lastHeartbeat: Date,
+  heartbeatInterval: Number, // seconds
+  hostLoad: Number,          // 1-minute load average per CPU
+  activeConnections: Number,
+  egressMbps: Number,
+  version: String
 }, {
   timestamps: true
 });
@@ -42,5 +62,6 @@ const serverNodeSchema = new mongoose.Schema({
 // Indexes
 serverNodeSchema.index({ 'location.country': 1 });
 serverNodeSchema.index({ isActive: 1 });
+serverNodeSchema.index({ lastHeartbeat: 1 });
 
 module.exports = mongoose.model('ServerNode', serverNodeSchema);
@@ -1,39 +1,169 @@
 // models/speedTest.js - IMPROVED VERSION
 const mongoose = require('mongoose');
 
+// Rating for one application use case (see utils/scoring USE_CASE_REQUIREMENTS)
+const experienceRating = {
+  score: { type: Number, min: 0, max: 100 },
+  rating: {
+    type: String,
+    enum: ['great', 'good', 'okay', 'poor']
+  },
+  limitedBy: String,
+  unmeasured: [String] // Required metrics the test lacked; score and rating are then absent
+};
+
+// Client-side throughput reconciled with the node's records (see utils/transferReconciliation)
+const transferAccounting = {
+  status: {
+    type: String,
+    enum: ['consistent', 'disagreement', 'unavailable']
+  },
+  transfers: Number,
+  clientBytes: Number,
+  serverBytes: Number,
+  clientMbps: Number,
+  serverMbps: Number,
+  deviation: Number,
+  missing: Number,
+  byteMismatches: Number,
+  hostSaturation: [String] // Limits the node hit during the transfers (cpu, process_cpu, nic, sockets)
+};
+
 const speedTestSchema = new mongoose.Schema({
-  // Core test results
+  // Core test results. Metrics an engine doesn't measure (e.g. upload on a
+  // download-only engine) are left absent rather than stored as 0.
   downloadSpeed: { 
     type: Number, 
-    required: true, 
     min: 0,
-    get: v => Math.round(v * 100) / 100 // Round to 2 decimals
+    get: v => (v == null ? v : Math.round(v * 100) / 100) // Round to 2 decimals
   },
   uploadSpeed: { 
     type: Number, 
-    required: true, 
     min: 0,
-    get: v => Math.round(v * 100) / 100
+    get: v => (v == null ? v : Math.round(v * 100) / 100)
   },
   latency: { 
     type: Number, 
-    required: true, 
     min: 0,
-    get: v => Math.round(v * 100) / 100
+    get: v => (v == null ? v : Math.round(v * 100) / 100)
   },
   jitter: { 
     type: Number, 
-    required: true, 
     min: 0,
-    get: v => Math.round(v * 100) / 100
+    get: v => (v == null ? v : Math.round(v * 100) / 100)
   },
+  // Absent for engines that don't measure loss (ndt7, iperf3 TCP)
   packetLoss: { 
     type: Number, 
-    required: true, 
-    default: 0, 
     min: 0, 
     max: 100,
-    get: v => Math.round(v * 100) / 100
+    get: v => (v == null ? v : Math.round(v * 100) / 100)
+  },
+  
+  // Datagram packet loss breakdown
+  packetLossDetails: {
+    method: {
+      type: String,
+      enum: ['udp', 'http', 'simulation']
+    },
+    sent: Number,
+    received: Number,
+    reordered: { type: Number, min: 0 },
+    duplicates: { type: Number, min: 0 }
+  },
+  
+  // Latency under load (bufferbloat)
+  loadedLatency: {
+    idle: { type: Number, min: 0 },
+    download: { type: Number, min: 0 },
+    upload: { type: Number, min: 0 },
+    downloadP95: { type: Number, min: 0 },
+    uploadP95: { type: Number, min: 0 },
+    bufferbloatGrade: {
+      type: String,
+      enum: ['A+', 'A', 'B', 'C', 'D', 'F']
+    }
+  },
+  
+  // Address family the client reached us over. A dual-stack run is two browser
+  // tests against the same node, one per family, sharing a groupId
+  ipVersion: {
+    type: String,
+    enum: ['ipv4', 'ipv6'],
+    index: true
+  },
+  dualStack: {
+    groupId: { type: String, index: true },
+    family: {
+      type: String,
+      enum: ['ipv4', 'ipv6']
+    }
+  },
+  
+  // Application-experience ratings and estimated VoIP quality
+  experience: {
+    streaming4k: experienceRating,
+    videoCalls: experienceRating,
+    competitiveGaming: experienceRating,
+    browsing: experienceRating,
+    voip: {
+      rFactor: Number,
+      mos: { type: Number, min: 1, max: 4.5 },
+      rating: {
+        type: String,
+        enum: ['great', 'good', 'okay', 'poor']
+      }
+    }
+  },
+  
+  // Median connection-phase timings (ms) over fresh-connection probes
+  connectionTiming: {
+    dns: { type: Number, min: 0 },
+    tcp: { type: Number, min: 0 },
+    tls: { type: Number, min: 0 },
+    ttfb: { type: Number, min: 0 },
+    transfer: { type: Number, min: 0 },
+    total: { type: Number, min: 0 },
+    bottleneck: {
+      type: String,
+      enum: ['dns', 'tcp', 'tls', 'ttfb']
+    },
+    samples: Number
+  },
+  
+  // Hop-by-hop path to the client, traced from the backend host (origin)
+  // rather than the test server
+  pathAnalysis: {
+    target: String,
+    origin: {
+      type: String,
+      enum: ['backend']
+    },
+    reached: Boolean,
+    hops: [{
+      _id: false,
+      hop: Number,
+      ip: String,
+      rtt: Number,
+      minRtt: Number,
+      maxRtt: Number,
+      loss: { type: Number, min: 0, max: 100 }
+    }],
+    latencyJump: {
+      hop: Number,
+      ip: String,
+      fromHop: Number,
+      increase: Number
+    },
+    lossOrigin: {
+      hop: Number,
+      ip: String,
+      loss: Number
+    },
+    diagnosis: {
+      type: String,
+      enum: ['clean', 'last_mile', 'upstream', 'incomplete']
+    }
   },
   
   // Test metadata
@@ -96,6 +226,16 @@ const speedTestSchema = new mongoose.Schema({
     isp: String // Detected ISP name
   },
   
+  // Engine that produced the result
+  engine: {
+    name: {
+      type: String,
+      default: 'custom',
+      index: true
+    },
+    version: String
+  },
+  
   // Test server information
   testServerId: {
     type: String,
@@ -127,7 +267,8 @@ const speedTestSchema = new mongoose.Schema({
       duration: Number,
       stages: Number,
       reliability: Number,
-      testId: String
+      testId: String,
+      streams: Number // Parallel TCP streams (iperf3 -P)
     }
   },
   
@@ -175,6 +316,33 @@ const speedTestSchema = new mongoose.Schema({
     ref: 'ServerNode' 
   },
   
+  // Engine measurements reconciled with the speed test node's transfer records
+  serverAccounting: {
+    download: transferAccounting,
+    upload: transferAccounting
+  },
+
+  // Node's self-benchmarked serve rate; a download near it measured the server
+  serverLimit: {
+    maxServeMbps: Number,
+    downloadLimited: Boolean
+  },
+
+  // Server-side verification of browser-submitted results
+  verification: {
+    ticketId: String,
+    status: {
+      type: String,
+      enum: ['verified', 'mismatch', 'unverifiable']
+    },
+    checks: [{
+      _id: false,
+      name: String,
+      passed: Boolean,
+      detail: String
+    }]
+  },
+  
   // Additional flags
   isValid: {
     type: Boolean,
@@ -186,6 +354,16 @@ const speedTestSchema = new mongoose.Schema({
     default: false,
     index: true
   },
+  // Runs with simulated figures (the simulation engine, or stages that fell
+  // back to a network profile); kept as fixtures but never counted as valid
+  isSimulated: {
+    type: Boolean,
+    default: false
+  },
+  simulation: {
+    profile: String,
+    seed: Number
+  },
   validationNotes: String
 }, {
   timestamps: true,
@@ -228,34 +406,35 @@ speedTestSchema.methods.calculateQualityMetrics = function() {
     jitter: 0.05
   };
 
-  // Scoring functions (0-100 scale)
-  const downloadScore = Math.min(100, (this.downloadSpeed / 100) * 100);
-  const uploadScore = Math.min(100, (this.uploadSpeed / 50) * 100);
-  const latencyScore = Math.max(0, 100 - this.latency);
-  const packetLossScore = Math.max(0, 100 - (this.packetLoss * 10));
-  const jitterScore = Math.max(0, 100 - (this.jitter * 2));
+  // Scoring functions (0-100 scale). Absent metrics are left out and the
+  // remaining weights scaled up.
+  const scoreOf = (value, score) => (value == null ? null : score(value));
+  const scores = {
+    download: scoreOf(this.downloadSpeed, speed => Math.min(100, (speed / 100) * 100)),
+    upload: scoreOf(this.uploadSpeed, speed => Math.min(100, (speed / 50) * 100)),
+    latency: scoreOf(this.latency, latency => Math.max(0, 100 - latency)),
+    packetLoss: scoreOf(this.packetLoss, loss => Math.max(0, 100 - (loss * 10))),
+    jitter: scoreOf(this.jitter, jitter => Math.max(0, 100 - (jitter * 2)))
+  };
 
-  const overallScore = (
-    downloadScore * weights.download +
-    uploadScore * weights.upload +
-    latencyScore * weights.latency +
-    packetLossScore * weights.packetLoss +
-    jitterScore * weights.jitter
-  );
+  const scored = Object.keys(weights).filter(metric => scores[metric] !== null);
+  const totalWeight = scored.reduce((sum, metric) => sum + weights[metric], 0);
+  const overallScore = totalWeight > 0
+    ? scored.reduce((sum, metric) => sum + scores[metric] * weights[metric], 0) / totalWeight
+    : 0;
 
   this.qualityScore = Math.round(overallScore * 100) / 100;
   this.qualityGrade = this.getQualityGrade(this.qualityScore);
   
+  const breakdown = {};
+  for (const [metric, score] of Object.entries(scores)) {
+    breakdown[metric] = score === null ? null : Math.round(score * 100) / 100;
+  }
+
   return {
     score: this.qualityScore,
     grade: this.qualityGrade,
-    breakdown: {
-      download: Math.round(downloadScore * 100) / 100,
-      upload: Math.round(uploadScore * 100) / 100,
-      latency: Math.round(latencyScore * 100) / 100,
-      packetLoss: Math.round(packetLossScore * 100) / 100,
-      jitter: Math.round(jitterScore * 100) / 100
-    }
+    breakdown
   };
 };
 
@@ -278,23 +457,39 @@ speedTestSchema.methods.validateTest = function() {
   const suspiciousConditions = [
     this.downloadSpeed > 10000, // > 10 Gbps
     this.uploadSpeed > 5000, // > 5 Gbps
-    this.latency < 0.1 || this.latency > 1000,
+    this.latency != null && (this.latency < 0.1 || this.latency > 1000),
     this.packetLoss > 50,
     this.jitter > 500
   ];
+  const notes = this.validationNotes ? [this.validationNotes] : [];
+  const outOfRange = suspiciousConditions.some(condition => condition);
+  const coreMetrics = ['downloadSpeed', 'uploadSpeed', 'latency'];
+  const unmeasured = coreMetrics.filter(metric => this[metric] == null);
   
-  this.isSuspicious = suspiciousConditions.some(condition => condition);
+  // Keep flags raised before save (e.g. by submission verification)
+  this.isSuspicious = this.isSuspicious || outOfRange;
   
-  // Mark as invalid if critical metrics are missing or impossible
-  if (this.downloadSpeed <= 0 || this.uploadSpeed <= 0 || this.latency <= 0) {
+  // Mark as invalid if critical metrics are missing or impossible. Partial
+  // results are kept, but like invalid ones stay out of statistics.
+  if (unmeasured.length > 0) {
+    this.isValid = false;
+    notes.push(`Partial result: ${unmeasured.join(', ')} not measured`);
+  }
+  if (coreMetrics.some(metric => this[metric] != null && this[metric] <= 0)) {
+    this.isValid = false;
+    notes.push('Invalid test results: missing or zero values');
+  }
+  if (this.isSimulated) {
     this.isValid = false;
-    this.validationNotes = 'Invalid test results: missing or zero values';
+    notes.push('Simulated result');
   }
   
-  if (this.isSuspicious) {
-    this.validationNotes = 'Flagged as suspicious: unusually high or low values';
+  if (outOfRange) {
+    notes.push('Flagged as suspicious: unusually high or low values');
   }
   
+  this.validationNotes = notes.length > 0 ? [...new Set(notes)].join('; ') : undefined;
+  
   return this.isValid && !this.isSuspicious;
 };
 
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Final state of an asynchronous comprehensive test run. Runs live in memory
+// while they execute and are written here once they finish, fail or are cancelled.
+const speedTestRunSchema = new mongoose.Schema({
+  runId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    required: true
+  },
+  stage: String,
+  engine: String,
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserSession'
+  },
+  config: mongoose.Schema.Types.Mixed,
+  results: mongoose.Schema.Types.Mixed,
+  speedTestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SpeedTest'
+  },
+  error: String,
+  cancelReason: String,
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+speedTestRunSchema.index({ status: 1 });
+speedTestRunSchema.index({ sessionId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SpeedTestRun', speedTestRunSchema);
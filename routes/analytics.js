@@ -446,6 +446,236 @@ router.get('/anomalies', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/analytics/connection-phases
+ * DNS/TCP/TLS/TTFB breakdown per ISP and which phase dominates
+ */
+router.get('/connection-phases', async (req, res) => {
+  try {
+    const {
+      timeframe = '30d',
+      country = 'ZA',
+      ispId
+    } = req.query;
+
+    const dateFilter = getDateFilter(timeframe);
+    const baseQuery = {
+      isValid: true,
+      isSuspicious: false,
+      'connectionTiming.samples': { $gt: 0 },
+      ...dateFilter
+    };
+
+    if (country) baseQuery['location.country'] = country;
+    if (ispId) {
+      if (!mongoose.Types.ObjectId.isValid(ispId)) {
+        return res.status(400).json({ error: 'Invalid ISP ID' });
+      }
+      baseQuery.ispId = new mongoose.Types.ObjectId(ispId);
+    }
+
+    const [byISP, bottlenecks] = await Promise.all([
+      SpeedTest.aggregate([
+        { $match: baseQuery },
+        {
+          $group: {
+            _id: '$ispId',
+            avgDns: { $avg: '$connectionTiming.dns' },
+            avgTcp: { $avg: '$connectionTiming.tcp' },
+            avgTls: { $avg: '$connectionTiming.tls' },
+            avgTtfb: { $avg: '$connectionTiming.ttfb' },
+            avgTransfer: { $avg: '$connectionTiming.transfer' },
+            avgTotal: { $avg: '$connectionTiming.total' },
+            totalTests: { $sum: 1 }
+          }
+        },
+        { $sort: { avgTotal: 1 } }
+      ]),
+      SpeedTest.aggregate([
+        { $match: baseQuery },
+        { $group: { _id: '$connectionTiming.bottleneck', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ])
+    ]);
+
+    const isps = await ISP.find({ _id: { $in: byISP.map(item => item._id).filter(Boolean) } }, 'name displayName');
+    const ispNames = new Map(isps.map(isp => [String(isp._id), isp.displayName || isp.name]));
+    const round = (value) => typeof value === 'number' ? Math.round(value * 100) / 100 : null;
+
+    res.json({
+      success: true,
+      timeframe,
+      data: {
+        isps: byISP.map(item => ({
+          ispId: item._id,
+          isp: ispNames.get(String(item._id)) || 'Unknown',
+          phases: {
+            dns: round(item.avgDns),
+            tcp: round(item.avgTcp),
+            tls: round(item.avgTls),
+            ttfb: round(item.avgTtfb),
+            transfer: round(item.avgTransfer)
+          },
+          total: round(item.avgTotal),
+          totalTests: item.totalTests
+        })),
+        bottlenecks: bottlenecks.map(item => ({
+          phase: item._id || 'unknown',
+          count: item.count
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Connection phases error:', error);
+    res.status(500).json({ error: 'Failed to fetch connection phase analytics' });
+  }
+});
+
+/**
+ * GET /api/analytics/ipv6
+ * IPv6 adoption per ISP, from the address family clients reached us over, and
+ * the IPv4/IPv6 gap per ISP from dual-stack runs: browser tests of the same
+ * node over each family, paired by their dualStack.groupId.
+ */
+router.get('/ipv6', async (req, res) => {
+  try {
+    const {
+      timeframe = '30d',
+      country = 'ZA'
+    } = req.query;
+
+    const dateFilter = getDateFilter(timeframe);
+    const baseQuery = {
+      isValid: true,
+      isSuspicious: false,
+      ...dateFilter
+    };
+
+    if (country) baseQuery['location.country'] = country;
+
+    // Value of a field from the run's test over one family (null without one)
+    const familyValue = (family, field) => ({
+      $max: { $cond: [{ $eq: ['$dualStack.family', family] }, field, null] }
+    });
+    const hasBoth = (v6, v4) => ({ $and: [{ $ne: [v6, null] }, { $ne: [v4, null] }] });
+
+    const [stats, dualStack] = await Promise.all([
+      SpeedTest.aggregate([
+        { $match: baseQuery },
+        {
+          $group: {
+            _id: '$ispId',
+            totalTests: { $sum: 1 },
+            ipv6Tests: { $sum: { $cond: [{ $eq: ['$ipVersion', 'ipv6'] }, 1, 0] } }
+          }
+        },
+        { $sort: { totalTests: -1 } }
+      ]),
+      SpeedTest.aggregate([
+        { $match: { ...baseQuery, 'dualStack.groupId': { $type: 'string' } } },
+        {
+          $group: {
+            _id: '$dualStack.groupId',
+            ipv4IspId: familyValue('ipv4', '$ispId'),
+            ipv6IspId: familyValue('ipv6', '$ispId'),
+            ipv4Tests: { $sum: { $cond: [{ $eq: ['$dualStack.family', 'ipv4'] }, 1, 0] } },
+            ipv6Tests: { $sum: { $cond: [{ $eq: ['$dualStack.family', 'ipv6'] }, 1, 0] } },
+            ipv4Download: familyValue('ipv4', '$downloadSpeed'),
+            ipv6Download: familyValue('ipv6', '$downloadSpeed'),
+            ipv4Upload: familyValue('ipv4', '$uploadSpeed'),
+            ipv6Upload: familyValue('ipv6', '$uploadSpeed'),
+            ipv4Latency: familyValue('ipv4', '$latency'),
+            ipv6Latency: familyValue('ipv6', '$latency')
+          }
+        },
+        // Positive gaps mean IPv6 was faster (throughput, %) or slower (latency, ms)
+        {
+          $project: {
+            ispId: { $ifNull: ['$ipv4IspId', '$ipv6IspId'] },
+            ipv6Reached: { $cond: [{ $gt: ['$ipv6Tests', 0] }, 1, 0] },
+            compared: { $cond: [{ $and: [{ $gt: ['$ipv4Tests', 0] }, { $gt: ['$ipv6Tests', 0] }] }, 1, 0] },
+            downloadGap: {
+              $cond: [
+                { $and: [hasBoth('$ipv6Download', '$ipv4Download'), { $gt: ['$ipv4Download', 0] }] },
+                { $multiply: [{ $divide: [{ $subtract: ['$ipv6Download', '$ipv4Download'] }, '$ipv4Download'] }, 100] },
+                null
+              ]
+            },
+            uploadGap: {
+              $cond: [
+                { $and: [hasBoth('$ipv6Upload', '$ipv4Upload'), { $gt: ['$ipv4Upload', 0] }] },
+                { $multiply: [{ $divide: [{ $subtract: ['$ipv6Upload', '$ipv4Upload'] }, '$ipv4Upload'] }, 100] },
+                null
+              ]
+            },
+            latencyGap: {
+              $cond: [hasBoth('$ipv6Latency', '$ipv4Latency'), { $subtract: ['$ipv6Latency', '$ipv4Latency'] }, null]
+            }
+          }
+        },
+        {
+          $group: {
+            _id: '$ispId',
+            runs: { $sum: 1 },
+            ipv6Reached: { $sum: '$ipv6Reached' },
+            compared: { $sum: '$compared' },
+            avgDownloadGap: { $avg: '$downloadGap' },
+            avgUploadGap: { $avg: '$uploadGap' },
+            avgLatencyGap: { $avg: '$latencyGap' }
+          }
+        }
+      ])
+    ]);
+
+    const isps = await ISP.find({ _id: { $in: stats.map(item => item._id).filter(Boolean) } }, 'name displayName');
+    const ispNames = new Map(isps.map(isp => [String(isp._id), isp.displayName || isp.name]));
+    const dualStackByIsp = new Map(dualStack.map(item => [String(item._id), item]));
+    const round = (value) => typeof value === 'number' ? Math.round(value * 100) / 100 : null;
+    const percent = (part, whole) => whole > 0 ? Math.round(part / whole * 10000) / 100 : 0;
+
+    const totals = stats.reduce((acc, item) => ({
+      totalTests: acc.totalTests + item.totalTests,
+      ipv6Tests: acc.ipv6Tests + item.ipv6Tests
+    }), { totalTests: 0, ipv6Tests: 0 });
+
+    res.json({
+      success: true,
+      timeframe,
+      data: {
+        overall: {
+          ...totals,
+          adoption: percent(totals.ipv6Tests, totals.totalTests)
+        },
+        isps: stats.map(item => {
+          const runs = dualStackByIsp.get(String(item._id));
+
+          return {
+            ispId: item._id,
+            isp: ispNames.get(String(item._id)) || 'Unknown',
+            totalTests: item.totalTests,
+            ipv6Tests: item.ipv6Tests,
+            adoption: percent(item.ipv6Tests, item.totalTests),
+            // Runs whose IPv6 test never arrived count as IPv6 unreachable
+            dualStack: runs ? {
+              runs: runs.runs,
+              compared: runs.compared,
+              ipv6Reachable: percent(runs.ipv6Reached, runs.runs),
+              downloadGap: round(runs.avgDownloadGap),
+              uploadGap: round(runs.avgUploadGap),
+              latencyGap: round(runs.avgLatencyGap)
+            } : null
+          };
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('IPv6 analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch IPv6 analytics' });
+  }
+});
+
 /**
  * GET /api/analytics/export
  * Export analytics data in various formats
@@ -0,0 +1,144 @@
+const express = require('express');
+const { getEnhancedNetworkInfo } = require('../services/locationService');
+const {
+  DEFAULT_HEARTBEAT_INTERVAL,
+  registerNode,
+  recordHeartbeat,
+  listServersByProximity,
+  resolveFamilyHost
+} = require('../services/serverRegistryService');
+const { issueTicket } = require('../services/testTicketService');
+const { normalizeTicketIP, addressFamily } = require('../utils/testTicket');
+const router = express.Router();
+
+const LOCATE_RESULTS = 4;
+
+// Speed test nodes, closest to the caller first
+router.get('/', async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true';
+
+    let clientLocation = null;
+    try {
+      const networkInfo = await getEnhancedNetworkInfo(req);
+      clientLocation = networkInfo.location;
+    } catch (error) {
+      console.warn('Could not locate caller for server list:', error.message);
+    }
+
+    const servers = await listServersByProximity(clientLocation, { includeInactive });
+
+    res.json({
+      servers,
+      client: clientLocation ? {
+        city: clientLocation.city,
+        country: clientLocation.country,
+        lat: clientLocation.lat,
+        lng: clientLocation.lng
+      } : null,
+      total: servers.length
+    });
+  } catch (error) {
+    console.error('Server list error:', error);
+    res.status(500).json({
+      error: 'Failed to list speed test servers',
+      details: error.message
+    });
+  }
+});
+
+// M-Lab Locate API (v2) answer for ndt7 clients, e.g.
+//   ndt7-client -scheme ws -locate.url http://<backend>/api/servers/locate/v2/nearest/
+// Each URL carries a ticket bound to the caller as access_token, as M-Lab's do.
+// Nodes serve plain WebSocket, so only ws:// URLs are offered.
+router.get('/locate/v2/nearest/ndt/ndt7', async (req, res) => {
+  try {
+    let clientLocation = null;
+    try {
+      clientLocation = (await getEnhancedNetworkInfo(req)).location;
+    } catch (error) {
+      console.warn('Could not locate caller for ndt7 locate:', error.message);
+    }
+
+    // ndt7 needs a node's own WebSocket listener, which base path mounts lack
+    const servers = (await listServersByProximity(clientLocation))
+      .filter(server => !server.basePath)
+      .slice(0, LOCATE_RESULTS);
+    if (servers.length === 0) {
+      return res.status(503).json({ error: 'No speed test server available' });
+    }
+
+    const clientIP = normalizeTicketIP(req.ip);
+    const family = addressFamily(req.ip);
+    const sessionToken = `ndt7-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const results = await Promise.all(servers.map(async server => {
+      const { token } = issueTicket({ sessionToken, clientIP, server });
+      const query = `?access_token=${encodeURIComponent(token)}`;
+      // Tickets only work over the caller's family, so use the node's address in it
+      const host = (await resolveFamilyHost(server, family)) || server.host;
+
+      return {
+        machine: server.serverId || server.id,
+        location: { city: server.location?.city, country: server.location?.country },
+        urls: {
+          'ws:///ndt/v7/download': `ws://${host}/ndt/v7/download${query}`,
+          'ws:///ndt/v7/upload': `ws://${host}/ndt/v7/upload${query}`
+        }
+      };
+    }));
+
+    res.json({ results });
+  } catch (error) {
+    console.error('ndt7 locate error:', error);
+    res.status(500).json({
+      error: 'Failed to locate ndt7 servers',
+      details: error.message
+    });
+  }
+});
+
+// Node registration on startup
+router.post('/register', async (req, res) => {
+  try {
+    const node = await registerNode(req.body, req.ip);
+
+    res.status(201).json({
+      id: node._id,
+      serverId: node.serverId,
+      host: `${node.ipAddress}:${node.port}`,
+      heartbeatInterval: node.heartbeatInterval || DEFAULT_HEARTBEAT_INTERVAL
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Node registration error:', error);
+    res.status(500).json({
+      error: 'Failed to register speed test node',
+      details: error.message
+    });
+  }
+});
+
+// Periodic heartbeat with the node's load
+router.post('/:serverId/heartbeat', async (req, res) => {
+  try {
+    const node = await recordHeartbeat(req.params.serverId, req.body);
+    if (!node) {
+      return res.status(404).json({ error: 'Speed test node not registered' });
+    }
+
+    res.json({ serverId: node.serverId, isActive: node.isActive, lastHeartbeat: node.lastHeartbeat });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Node heartbeat error:', error);
+    res.status(500).json({
+      error: 'Failed to record heartbeat',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
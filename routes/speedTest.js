@@ -1,11 +1,29 @@
 // Updated speedTest.js route with enhanced network info
 
 const express = require('express');
-const { SpeedTest, ISP, UserSession } = require('../models');
-const { getEnhancedNetworkInfo } = require('../services/locationService');
-const { calculateQualityScore } = require('../utils/scoring');
+const crypto = require('crypto');
+const { SpeedTest, ISP, UserSession, ServerNode } = require('../models');
+const { getEnhancedNetworkInfo, getIPVersion } = require('../services/locationService');
+const { calculateQualityScore, calculateSpeedConsistency, calculateExperienceScores } = require('../utils/scoring');
+const { normalizeTicketIP, addressFamily } = require('../utils/testTicket');
+const {
+  issueTicket,
+  findDualStackTickets,
+  redeemTicket,
+  releaseTicket,
+  fetchServerTransferLog,
+  crossCheckSubmission,
+  checkReportedRates
+} = require('../services/testTicketService');
+const { readNodePayload, serverBaseUrl, resolveFamilyHost } = require('../services/serverRegistryService');
+const { haversineDistance, hasCoordinates } = require('../utils/geo');
 const router = express.Router();
 const CustomSpeedTestEngine = require('../services/customSpeedTestEngine');
+const { DEFAULT_ENGINE, getEngine, listEngines, runEngine } = require('../services/speedTestEngines');
+const { startRun, getRun, cancelRun } = require('../services/speedTestRunService');
+const { getQueueStats } = require('../services/admissionQueue');
+
+const NETWORK_TYPES = SpeedTest.schema.path('networkType').enumValues;
 
 // Add request logging middleware
 router.use((req, res, next) => {
@@ -33,7 +51,12 @@ router.get('/network-info', async (req, res) => {
   }
 });
 
-// Run comprehensive speed test (existing code with minor enhancements)
+// List available speed test engines
+router.get('/engines', (req, res) => {
+  res.json({ engines: listEngines() });
+});
+
+// Start a comprehensive speed test run (responds immediately with a runId)
 router.post('/comprehensive', async (req, res) => {
   try {
     console.log('🚀 Starting comprehensive speed test...');
@@ -55,184 +78,291 @@ router.post('/comprehensive', async (req, res) => {
     }
 
     const { sessionToken, testConfig = {} } = requestBody;
+
+    // Resolve the requested engine before doing any work
+    const engineName = testConfig.engine || DEFAULT_ENGINE;
+    if (!getEngine(engineName)) {
+      return res.status(400).json({
+        error: 'Unknown speed test engine',
+        details: `Available engines: ${listEngines().map(engine => engine.name).join(', ')}`
+      });
+    }
     
     // Generate session token if not provided
     const finalSessionToken = sessionToken || `netpulse-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
     // ENHANCED: Get network information using new service
-    let networkInfo;
-    try {
-      networkInfo = await getEnhancedNetworkInfo(req);
-    } catch (locationError) {
-      console.warn('Enhanced location detection failed:', locationError);
-      networkInfo = {
-        ip: '127.0.0.1',
-        isp: 'Unknown ISP',
-        location: {
-          country: 'ZA',
-          region: 'Gauteng',
-          city: 'Johannesburg',
-          lat: -26.2041,
-          lng: 28.0473
-        },
-        connectionType: 'ethernet'
-      };
-    }
+    const networkInfo = await resolveNetworkInfo(req);
 
     // Get or create user session
-    let session;
-    try {
-      session = await UserSession.findOne({ sessionToken: finalSessionToken });
-      if (!session) {
-        session = new UserSession({
-          sessionToken: finalSessionToken,
-          ipAddress: networkInfo.ip,
-          userAgent: req.headers['user-agent'] || 'Unknown',
-          location: networkInfo.location
-        });
-        await session.save();
-        console.log('✅ Created new session:', session._id);
-      } else {
-        console.log('✅ Found existing session:', session._id);
+    const session = await getOrCreateSession(finalSessionToken, networkInfo, req.headers['user-agent']);
+
+    // Run the test in the background; clients poll GET /runs/:runId
+    console.log(`🏃 Starting ${engineName} speed test run with config:`, testConfig);
+    const userAgent = req.headers['user-agent'];
+    const run = startRun({
+      engine: engineName,
+      sessionId: session._id,
+      sessionToken: finalSessionToken,
+      config: testConfig,
+      execute: (hooks) =>
+        runEngine(engineName, networkInfo.ip, testConfig, { location: networkInfo.location, ...hooks }),
+      complete: (testResult) => saveComprehensiveResult(testResult, { networkInfo, session, userAgent })
+    });
+
+    res.status(202).json({
+      runId: run.runId,
+      status: run.status,
+      sessionToken: finalSessionToken,
+      statusUrl: `${req.baseUrl}/runs/${run.runId}`
+    });
+
+  } catch (error) {
+    console.error('❌ Comprehensive speed test error:', error);
+    res.status(500).json({ 
+      error: 'Failed to run comprehensive speed test',
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// Admission queue status per test server
+router.get('/queue', (req, res) => {
+  res.json({ servers: getQueueStats() });
+});
+
+// Poll a comprehensive test run for its stage, queue position and (partial) results
+router.get('/runs/:runId', async (req, res) => {
+  try {
+    const run = await getRun(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Speed test run not found' });
+    }
+
+    res.json(run);
+  } catch (error) {
+    console.error('Run status error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch speed test run',
+      details: error.message
+    });
+  }
+});
+
+// Cancel a running test; aborts all of the engine's in-flight requests
+router.delete('/runs/:runId', async (req, res) => {
+  try {
+    const run = await cancelRun(req.params.runId);
+    if (!run) {
+      const finished = await getRun(req.params.runId);
+      if (!finished) {
+        return res.status(404).json({ error: 'Speed test run not found' });
       }
-    } catch (sessionError) {
-      console.error('Session error:', sessionError);
-      session = { _id: null };
+      return res.status(409).json({ error: 'Speed test run already finished', run: finished });
     }
 
-    // Initialize speed test engine
-    let speedTestEngine;
-    try {
-      speedTestEngine = new CustomSpeedTestEngine();
-    } catch (engineError) {
-      console.error('Speed test engine initialization failed:', engineError);
-      return res.status(500).json({ 
-        error: 'Failed to initialize speed test engine',
-        details: engineError.message 
-      });
+    res.json(run);
+  } catch (error) {
+    console.error('Run cancel error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel speed test run',
+      details: error.message
+    });
+  }
+});
+
+// Issue a signed test ticket for a browser-executed test
+//
+// Body: { sessionToken, family, dualStackId }
+// A dual-stack run is one browser test per address family against the same node:
+// ask for the first ticket with `family` over that family (e.g. through an IPv4-only
+// API name), then for the other with the returned `dualStackId` over the other family.
+// Each ticket points at the node's address in its family and is submitted on its own.
+router.post('/tickets', async (req, res) => {
+  try {
+    const { sessionToken, family, dualStackId } = req.body || {};
+    const requestFamily = addressFamily(req.ip);
+
+    if (family !== undefined && !['ipv4', 'ipv6'].includes(family)) {
+      return res.status(400).json({ error: 'family must be ipv4 or ipv6' });
     }
-    
-    // Run comprehensive speed test
-    let testResult;
-    try {
-      console.log('🏃 Running speed test with config:', testConfig);
-      
-      const testPromise = speedTestEngine.runComprehensiveTest(networkInfo.ip, testConfig);
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Speed test timeout after 60 seconds')), 60000)
-      );
-      
-      testResult = await Promise.race([testPromise, timeoutPromise]);
-      console.log('✅ Speed test completed successfully');
-      
-    } catch (testError) {
-      console.error('❌ Speed test execution failed:', testError);
-      return res.status(500).json({ 
-        error: 'Speed test execution failed',
-        details: testError.message 
-      });
+    if (dualStackId !== undefined && !family) {
+      return res.status(400).json({ error: 'family is required for a dual-stack ticket' });
     }
-    
-    // Get or create ISP record
-    let isp;
-    try {
-      const ispName = networkInfo.isp || testResult.networkInfo?.isp || 'Unknown ISP';
-      
-      isp = await ISP.findOne({ name: ispName });
-      if (!isp) {
-        isp = new ISP({
-          name: ispName,
-          displayName: ispName,
-          country: networkInfo.location.country || 'Unknown',
-          region: networkInfo.location.region || 'Unknown'
-        });
-        await isp.save();
-        console.log('✅ Created new ISP record:', isp._id);
-      }
-    } catch (ispError) {
-      console.error('ISP creation error:', ispError);
-      isp = { _id: null, name: networkInfo.isp || 'Unknown ISP' };
+    // Tickets are bound to the family they were requested over (see verifyTicket)
+    if (family && family !== requestFamily) {
+      const label = family === 'ipv6' ? 'IPv6' : 'IPv4';
+      return res.status(409).json({ error: `Request the ${label} ticket over ${label}`, family: requestFamily });
     }
 
-    // Calculate quality score with fallback
-    let qualityScore = 0;
-    try {
-      if (testResult.results && testResult.results.quality) {
-        qualityScore = testResult.results.quality.score || 0;
-      } else {
-        const downloadScore = Math.min(100, (testResult.results?.download?.speed || 0) / 10);
-        const uploadScore = Math.min(100, (testResult.results?.upload?.speed || 0) / 5);
-        const latencyScore = Math.max(0, 100 - (testResult.results?.latency?.avg || 100));
-        qualityScore = (downloadScore + uploadScore + latencyScore) / 3;
+    let server;
+    let finalSessionToken = sessionToken || `netpulse-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+    if (dualStackId !== undefined) {
+      // The second family runs against the node the first one was issued for
+      const issued = findDualStackTickets(String(dualStackId));
+      if (issued.length === 0 || (sessionToken && issued[0].sessionToken !== sessionToken)) {
+        return res.status(404).json({ error: 'Unknown dual-stack run' });
+      }
+      if (issued.some(ticket => ticket.dualStack.family === family)) {
+        return res.status(409).json({ error: `Dual-stack run already has an ${family === 'ipv6' ? 'IPv6' : 'IPv4'} ticket` });
+      }
+      server = issued[0].server;
+      finalSessionToken = issued[0].sessionToken;
+    } else {
+      const networkInfo = await resolveNetworkInfo(req);
+      server = await new CustomSpeedTestEngine().selectOptimalServer(networkInfo.ip, networkInfo.location);
+
+      if (!server.available) {
+        return res.status(503).json({ error: 'No speed test server available' });
       }
-    } catch (qualityError) {
-      console.warn('Quality score calculation failed:', qualityError);
-      qualityScore = 0;
     }
 
-    // FIXED: Prepare raw results data properly for MongoDB
-    let rawResults = {
-      downloadSamples: [],
-      uploadSamples: [],
-      latencySamples: [],
-      comprehensive: null
-    };
+    // The ticket only works over the family the client asked over, so point it
+    // at the node's address in that family when there is one
+    const [familyHost, otherFamilyHost] = await Promise.all([
+      resolveFamilyHost(server, requestFamily),
+      family && dualStackId === undefined
+        ? resolveFamilyHost(server, requestFamily === 'ipv6' ? 'ipv4' : 'ipv6')
+        : null
+    ]);
+    // A dual-stack run needs the node reachable over both families, or a missing
+    // IPv6 result would blame the client's network for the node's
+    if (family && (!familyHost || (dualStackId === undefined && !otherFamilyHost))) {
+      return res.status(503).json({ error: 'Speed test server is not dual-stack' });
+    }
+    const target = familyHost ? { ...server, host: familyHost } : server;
+    const dualStack = family
+      ? { groupId: dualStackId === undefined ? crypto.randomUUID() : String(dualStackId), family }
+      : null;
 
-    try {
-      if (testResult.results?.download?.samples && Array.isArray(testResult.results.download.samples)) {
-        rawResults.downloadSamples = testResult.results.download.samples
-          .map(sample => typeof sample === 'object' ? sample.speed : sample)
-          .filter(speed => typeof speed === 'number' && !isNaN(speed))
-          .slice(0, 100);
-      }
+    const ticket = issueTicket({
+      sessionToken: finalSessionToken,
+      clientIP: normalizeTicketIP(req.ip),
+      server,
+      dualStack
+    });
 
-      if (testResult.results?.upload?.samples && Array.isArray(testResult.results.upload.samples)) {
-        rawResults.uploadSamples = testResult.results.upload.samples
-          .map(sample => typeof sample === 'object' ? sample.speed : sample)
-          .filter(speed => typeof speed === 'number' && !isNaN(speed))
-          .slice(0, 100);
+    const baseUrl = serverBaseUrl(target);
+    // WebSocket tests need a node's own listener, which a base path mount lacks
+    const webSocketEndpoints = server.basePath ? {} : {
+      wsEcho: `ws://${target.host}/ws/echo`,
+      ndt7Download: `ws://${target.host}/ndt/v7/download`,
+      ndt7Upload: `ws://${target.host}/ndt/v7/upload`
+    };
+    res.status(201).json({
+      ticket: ticket.token,
+      ticketId: ticket.ticketId,
+      sessionToken: finalSessionToken,
+      expiresAt: new Date(ticket.expiresAt).toISOString(),
+      budget: ticket.budget,
+      ...(dualStack ? { dualStackId: dualStack.groupId, family: dualStack.family } : {}),
+      server: {
+        id: server.id,
+        host: target.host,
+        location: server.location,
+        distance: server.distance ?? null
+      },
+      endpoints: {
+        ping: `${baseUrl}/api/ping`,
+        download: `${baseUrl}/api/download/:sizeMB`,
+        upload: `${baseUrl}/api/upload`,
+        ...webSocketEndpoints
       }
+    });
 
-      if (testResult.results?.latency?.samples && Array.isArray(testResult.results.latency.samples)) {
-        rawResults.latencySamples = testResult.results.latency.samples
-          .filter(latency => typeof latency === 'number' && !isNaN(latency))
-          .slice(0, 50);
-      }
+  } catch (error) {
+    console.error('❌ Ticket issue error:', error);
+    res.status(500).json({
+      error: 'Failed to issue test ticket',
+      details: error.message
+    });
+  }
+});
 
-      rawResults.comprehensive = {
-        serverId: testResult.server?.id,
-        duration: testResult.metadata?.duration,
-        stages: testResult.metadata?.testStages?.length || 0,
-        reliability: testResult.metadata?.reliability || 0
-      };
+// Submit results of a browser-executed test. Samples are cross-checked against
+// the speed test node's transfer log for the ticket before the test is saved.
+//
+// Body: { ticket, download: { bytes, durationMs, samples }, upload: { bytes, durationMs, samples },
+//         latency: { samples }, packetLoss }
+// bytes/durationMs cover completed transfers only; samples are Mbps (throughput) or ms (latency).
+// A direction without a duration, latency without samples or a missing packetLoss is
+// unmeasured and stored absent, which marks the result partial (see SpeedTest.validateTest).
+// Answers 503 without using up the ticket when the node's log can't be fetched.
+router.post('/submit', async (req, res) => {
+  try {
+    const submission = req.body || {};
+    if (!submission.ticket) {
+      return res.status(400).json({ error: 'Missing test ticket' });
+    }
+
+    const redemption = redeemTicket(submission.ticket);
+    if (!redemption.valid) {
+      return res.status(403).json({ error: 'Invalid test ticket', details: redemption.reason });
+    }
 
-    } catch (rawError) {
-      console.warn('Raw results preparation failed:', rawError);
-      rawResults = {
-        downloadSamples: [],
-        uploadSamples: [],
-        latencySamples: [],
-        comprehensive: null
-      };
+    // The ticket is only spent once the node's log has been checked
+    const { ticket } = redemption;
+    const serverLog = await fetchServerTransferLog(ticket.server, ticket.ticketId);
+    if (!serverLog) {
+      releaseTicket(ticket);
+      return res.status(503).json({ error: 'Transfer log unavailable, submit again shortly' });
     }
+    const verification = crossCheckSubmission(submission, serverLog);
+    console.log(`🔎 Submission ${ticket.ticketId}: ${verification.status}`);
+
+    const engine = new CustomSpeedTestEngine();
+    const toMbps = (direction) => {
+      const bytes = Number(submission[direction]?.bytes) || 0;
+      const durationMs = Number(submission[direction]?.durationMs) || 0;
+      return durationMs > 0 ? Math.round(((bytes * 8) / (durationMs * 1000)) * 100) / 100 : null;
+    };
+    const downloadSamples = numericSamples(submission.download?.samples).slice(0, 100);
+    const uploadSamples = numericSamples(submission.upload?.samples).slice(0, 100);
+    const latencySamples = numericSamples(submission.latency?.samples).slice(0, 50);
+    const latencyAvg = latencySamples.length > 0
+      ? latencySamples.reduce((a, b) => a + b, 0) / latencySamples.length
+      : null;
+    const directionResult = (direction, samples) => {
+      const speed = toMbps(direction);
+      return { speed, consistency: speed === null ? null : calculateSpeedConsistency(samples) };
+    };
+    const reportedLoss = measuredValue(submission.packetLoss);
+
+    const results = {
+      download: directionResult('download', downloadSamples),
+      upload: directionResult('upload', uploadSamples),
+      latency: {
+        avg: latencyAvg === null ? null : Math.round(latencyAvg * 100) / 100,
+        min: latencySamples.length ? Math.min(...latencySamples) : null,
+        max: latencySamples.length ? Math.max(...latencySamples) : null,
+        jitter: latencySamples.length > 1
+          ? Math.round(engine.calculateInterarrivalJitter(latencySamples) * 100) / 100
+          : null,
+        samples: latencySamples
+      },
+      packetLoss: reportedLoss === undefined ? null : Math.min(100, Math.max(0, reportedLoss))
+    };
+    results.quality = engine.calculateQualityMetrics(results);
+    results.experience = calculateExperienceScores(getExperienceMetrics(results));
+
+    const networkInfo = await resolveNetworkInfo(req);
+    const session = await getOrCreateSession(ticket.sessionToken, networkInfo, req.headers['user-agent']);
+    const isp = await getOrCreateISP(networkInfo.isp, networkInfo);
+    const verified = verification.status === 'verified';
 
-    // Save comprehensive test result
     let speedTest;
     try {
-      const speedTestData = {
-        downloadSpeed: Number(testResult.results?.download?.speed) || 0,
-        uploadSpeed: Number(testResult.results?.upload?.speed) || 0,
-        latency: Number(testResult.results?.latency?.avg) || 0,
-        jitter: Number(testResult.results?.latency?.jitter) || 0,
-        packetLoss: Number(testResult.results?.packetLoss) || 0,
-        testDuration: Number(testResult.metadata?.duration) || 0,
+      speedTest = new SpeedTest({
+        downloadSpeed: measuredValue(results.download.speed),
+        uploadSpeed: measuredValue(results.upload.speed),
+        latency: measuredValue(results.latency.avg),
+        jitter: measuredValue(results.latency.jitter),
+        packetLoss: measuredValue(results.packetLoss),
+        testDuration: (Number(submission.download?.durationMs) || 0) + (Number(submission.upload?.durationMs) || 0),
         ipAddress: String(networkInfo.ip),
         userAgent: String(req.headers['user-agent'] || 'Unknown'),
-        deviceInfo: testResult.deviceInfo || {
-          cpu: 'Unknown',
-          memory: 'Unknown',
-          os: 'Unknown'
-        },
         networkType: networkInfo.connectionType || 'unknown',
         location: {
           city: String(networkInfo.location.city || 'Unknown'),
@@ -242,30 +372,56 @@ router.post('/comprehensive', async (req, res) => {
           lng: Number(networkInfo.location.lng) || 0,
           timezone: String(networkInfo.location.timezone || 'UTC')
         },
-        testServerId: String(testResult.server?.id || 'unknown'),
-        rawResults: rawResults,
-        qualityScore: Number(qualityScore),
+        testServerId: String(ticket.server.id),
+        engine: { name: 'browser', version: submission.clientVersion ? String(submission.clientVersion) : 'unknown' },
+        serverNodeId: ticket.server.serverNodeId || undefined,
+        serverLocation: {
+          city: ticket.server.city,
+          country: ticket.server.country,
+          distance: typeof ticket.server.distance === 'number' ? ticket.server.distance : undefined
+        },
+        rawResults: {
+          downloadSamples,
+          uploadSamples,
+          latencySamples,
+          metadata: {
+            serverId: ticket.server.id,
+            testId: ticket.ticketId
+          }
+        },
+        experience: results.experience,
+        ipVersion: networkInfo.ipVersion,
+        dualStack: ticket.dualStack || undefined,
+        qualityScore: results.quality.score,
+        qualityGrade: results.quality.grade,
+        downloadConsistency: measuredValue(results.download.consistency),
+        uploadConsistency: measuredValue(results.upload.consistency),
+        verification: {
+          ticketId: ticket.ticketId,
+          status: verification.status,
+          checks: verification.checks
+        },
+        isSuspicious: !verified,
+        validationNotes: joinNotes([
+          verified ? null : `Browser submission ${verification.status}: ${verification.checks.filter(c => !c.passed).map(c => c.name).join(', ')}`,
+          hostSaturationNote({ download: serverLog?.download?.saturation, upload: serverLog?.upload?.saturation })
+        ]),
         ispId: isp._id,
         sessionId: session._id
-      };
-
-      speedTest = new SpeedTest(speedTestData);
+      });
       await speedTest.save();
-      console.log('✅ Speed test result saved successfully:', speedTest._id);
-
+      console.log('✅ Browser speed test saved:', speedTest._id);
     } catch (saveError) {
-      console.error('❌ Failed to save speed test result:', saveError);
+      console.error('❌ Failed to save browser speed test:', saveError);
       speedTest = { _id: 'unsaved' };
     }
 
-    // Update ISP statistics (non-blocking)
-    if (isp._id) {
+    if (isp._id && verified) {
       updateISPStats(isp._id).catch(error => {
         console.error('Failed to update ISP stats:', error);
       });
     }
 
-    // Update session (non-blocking)
     if (session._id) {
       UserSession.findByIdAndUpdate(session._id, {
         lastActivity: new Date(),
@@ -275,47 +431,320 @@ router.post('/comprehensive', async (req, res) => {
       });
     }
 
-    // Prepare response
-    const response = {
+    res.status(verified ? 201 : 202).json({
       testId: speedTest._id,
       results: {
-        download: {
-          speed: testResult.results?.download?.speed || 0,
-          consistency: testResult.results?.download?.consistency || 0
-        },
-        upload: {
-          speed: testResult.results?.upload?.speed || 0,
-          consistency: testResult.results?.upload?.consistency || 0
-        },
+        download: results.download,
+        upload: results.upload,
         latency: {
-          avg: testResult.results?.latency?.avg || 0,
-          min: testResult.results?.latency?.min || 0,
-          max: testResult.results?.latency?.max || 0,
-          jitter: testResult.results?.latency?.jitter || 0
+          avg: results.latency.avg,
+          min: results.latency.min,
+          max: results.latency.max,
+          jitter: results.latency.jitter
         },
-        packetLoss: testResult.results?.packetLoss || 0,
-        quality: testResult.results?.quality || { score: qualityScore, grade: 'N/A' }
-      },
-      metadata: {
-        server: testResult.server || { id: 'unknown', location: 'Unknown' },
-        duration: testResult.metadata?.duration || 0,
-        reliability: testResult.metadata?.reliability || 0,
-        testStages: testResult.metadata?.testStages || []
+        packetLoss: results.packetLoss,
+        experience: results.experience,
+        quality: results.quality
       },
-      location: networkInfo.location,
+      verification,
+      dualStack: ticket.dualStack,
       isp: isp.name,
+      location: networkInfo.location,
       timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Browser test submission error:', error);
+    res.status(500).json({
+      error: 'Failed to submit speed test',
+      details: error.message
+    });
+  }
+});
+
+// Results of tests a speed test node measured itself: ndt7 (see
+// services/ndt7Server) and iperf3 (services/iperf3Server). The node signs the
+// report with its node key, so the result is stored without a client-side
+// cross-check.
+//
+// Body: { token } signing { serverId, clientIP, userAgent, clientMetadata, ticketId,
+//         networkType, download, upload }, each subtest { uuid, bytes, elapsedMs,
+//         mbps, samples, rtts, minRttMs }
+const saveNodeMeasuredResult = (engineName) => async (req, res) => {
+  try {
+    const report = readNodePayload(req.body);
+    const { download, upload } = report;
+    if (!report.serverId || !report.clientIP || (!download && !upload)) {
+      return res.status(400).json({ error: 'serverId, clientIP and at least one subtest are required' });
+    }
+
+    const node = await ServerNode.findOne({ serverId: report.serverId }).lean();
+    if (!node) {
+      return res.status(404).json({ error: 'Speed test node not registered' });
+    }
+
+    // Latency is the minimum round trip seen during the subtests. A direction
+    // the client didn't run, or latency without round trips, is unmeasured (null)
+    // and stored absent, which marks the result partial (see SpeedTest.validateTest).
+    // Neither ndt7 nor iperf3 over TCP measures packet loss, so it stays absent.
+    const engine = new CustomSpeedTestEngine();
+    const rtts = numericSamples([...(download?.rtts || []), ...(upload?.rtts || [])]).slice(0, 100);
+    const downloadSamples = numericSamples(download?.samples).slice(0, 100);
+    const uploadSamples = numericSamples(upload?.samples).slice(0, 100);
+    const minRtt = rtts.length > 0 ? Math.min(...rtts) : null;
+    const clientMetadata = report.clientMetadata || {};
+    const clientName = [clientMetadata.client_name, clientMetadata.client_version].filter(Boolean).join('/');
+
+    const subtestResult = (subtest, samples) => ({
+      speed: measuredValue(subtest?.mbps) ?? null,
+      consistency: subtest ? calculateSpeedConsistency(samples) : null
+    });
+    const results = {
+      download: subtestResult(download, downloadSamples),
+      upload: subtestResult(upload, uploadSamples),
+      latency: {
+        avg: minRtt,
+        min: minRtt,
+        max: rtts.length > 0 ? Math.max(...rtts) : null,
+        jitter: rtts.length > 1 ? Math.round(engine.calculateInterarrivalJitter(rtts) * 100) / 100 : null
+      },
+      packetLoss: null
     };
+    results.quality = engine.calculateQualityMetrics(results);
+    results.experience = calculateExperienceScores(getExperienceMetrics(results));
+
+    const userAgent = report.userAgent || clientName || `${engineName} client`;
+    const networkInfo = await resolveNetworkInfo({ ip: report.clientIP, headers: { 'user-agent': userAgent } });
+    const isp = await getOrCreateISP(networkInfo.isp, networkInfo);
+
+    const speedTest = new SpeedTest({
+      downloadSpeed: measuredValue(results.download.speed),
+      uploadSpeed: measuredValue(results.upload.speed),
+      latency: measuredValue(results.latency.avg),
+      jitter: measuredValue(results.latency.jitter),
+      testDuration: (Number(download?.elapsedMs) || 0) + (Number(upload?.elapsedMs) || 0),
+      ipAddress: String(networkInfo.ip),
+      userAgent: String(userAgent).slice(0, 500),
+      networkType: NETWORK_TYPES.includes(report.networkType) ? report.networkType : (networkInfo.connectionType || 'unknown'),
+      location: locationFields(networkInfo),
+      testServerId: node._id.toString(),
+      engine: { name: engineName, version: clientName || 'unknown' },
+      serverNodeId: node._id,
+      serverLocation: {
+        city: node.location?.city,
+        country: node.location?.country
+      },
+      rawResults: {
+        downloadSamples,
+        uploadSamples,
+        latencySamples: rtts,
+        metadata: {
+          serverId: report.serverId,
+          duration: (Number(download?.elapsedMs) || 0) + (Number(upload?.elapsedMs) || 0),
+          testId: download?.uuid || upload?.uuid,
+          streams: download?.streams || upload?.streams
+        }
+      },
+      experience: results.experience,
+      ipVersion: networkInfo.ipVersion,
+      qualityScore: results.quality.score,
+      qualityGrade: results.quality.grade,
+      downloadConsistency: measuredValue(results.download.consistency),
+      uploadConsistency: measuredValue(results.upload.consistency),
+      validationNotes: hostSaturationNote({ download: download?.host?.saturation, upload: upload?.host?.saturation }),
+      ispId: isp._id
+    });
+    // Runs validateTest(), which marks partial results invalid
+    await speedTest.save();
+    console.log(`✅ ${engineName} result from ${report.serverId} saved:`, speedTest._id);
+
+    if (isp._id) {
+      updateISPStats(isp._id).catch(error => {
+        console.error('Failed to update ISP stats:', error);
+      });
+    }
 
-    console.log('✅ Sending response with enhanced network info');
-    res.json(response);
+    res.status(201).json({
+      testId: speedTest._id,
+      isValid: speedTest.isValid,
+      validationNotes: speedTest.validationNotes
+    });
 
   } catch (error) {
-    console.error('❌ Comprehensive speed test error:', error);
-    res.status(500).json({ 
-      error: 'Failed to run comprehensive speed test',
-      details: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`❌ ${engineName} result error:`, error);
+    res.status(500).json({
+      error: `Failed to save ${engineName} result`,
+      details: error.message
+    });
+  }
+};
+
+router.post('/ndt7', saveNodeMeasuredResult('ndt7'));
+router.post('/iperf3', saveNodeMeasuredResult('iperf3'));
+
+// LibreSpeed getIP support for a node: ISP, location and distance to the node
+// for the address the widget connected from (see routes/speedTestServer)
+router.post('/librespeed/ip', async (req, res) => {
+  try {
+    const { serverId, clientIP } = readNodePayload(req.body);
+    if (!clientIP) {
+      return res.status(400).json({ error: 'clientIP is required' });
+    }
+
+    const networkInfo = await resolveNetworkInfo({ ip: clientIP, headers: {} });
+    const node = serverId ? await ServerNode.findOne({ serverId }).lean() : null;
+    const distanceKm = node && hasCoordinates(node.location) && hasCoordinates(networkInfo.location)
+      ? Math.round(haversineDistance(networkInfo.location.lat, networkInfo.location.lng, node.location.lat, node.location.lng))
+      : null;
+
+    res.json({
+      ip: clientIP,
+      isp: networkInfo.isp || 'Unknown ISP',
+      location: locationFields(networkInfo),
+      distanceKm
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ LibreSpeed IP lookup error:', error);
+    res.status(500).json({
+      error: 'Failed to look up client ISP',
+      details: error.message
+    });
+  }
+});
+
+// LibreSpeed telemetry forwarded by a node. The widget only reports rates, so
+// they are checked against the node's log for the ticket the widget used, if any.
+// Tests from the same address and browser share a session.
+//
+// Body: { token } signing { serverId, clientIP, userAgent, dl, ul, ping, jitter, extra,
+//         ticketId, serverLog }, rates in Mbps and times in ms as LibreSpeed sends them
+router.post('/librespeed', async (req, res) => {
+  try {
+    const report = readNodePayload(req.body);
+    if (!report.serverId || !report.clientIP) {
+      return res.status(400).json({ error: 'serverId and clientIP are required' });
+    }
+
+    const node = await ServerNode.findOne({ serverId: report.serverId }).lean();
+    if (!node) {
+      return res.status(404).json({ error: 'Speed test node not registered' });
+    }
+
+    // LibreSpeed sends "" or "Fail" for tests that didn't run; those stay unmeasured
+    // (undefined) so the result is stored partial, as is packet loss, which it never measures
+    const reported = (value) => {
+      if (typeof value !== 'number' && (typeof value !== 'string' || value.trim() === '')) return undefined;
+      const number = Number(value);
+      return Number.isFinite(number) && number >= 0 ? Math.round(number * 100) / 100 : undefined;
+    };
+    // No samples either, so consistency scores as it does for runs too short to vary
+    const directionResult = (value) => {
+      const speed = reported(value);
+      return { speed, consistency: speed === undefined ? undefined : calculateSpeedConsistency([]) };
+    };
+    const results = {
+      download: directionResult(report.dl),
+      upload: directionResult(report.ul),
+      latency: { avg: reported(report.ping), jitter: reported(report.jitter) }
+    };
+    results.quality = new CustomSpeedTestEngine().calculateQualityMetrics(results);
+    results.experience = calculateExperienceScores(getExperienceMetrics(results));
+
+    const verification = checkReportedRates(
+      { download: results.download.speed, upload: results.upload.speed },
+      report.serverLog
+    );
+    const verified = verification.status === 'verified';
+    console.log(`🔎 LibreSpeed telemetry from ${report.clientIP}: ${verification.status}`);
+
+    // The widget reports no duration; the node's byte windows stand in for it
+    const testDuration = ['download', 'upload'].reduce((total, direction) => {
+      const logged = report.serverLog?.[direction];
+      return total + (logged?.firstByteAt && logged?.lastByteAt ? logged.lastByteAt - logged.firstByteAt : 0);
+    }, 0);
+
+    const userAgent = String(report.userAgent || 'LibreSpeed');
+    const networkInfo = await resolveNetworkInfo({ ip: report.clientIP, headers: { 'user-agent': userAgent } });
+    const sessionToken = `librespeed-${crypto.createHash('sha256').update(`${report.clientIP}|${userAgent}`).digest('hex').slice(0, 32)}`;
+    const session = await getOrCreateSession(sessionToken, networkInfo, userAgent);
+    const isp = await getOrCreateISP(networkInfo.isp, networkInfo);
+
+    const speedTest = new SpeedTest({
+      downloadSpeed: results.download.speed,
+      uploadSpeed: results.upload.speed,
+      latency: results.latency.avg,
+      jitter: results.latency.jitter,
+      testDuration: Math.round(testDuration),
+      ipAddress: String(networkInfo.ip),
+      userAgent: userAgent.slice(0, 500),
+      networkType: networkInfo.connectionType || 'unknown',
+      location: locationFields(networkInfo),
+      testServerId: node._id.toString(),
+      engine: { name: 'librespeed', version: 'unknown' },
+      serverNodeId: node._id,
+      serverLocation: {
+        city: node.location?.city,
+        country: node.location?.country
+      },
+      rawResults: {
+        metadata: {
+          serverId: report.serverId,
+          testId: report.ticketId || undefined
+        }
+      },
+      experience: results.experience,
+      ipVersion: networkInfo.ipVersion,
+      qualityScore: results.quality.score,
+      qualityGrade: results.quality.grade,
+      downloadConsistency: results.download.consistency,
+      uploadConsistency: results.upload.consistency,
+      verification: {
+        ticketId: report.ticketId || undefined,
+        status: verification.status,
+        checks: verification.checks
+      },
+      isSuspicious: !verified,
+      validationNotes: joinNotes([
+        verified ? null : `LibreSpeed telemetry ${verification.status}: ${verification.checks.filter(c => !c.passed).map(c => c.name).join(', ') || 'no rates reported'}`,
+        hostSaturationNote({ download: report.serverLog?.download?.saturation, upload: report.serverLog?.upload?.saturation })
+      ]),
+      ispId: isp._id,
+      sessionId: session._id
+    });
+    await speedTest.save();
+    console.log(`✅ LibreSpeed result from ${report.serverId} saved:`, speedTest._id);
+
+    if (isp._id && verified) {
+      updateISPStats(isp._id).catch(error => {
+        console.error('Failed to update ISP stats:', error);
+      });
+    }
+
+    if (session._id) {
+      UserSession.findByIdAndUpdate(session._id, {
+        lastActivity: new Date(),
+        $inc: { totalTests: 1 }
+      }).catch(error => {
+        console.error('Failed to update session:', error);
+      });
+    }
+
+    res.status(201).json({ testId: speedTest._id, verification: verification.status });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ LibreSpeed telemetry error:', error);
+    res.status(500).json({
+      error: 'Failed to save LibreSpeed result',
+      details: error.message
     });
   }
 });
@@ -351,6 +780,8 @@ router.get('/history', async (req, res) => {
       jitter: test.jitter,
       packetLoss: test.packetLoss,
       qualityScore: test.qualityScore,
+      experience: test.experience || null,
+      engine: test.engine?.name || 'custom',
       hour: new Date(test.createdAt).getHours(),
       time: `${new Date(test.createdAt).getHours()}:00`,
       isp: test.ispId ? (test.ispId.displayName || test.ispId.name) : 'Unknown'
@@ -393,7 +824,418 @@ router.get('/:testId', async (req, res) => {
   }
 });
 
-// Helper function to update ISP statistics
+// Save a finished comprehensive test and build the API response for it
+async function saveComprehensiveResult(testResult, { networkInfo, session, userAgent }) {
+  // Simulated runs are fixtures, not measurements of the caller's ISP, so they
+  // aren't attached to one (and are stored as invalid, see the SpeedTest model)
+  const simulation = testResult.metadata?.simulation || null;
+
+  // Get or create ISP record
+  const isp = simulation
+    ? { _id: null }
+    : await getOrCreateISP(networkInfo.isp || testResult.networkInfo?.isp, networkInfo);
+
+  // Calculate quality score with fallback
+  let qualityScore = 0;
+  try {
+    if (testResult.results && testResult.results.quality) {
+      qualityScore = testResult.results.quality.score || 0;
+    } else {
+      const downloadScore = Math.min(100, (testResult.results?.download?.speed || 0) / 10);
+      const uploadScore = Math.min(100, (testResult.results?.upload?.speed || 0) / 5);
+      const latencyScore = Math.max(0, 100 - (testResult.results?.latency?.avg || 100));
+      qualityScore = (downloadScore + uploadScore + latencyScore) / 3;
+    }
+  } catch (qualityError) {
+    console.warn('Quality score calculation failed:', qualityError);
+    qualityScore = 0;
+  }
+
+  // FIXED: Prepare raw results data properly for MongoDB
+  let rawResults = {
+    downloadSamples: [],
+    uploadSamples: [],
+    latencySamples: [],
+    comprehensive: null
+  };
+
+  try {
+    if (testResult.results?.download?.samples && Array.isArray(testResult.results.download.samples)) {
+      rawResults.downloadSamples = testResult.results.download.samples
+        .map(sample => typeof sample === 'object' ? sample.speed : sample)
+        .filter(speed => typeof speed === 'number' && !isNaN(speed))
+        .slice(0, 100);
+    }
+
+    if (testResult.results?.upload?.samples && Array.isArray(testResult.results.upload.samples)) {
+      rawResults.uploadSamples = testResult.results.upload.samples
+        .map(sample => typeof sample === 'object' ? sample.speed : sample)
+        .filter(speed => typeof speed === 'number' && !isNaN(speed))
+        .slice(0, 100);
+    }
+
+    if (testResult.results?.latency?.samples && Array.isArray(testResult.results.latency.samples)) {
+      rawResults.latencySamples = testResult.results.latency.samples
+        .filter(latency => typeof latency === 'number' && !isNaN(latency))
+        .slice(0, 50);
+    }
+
+    rawResults.comprehensive = {
+      serverId: testResult.server?.id,
+      duration: testResult.metadata?.duration,
+      stages: testResult.metadata?.testStages?.length || 0,
+      reliability: testResult.metadata?.reliability ?? null
+    };
+
+  } catch (rawError) {
+    console.warn('Raw results preparation failed:', rawError);
+    rawResults = {
+      downloadSamples: [],
+      uploadSamples: [],
+      latencySamples: [],
+      comprehensive: null
+    };
+  }
+
+  const experience = calculateExperienceScores(getExperienceMetrics(testResult.results || {}));
+
+  // Save comprehensive test result
+  let speedTest;
+  try {
+    const speedTestData = {
+      downloadSpeed: measuredValue(testResult.results?.download?.speed),
+      uploadSpeed: measuredValue(testResult.results?.upload?.speed),
+      latency: measuredValue(testResult.results?.latency?.avg),
+      jitter: measuredValue(testResult.results?.latency?.jitter),
+      packetLoss: measuredValue(testResult.results?.packetLoss),
+      packetLossDetails: testResult.results?.packetLossDetails || undefined,
+      // Only stored when the probe measured at least one direction
+      loadedLatency: testResult.results?.loadedLatency?.bufferbloatGrade ? {
+        idle: Number(testResult.results.loadedLatency.idle) || 0,
+        download: testResult.results.loadedLatency.download?.median ?? undefined,
+        upload: testResult.results.loadedLatency.upload?.median ?? undefined,
+        downloadP95: testResult.results.loadedLatency.download?.p95 ?? undefined,
+        uploadP95: testResult.results.loadedLatency.upload?.p95 ?? undefined,
+        bufferbloatGrade: testResult.results.loadedLatency.bufferbloatGrade
+      } : undefined,
+      experience,
+      ipVersion: networkInfo.ipVersion,
+      connectionTiming: summarizeConnectionTiming(testResult.results?.connectionTiming),
+      pathAnalysis: testResult.results?.pathAnalysis?.available ? testResult.results.pathAnalysis : undefined,
+      ...getServerCheckFields(testResult.results),
+      testDuration: Number(testResult.metadata?.duration) || 0,
+      ipAddress: String(networkInfo.ip),
+      userAgent: String(userAgent || 'Unknown'),
+      deviceInfo: testResult.deviceInfo || {
+        cpu: 'Unknown',
+        memory: 'Unknown',
+        os: 'Unknown'
+      },
+      networkType: networkInfo.connectionType || 'unknown',
+      location: {
+        city: String(networkInfo.location.city || 'Unknown'),
+        region: String(networkInfo.location.region || 'Unknown'),
+        country: String(networkInfo.location.country || 'Unknown'),
+        lat: Number(networkInfo.location.lat) || 0,
+        lng: Number(networkInfo.location.lng) || 0,
+        timezone: String(networkInfo.location.timezone || 'UTC')
+      },
+      testServerId: String(testResult.server?.id || 'unknown'),
+      engine: testResult.engine,
+      serverNodeId: testResult.server?.serverNodeId || undefined,
+      serverLocation: {
+        city: testResult.server?.city,
+        country: testResult.server?.country,
+        distance: typeof testResult.server?.distance === 'number' ? testResult.server.distance : undefined
+      },
+      rawResults: rawResults,
+      qualityScore: Number(qualityScore),
+      isSimulated: Boolean(simulation),
+      simulation: simulation || undefined,
+      ispId: isp._id || undefined,
+      sessionId: session._id
+    };
+
+    speedTest = new SpeedTest(speedTestData);
+    await speedTest.save();
+    console.log('✅ Speed test result saved successfully:', speedTest._id);
+
+  } catch (saveError) {
+    console.error('❌ Failed to save speed test result:', saveError);
+    speedTest = { _id: 'unsaved' };
+  }
+
+  // Update ISP statistics (non-blocking)
+  if (isp._id) {
+    updateISPStats(isp._id).catch(error => {
+      console.error('Failed to update ISP stats:', error);
+    });
+  }
+
+  // Update session (non-blocking)
+  if (session._id) {
+    UserSession.findByIdAndUpdate(session._id, {
+      lastActivity: new Date(),
+      $inc: { totalTests: 1 }
+    }).catch(error => {
+      console.error('Failed to update session:', error);
+    });
+  }
+
+  // Prepare response
+  const response = {
+    testId: speedTest._id,
+    results: {
+      download: {
+        speed: testResult.results?.download?.speed ?? null,
+        consistency: testResult.results?.download?.consistency ?? null,
+        ...(testResult.results?.download?.error ? { error: testResult.results.download.error } : {})
+      },
+      upload: {
+        speed: testResult.results?.upload?.speed ?? null,
+        consistency: testResult.results?.upload?.consistency ?? null,
+        ...(testResult.results?.upload?.error ? { error: testResult.results.upload.error } : {})
+      },
+      latency: {
+        avg: testResult.results?.latency?.avg ?? null,
+        min: testResult.results?.latency?.min ?? null,
+        max: testResult.results?.latency?.max ?? null,
+        jitter: testResult.results?.latency?.jitter ?? null,
+        percentiles: testResult.results?.latency?.percentiles || null,
+        method: testResult.results?.latency?.method || 'http'
+      },
+      loadedLatency: testResult.results?.loadedLatency?.bufferbloatGrade ? {
+        idle: testResult.results.loadedLatency.idle,
+        download: {
+          median: testResult.results.loadedLatency.download.median,
+          p95: testResult.results.loadedLatency.download.p95,
+          increase: testResult.results.loadedLatency.downloadIncrease
+        },
+        upload: {
+          median: testResult.results.loadedLatency.upload.median,
+          p95: testResult.results.loadedLatency.upload.p95,
+          increase: testResult.results.loadedLatency.uploadIncrease
+        },
+        bufferbloatGrade: testResult.results.loadedLatency.bufferbloatGrade
+      } : null,
+      packetLoss: testResult.results?.packetLoss ?? null,
+      packetLossDetails: testResult.results?.packetLossDetails || null,
+      connectionTiming: testResult.results?.connectionTiming ? {
+        ...summarizeConnectionTiming(testResult.results.connectionTiming),
+        phases: {
+          dns: testResult.results.connectionTiming.dns,
+          tcp: testResult.results.connectionTiming.tcp,
+          tls: testResult.results.connectionTiming.tls,
+          ttfb: testResult.results.connectionTiming.ttfb,
+          transfer: testResult.results.connectionTiming.transfer
+        }
+      } : null,
+      pathAnalysis: testResult.results?.pathAnalysis || null,
+      serverAccounting: {
+        download: testResult.results?.download?.serverAccounting || null,
+        upload: testResult.results?.upload?.serverAccounting || null
+      },
+      serverLimit: testResult.results?.download?.serverLimit || null,
+      experience,
+      quality: testResult.results?.quality || { score: qualityScore, grade: 'N/A' }
+    },
+    metadata: {
+      engine: testResult.engine,
+      server: testResult.server || { id: 'unknown', location: 'Unknown' },
+      duration: testResult.metadata?.duration || 0,
+      reliability: testResult.metadata?.reliability ?? null,
+      testStages: testResult.metadata?.testStages || [],
+      simulation
+    },
+    location: networkInfo.location,
+    ipVersion: networkInfo.ipVersion,
+    isp: isp.name,
+    timestamp: new Date().toISOString()
+  };
+
+  return { speedTest, response };
+}
+
+// Checks against the node's own view: a disagreement with its transfer records
+// flags the test as suspicious, a download at its serve limit is noted, and so
+// is a direction that failed against the node
+function getServerCheckFields(results = {}) {
+  const fields = {};
+  const notes = [];
+  const failures = ['download', 'upload']
+    .filter(direction => results[direction]?.error)
+    .map(direction => `${direction} failed: ${results[direction].error}`);
+  notes.push(...failures);
+  const download = results.download?.serverAccounting;
+  const upload = results.upload?.serverAccounting;
+
+  if (download || upload) {
+    fields.serverAccounting = { download, upload };
+
+    const disagreements = Object.entries({ download, upload })
+      .filter(([, accounting]) => accounting?.status === 'disagreement')
+      .map(([direction, accounting]) => `${direction} client ${accounting.clientMbps} Mbps vs server ${accounting.serverMbps} Mbps`);
+    if (disagreements.length > 0) {
+      fields.isSuspicious = true;
+      notes.push(`Server accounting disagrees: ${disagreements.join(', ')}`);
+    }
+  }
+
+  const serverLimit = results.download?.serverLimit;
+  if (serverLimit) {
+    fields.serverLimit = { maxServeMbps: serverLimit.maxServeMbps, downloadLimited: serverLimit.limited };
+    if (serverLimit.limited) {
+      notes.push(`Download limited by the test server (max ${serverLimit.maxServeMbps} Mbps)`);
+    }
+  }
+
+  const saturationNote = hostSaturationNote({ download: download?.hostSaturation, upload: upload?.hostSaturation });
+  if (saturationNote) {
+    notes.push(saturationNote);
+  }
+
+  if (notes.length > 0) {
+    fields.validationNotes = notes.join('; ');
+  }
+  return fields;
+}
+
+// Note for a test during which the node hit a limit (see services/hostTelemetry),
+// so the result reads as the server's ceiling rather than the client's link.
+// Takes the limits per direction, e.g. { download: ['process_cpu', 'nic'] }.
+function hostSaturationNote(saturation) {
+  const parts = ['download', 'upload']
+    .map(direction => [direction, Array.isArray(saturation[direction]) ? saturation[direction].map(String).slice(0, 4) : []])
+    .filter(([, limits]) => limits.length > 0)
+    .map(([direction, limits]) => `${direction} (${limits.join(', ')})`);
+  return parts.length > 0 ? `Test server saturated during ${parts.join(', ')}` : undefined;
+}
+
+const joinNotes = (notes) => notes.filter(Boolean).join('; ') || undefined;
+
+// Engine figures as stored: metrics the engine didn't measure (null) stay absent
+const measuredValue = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : undefined);
+
+// Flatten engine results into the metrics the experience scores use
+function getExperienceMetrics(results) {
+  const loaded = results.loadedLatency;
+  const loadedMedians = loaded
+    ? [loaded.download?.median, loaded.upload?.median].filter(value => typeof value === 'number')
+    : [];
+
+  return {
+    download: measuredValue(results.download?.speed),
+    upload: measuredValue(results.upload?.speed),
+    latency: measuredValue(results.latency?.avg),
+    jitter: measuredValue(results.latency?.jitter),
+    packetLoss: measuredValue(results.packetLoss),
+    loadedLatency: loadedMedians.length > 0 ? Math.max(...loadedMedians) : undefined
+  };
+}
+
+// Median per phase, as stored on SpeedTest
+function summarizeConnectionTiming(timing) {
+  if (!timing) return undefined;
+
+  const median = (phase) => timing[phase] ? timing[phase].median : undefined;
+  return {
+    dns: median('dns'),
+    tcp: median('tcp'),
+    tls: median('tls'),
+    ttfb: median('ttfb'),
+    transfer: median('transfer'),
+    total: median('total'),
+    bottleneck: timing.bottleneck || undefined,
+    samples: timing.samples
+  };
+}
+
+// SpeedTest location fields from resolved network info
+function locationFields(networkInfo) {
+  return {
+    city: String(networkInfo.location.city || 'Unknown'),
+    region: String(networkInfo.location.region || 'Unknown'),
+    country: String(networkInfo.location.country || 'Unknown'),
+    lat: Number(networkInfo.location.lat) || 0,
+    lng: Number(networkInfo.location.lng) || 0,
+    timezone: String(networkInfo.location.timezone || 'UTC')
+  };
+}
+
+// Finite, non-negative numbers from a client-supplied list
+function numericSamples(values) {
+  return (Array.isArray(values) ? values : [])
+    .map(Number)
+    .filter(value => Number.isFinite(value) && value >= 0);
+}
+
+// Network info for the caller, with a Johannesburg fallback if detection fails
+async function resolveNetworkInfo(req) {
+  try {
+    return await getEnhancedNetworkInfo(req);
+  } catch (locationError) {
+    console.warn('Enhanced location detection failed:', locationError);
+    return {
+      ip: '127.0.0.1',
+      ipVersion: getIPVersion(req.ip),
+      isp: 'Unknown ISP',
+      location: {
+        country: 'ZA',
+        region: 'Gauteng',
+        city: 'Johannesburg',
+        lat: -26.2041,
+        lng: 28.0473
+      },
+      connectionType: 'ethernet'
+    };
+  }
+}
+
+async function getOrCreateSession(sessionToken, networkInfo, userAgent) {
+  try {
+    let session = await UserSession.findOne({ sessionToken });
+    if (!session) {
+      session = new UserSession({
+        sessionToken,
+        ipAddress: networkInfo.ip,
+        userAgent: userAgent || 'Unknown',
+        location: networkInfo.location
+      });
+      await session.save();
+      console.log('✅ Created new session:', session._id);
+    } else {
+      console.log('✅ Found existing session:', session._id);
+    }
+    return session;
+  } catch (sessionError) {
+    console.error('Session error:', sessionError);
+    return { _id: null };
+  }
+}
+
+async function getOrCreateISP(ispName, networkInfo) {
+  const name = ispName || 'Unknown ISP';
+  try {
+    let isp = await ISP.findOne({ name });
+    if (!isp) {
+      isp = new ISP({
+        name,
+        displayName: name,
+        country: networkInfo.location.country || 'Unknown',
+        region: networkInfo.location.region || 'Unknown'
+      });
+      await isp.save();
+      console.log('✅ Created new ISP record:', isp._id);
+    }
+    return isp;
+  } catch (ispError) {
+    console.error('ISP creation error:', ispError);
+    return { _id: null, name };
+  }
+}
+
+// Helper function to update ISP statistics. Like the SpeedTest post-save hook,
+// only valid, unflagged tests count; partial results are stored as invalid.
 async function updateISPStats(ispId) {
   try {
     const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
@@ -402,7 +1244,9 @@ async function updateISPStats(ispId) {
       { 
         $match: { 
           ispId: ispId,
-          createdAt: { $gte: thirtyDaysAgo }
+          createdAt: { $gte: thirtyDaysAgo },
+          isValid: true,
+          isSuspicious: { $ne: true }
         }
       },
       {
@@ -443,6 +1287,11 @@ function calculateReliabilityScore(speeds, packetLosses) {
   const variance = speeds.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / speeds.length;
   const consistencyScore = Math.max(0, 100 - (variance / mean) * 100);
 
+  // Tests from engines without loss measurement have no packetLoss to average
+  if (!packetLosses || packetLosses.length === 0) {
+    return Math.round(consistencyScore * 100) / 100;
+  }
+
   const avgPacketLoss = packetLosses.reduce((a, b) => a + b, 0) / packetLosses.length;
   const packetLossScore = Math.max(0, 100 - avgPacketLoss * 10);
 
@@ -1,106 +1,525 @@
+// Measurement endpoints of a speed test node: ping, download, upload, the
+// LibreSpeed-compatible paths, transfer records and the ticket log. This is the
+// one implementation of them, mounted at the root of a standalone node (see
+// services/speedTestNode) and under /speedtest in the main API when it serves
+// tests itself (SPEEDTEST_MODE, see server.js).
+//
+// WebSocket, UDP and iperf3 tests need listeners of their own, so only a
+// standalone node offers them; /api/info lists what the mount it is read from
+// serves, with paths under that mount.
+
 const express = require('express');
-const crypto = require('crypto');
-const router = express.Router();
-
-// Ping endpoint for latency testing
-router.get('/ping', (req, res) => {
-  res.json({
-    timestamp: Date.now(),
-    server: 'netpulse-primary',
-    packet: req.query.packet || 0
-  });
-});
-
-router.head('/ping', (req, res) => {
-  res.status(200).end();
-});
-
-// Download endpoint - serves random data of specified size
-router.get('/download/:sizeMB', (req, res) => {
-  const sizeMB = parseInt(req.params.sizeMB) || 1;
-  const sizeBytes = sizeMB * 1024 * 1024;
-  
-  // Validate size limits
-  if (sizeMB > 100) {
-    return res.status(400).json({ error: 'Maximum download size is 100MB' });
+const cors = require('cors');
+const { normalizeTicketIP } = require('../utils/testTicket');
+const { getNodeId, sendToBackend } = require('../services/nodeRegistration');
+const { MAX_LOOKUP_IDS, preciseNow, startTransfer, getTransfer, getTransfers, activeTransferCount } = require('../services/transferRecorder');
+const { streamPayload, runServeBenchmark, getLastBenchmark, isBenchmarkRunning } = require('../services/payloadPool');
+const { linkEmulation, paceIncoming, listLinkProfiles, LINK_QUERY_PARAMETERS, LINK_LIMITS } = require('../services/linkEmulator');
+const {
+  ticketsRequired,
+  findTicketLog,
+  recordTicketTransfer,
+  checkTestTicket,
+  requireTestTicket,
+  reserveTicketBytes,
+  releaseTicketBytes,
+  reserveUploadBudget,
+  summarizeTransfers
+} = require('../services/ticketLedger');
+
+// LibreSpeed's backend paths; the .php suffix is optional, as in its Go backend
+const LIBRESPEED_PATHS = {
+  garbage: ['/backend/garbage.php', '/backend/garbage'],
+  empty: ['/backend/empty.php', '/backend/empty'],
+  getIP: ['/backend/getIP.php', '/backend/getIP'],
+  telemetry: ['/results/telemetry.php', '/results/telemetry']
+};
+
+const MAX_UPLOAD_BYTES = 100 * 1024 * 1024;
+const BENCHMARK_COOLDOWN = 60 * 1000;
+const LIBRESPEED_CHUNK_BYTES = 1024 * 1024;
+const LIBRESPEED_MAX_CHUNKS = 1024;
+const ISP_LOOKUP_TTL = 10 * 60 * 1000;
+const ispLookups = new Map();
+
+const noStore = {
+  'Cache-Control': 'no-store, no-cache, must-revalidate, max-age=0',
+  'Pragma': 'no-cache'
+};
+
+// Random payload of `sizeBytes`, charged to the request's ticket and recorded as
+// a transfer. `headers` are added to the no-cache response headers.
+function sendPayload(req, res, sizeBytes, headers = {}) {
+  if (reserveTicketBytes(req, 'download', sizeBytes) === null) {
+    return res.status(403).json({ error: 'Ticket download budget exceeded' });
   }
 
+  // Flushed = the last chunk has been handed to the kernel
+  const transfer = startTransfer(req, res, 'download', sizeBytes);
+  let flushedAt = null;
+  res.on('finish', () => {
+    flushedAt = preciseNow();
+  });
+  res.on('close', () => {
+    transfer.finish({ completed: flushedAt !== null, lastByteAt: flushedAt });
+    releaseTicketBytes(req, 'download', sizeBytes - transfer.bytes);
+    recordTicketTransfer(req, transfer);
+  });
+
+  // Set response headers
   res.set({
     'Content-Type': 'application/octet-stream',
     'Content-Length': sizeBytes,
     'Cache-Control': 'no-cache, no-store, must-revalidate',
     'Pragma': 'no-cache',
-    'Expires': '0'
+    'Expires': '0',
+    ...headers
   });
 
-  // Stream random data in chunks to avoid memory issues
-  const chunkSize = 64 * 1024; // 64KB chunks
-  let bytesWritten = 0;
+  // Pre-generated payload, written with backpressure; smaller chunks on emulated
+  // links keep the pacing smooth at low rates
+  streamPayload(res, sizeBytes, {
+    chunkSize: req.link ? 16 * 1024 : undefined,
+    reserve: req.link ? (bytes) => req.link.reserve('download', bytes) : undefined,
+    onChunk: (bytes) => transfer.addBytes(bytes),
+    onStall: (ms) => transfer.addStall(ms)
+  });
+}
+
+// Read and discard an upload body as a recorded transfer, then hand the
+// finished record to `done` to answer the request
+function receivePayload(req, res, done) {
+  const declaredBytes = parseInt(req.headers['content-length'], 10);
+  if (declaredBytes > MAX_UPLOAD_BYTES) {
+    return res.status(413).json({ error: 'Maximum upload size is 100MB' });
+  }
+
+  const transfer = startTransfer(req, res, 'upload', declaredBytes);
+  res.on('close', () => {
+    transfer.finish({ completed: transfer.completed });
+    recordTicketTransfer(req, transfer);
+  });
+
+  req.on('data', (chunk) => {
+    transfer.addBytes(chunk.length);
 
-  const writeChunk = () => {
-    if (bytesWritten >= sizeBytes) {
-      res.end();
+    if (transfer.bytes > MAX_UPLOAD_BYTES) {
+      res.status(413).json({ error: 'Maximum upload size is 100MB' });
+      req.destroy();
       return;
     }
 
-    const remainingBytes = sizeBytes - bytesWritten;
-    const currentChunkSize = Math.min(chunkSize, remainingBytes);
-    const chunk = crypto.randomBytes(currentChunkSize);
-    
-    bytesWritten += currentChunkSize;
-    
-    if (res.write(chunk)) {
-      // If the write was successful and the buffer isn't full, continue immediately
-      process.nextTick(writeChunk);
-    } else {
-      // If the buffer is full, wait for drain event
-      res.once('drain', writeChunk);
+    // Emulated links read the body through the upload bucket
+    if (req.link) {
+      paceIncoming(req, chunk.length);
+    }
+  });
+
+  req.on('end', () => {
+    transfer.finish({ completed: true });
+    done(transfer.toJSON());
+  });
+
+  req.on('error', (error) => {
+    console.error('Upload error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Upload failed', details: error.message });
+    }
+  });
+}
+
+// ISP and location for a client address from the main backend, cached per
+// address and server (the distance is to the server)
+async function lookupClientISP(clientIP, { serverId, backendUrl }) {
+  const key = `${serverId}|${clientIP}`;
+  const cached = ispLookups.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.info;
+
+  const response = await sendToBackend('/api/speed-test/librespeed/ip', { serverId, clientIP }, backendUrl);
+  if (!response || !response.ok) return null;
+
+  ispLookups.set(key, { info: response.data, expiresAt: Date.now() + ISP_LOOKUP_TTL });
+  return response.data;
+}
+
+// "<ip> - <isp>, <country> (<distance>)" with ipinfo.io-style raw data, as
+// LibreSpeed's getIP.php answers ?isp=true[&distance=km|mi]
+function describeClientISP(clientIP, info, unit) {
+  let processedString = `${clientIP} - ${info.isp || 'Unknown ISP'}`;
+  if (info.location?.country) processedString += `, ${info.location.country}`;
+
+  if ((unit === 'km' || unit === 'mi') && typeof info.distanceKm === 'number') {
+    const [distance, floor] = unit === 'mi' ? [info.distanceKm / 1.609344, 15] : [info.distanceKm, 20];
+    const rounded = Math.round(distance / 10) * 10;
+    processedString += ` (${rounded < floor ? `<${floor}` : rounded} ${unit})`;
+  }
+
+  return {
+    processedString,
+    rawIspInfo: {
+      ip: clientIP,
+      org: info.isp,
+      city: info.location?.city,
+      region: info.location?.region,
+      country: info.location?.country,
+      loc: info.location ? `${info.location.lat},${info.location.lng}` : undefined
     }
   };
+}
+
+// What a mount serves. `listeners` are the standalone node's own: WebSocket
+// upgrades on its HTTP server, the UDP echo port and the iperf3 port.
+function describeCapabilities(base, { webSockets = false, udpEchoPort = null, iperf3Port = null } = {}) {
+  const supportedMethods = ['download', 'upload', 'ping', 'latency', 'librespeed'];
+  const endpoints = {
+    ping: `${base}/api/ping`,
+    download: `${base}/api/download/:sizeMB`,
+    upload: `${base}/api/upload`,
+    transfers: `${base}/api/transfers/:transferId`,
+    benchmark: `${base}/api/benchmark`,
+    librespeed: {
+      download: `${base}${LIBRESPEED_PATHS.garbage[0]}`,
+      upload: `${base}${LIBRESPEED_PATHS.empty[0]}`,
+      ping: `${base}${LIBRESPEED_PATHS.empty[0]}`,
+      getIp: `${base}${LIBRESPEED_PATHS.getIP[0]}`,
+      telemetry: `${base}${LIBRESPEED_PATHS.telemetry[0]}`
+    },
+    info: `${base}/api/info`,
+    health: `${base}/health`
+  };
+
+  if (webSockets) {
+    supportedMethods.push('websocket-echo', 'ndt7');
+    endpoints.wsEcho = '/ws/echo';
+    endpoints.ndt7Download = '/ndt/v7/download';
+    endpoints.ndt7Upload = '/ndt/v7/upload';
+  }
+  if (udpEchoPort) supportedMethods.push('udp-echo');
+  if (iperf3Port) supportedMethods.push('iperf3');
 
-  writeChunk();
-});
+  return { supportedMethods, udpEchoPort, iperf3Port, endpoints };
+}
 
-// Upload endpoint - receives and measures uploaded data
-router.post('/upload', (req, res) => {
-  const startTime = Date.now();
-  let totalBytes = 0;
+// `mode` is how this process serves tests (see services/speedTestNode); `listeners`
+// as for describeCapabilities, omitted when mounted in the main API. LibreSpeed
+// lookups and telemetry go to `backendUrl` (BACKEND_URL) as `serverId` (SERVER_ID);
+// the main API passes its own address and the ID its mount registers under.
+function createSpeedTestRouter({ mode = 'standalone', listeners = {}, serverId = getNodeId(), backendUrl } = {}) {
+  const router = express.Router();
+  const backend = { serverId, backendUrl };
 
-  req.on('data', (chunk) => {
-    totalBytes += chunk.length;
+  // LibreSpeed widgets are embedded on partners' sites, so those endpoints accept
+  // any origin. Registered first so their preflights are answered here.
+  router.use(Object.values(LIBRESPEED_PATHS).flat(), cors());
+
+  // Enhanced CORS middleware
+  router.use(cors({
+    origin: ['http://localhost:3000', 'http://localhost:5000', 'http://127.0.0.1:3000', 'http://127.0.0.1:5000'],
+    methods: ['GET', 'POST', 'HEAD', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Content-Length', 'Cache-Control', 'Pragma', 'Expires', 'X-Test-Ticket', 'X-Transfer-Id', 'X-Link-Profile', 'X-Link-Emulation'],
+    exposedHeaders: ['X-Link-Emulation', 'X-Transfer-Id'],
+    credentials: true
+  }));
+
+  // Handle preflight requests
+  router.options('*', cors());
+
+  // Download and upload only serve requests carrying a ticket minted by the main
+  // backend (see services/testTicketService), checked before any body is read
+  router.use(['/api/download', '/api/upload', ...LIBRESPEED_PATHS.garbage], requireTestTicket);
+  router.use(LIBRESPEED_PATHS.empty, (req, res, next) => (req.method === 'POST' ? requireTestTicket(req, res, next) : next()));
+  router.use(['/api/upload', ...LIBRESPEED_PATHS.empty], reserveUploadBudget);
+
+  // Link emulation for measurement endpoints (see services/linkEmulator)
+  router.use(['/health', '/api/ping', '/api/download', '/api/upload', ...LIBRESPEED_PATHS.garbage, ...LIBRESPEED_PATHS.empty], linkEmulation());
+
+  // Upload bodies are streamed by the route itself so every byte is timed on arrival
+  router.use(express.json());
+
+  // Health check endpoint
+  router.get('/health', (req, res) => {
+    res.json({
+      status: 'OK',
+      server: process.env.SERVER_ID || 'speedtest-local',
+      location: process.env.SERVER_LOCATION || 'localhost',
+      mode,
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime()
+    });
   });
 
-  req.on('end', () => {
-    const duration = Date.now() - startTime;
-    const speedMbps = (totalBytes * 8) / (duration / 1000) / 1000000;
+  // Ping endpoints for latency testing
+  router.get('/api/ping', (req, res) => {
+    res.set({
+      'Cache-Control': 'no-cache, no-store, must-revalidate',
+      'Pragma': 'no-cache',
+      'Expires': '0'
+    });
 
     res.json({
-      received: totalBytes,
-      duration: duration,
-      speed: Math.round(speedMbps * 100) / 100,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      server: 'netpulse-local',
+      packet: req.query.packet || 0,
+      requestTime: req.query.t || Date.now()
     });
   });
 
-  req.on('error', (error) => {
-    console.error('Upload error:', error);
-    res.status(500).json({ error: 'Upload failed' });
+  router.head('/api/ping', (req, res) => {
+    res.set({
+      'Cache-Control': 'no-cache, no-store, must-revalidate',
+      'Pragma': 'no-cache',
+      'Expires': '0'
+    });
+    res.status(200).end();
+  });
+
+  // Download endpoint: random payload, paced by the request's emulated link if any
+  router.get('/api/download/:sizeMB', (req, res) => {
+    const sizeMB = parseFloat(req.params.sizeMB) || 1;
+    const sizeBytes = Math.floor(sizeMB * 1024 * 1024);
+
+    console.log(`Download request: ${sizeMB}MB (${sizeBytes} bytes)`);
+
+    // Validate size limits
+    if (sizeMB > 100) {
+      return res.status(400).json({ error: 'Maximum download size is 100MB' });
+    }
+
+    if (sizeMB < 0) {
+      return res.status(400).json({ error: 'Size must be positive' });
+    }
+
+    sendPayload(req, res, sizeBytes, { 'Access-Control-Allow-Origin': '*' });
   });
-});
 
-// Server info endpoint
-router.get('/info', (req, res) => {
-  res.json({
-    server: 'NETPULSE Speed Test Server',
-    version: '1.0.0',
-    location: process.env.SERVER_LOCATION || 'Unknown',
-    timestamp: Date.now(),
-    capabilities: {
-      maxDownloadMB: 100,
-      maxUploadMB: 50,
-      maxConcurrentConnections: 10
+  // Upload endpoint: streams the body, timing every byte as it arrives, and
+  // reports the server-side rate between the first and last byte
+  router.post('/api/upload', (req, res) => {
+    receivePayload(req, res, (record) => {
+      const durationMs = Math.max(0.01, record.durationMs || 0);
+      const speedMbps = record.bytes > 0 ? (record.bytes * 8) / (durationMs * 1000) : 0;
+
+      console.log(`Upload completed: ${record.bytes} bytes in ${durationMs.toFixed(1)}ms (${speedMbps.toFixed(2)} Mbps)`);
+
+      res.set({
+        'Cache-Control': 'no-cache, no-store, must-revalidate',
+        'Access-Control-Allow-Origin': '*'
+      });
+
+      res.json({
+        transferId: record.transferId,
+        received: record.bytes,
+        duration: record.durationMs,
+        speed: Math.round(speedMbps * 100) / 100,
+        firstByteAt: record.firstByteAt,
+        lastByteAt: record.lastByteAt,
+        socket: record.socket,
+        link: req.link ? req.link.describe() : null,
+        timestamp: Date.now(),
+        server: 'netpulse-local'
+      });
+    });
+  });
+
+  // LibreSpeed-compatible endpoints, so partners' existing LibreSpeed widgets can
+  // use this node as a server entry. Responses follow LibreSpeed's PHP backend.
+  // garbage and empty (POST) take tickets like /api/download and /api/upload, which
+  // widgets pass by appending ?ticket= to their server URLs; getIP and telemetry
+  // are answered with the main backend's help.
+
+  // ?ckSize=<MiB>, 4 by default as in LibreSpeed
+  router.get(LIBRESPEED_PATHS.garbage, (req, res) => {
+    const chunks = Math.min(LIBRESPEED_MAX_CHUNKS, Math.max(1, parseInt(req.query.ckSize, 10) || 4));
+
+    sendPayload(req, res, chunks * LIBRESPEED_CHUNK_BYTES, {
+      'Content-Description': 'File Transfer',
+      'Content-Disposition': 'attachment; filename=random.dat',
+      'Content-Transfer-Encoding': 'binary',
+      ...noStore
+    });
+  });
+
+  // GET is LibreSpeed's ping; POST is its upload, whose body is discarded
+  router.get(LIBRESPEED_PATHS.empty, (req, res) => {
+    res.set({ ...noStore, 'Connection': 'keep-alive' }).status(200).end();
+  });
+
+  router.post(LIBRESPEED_PATHS.empty, (req, res) => {
+    receivePayload(req, res, () => {
+      res.set({ ...noStore, 'Connection': 'keep-alive' }).status(200).end();
+    });
+  });
+
+  router.get(LIBRESPEED_PATHS.getIP, async (req, res) => {
+    const clientIP = normalizeTicketIP(req.ip);
+    res.set(noStore);
+
+    if (req.query.isp !== 'true') {
+      return res.json({ processedString: clientIP, rawIspInfo: '' });
+    }
+
+    try {
+      const info = await lookupClientISP(clientIP, backend);
+      res.json(info ? describeClientISP(clientIP, info, req.query.distance) : { processedString: clientIP, rawIspInfo: '' });
+    } catch (error) {
+      console.warn('⚠️ ISP lookup failed:', error.message);
+      res.json({ processedString: clientIP, rawIspInfo: '' });
+    }
+  });
+
+  // Results from the widget (FormData or urlencoded: dl, ul, ping, jitter, ispinfo,
+  // extra, log), forwarded to the main backend with this node's log for the
+  // ticket so the rates can be checked. Answers "id <testId>" like telemetry.php.
+  router.post(LIBRESPEED_PATHS.telemetry, express.raw({ type: () => true, limit: '256kb' }), async (req, res) => {
+    try {
+      const form = await new Response(req.body, { headers: { 'Content-Type': req.headers['content-type'] || '' } }).formData();
+      const field = (name) => (form.has(name) ? String(form.get(name)) : undefined);
+      // Only a valid ticket for this client unlocks the node's log
+      const ticketId = ticketsRequired() && !checkTestTicket(req) ? req.ticket.ticketId : null;
+      const log = ticketId ? findTicketLog(ticketId) : null;
+
+      const response = await sendToBackend('/api/speed-test/librespeed', {
+        serverId: backend.serverId,
+        clientIP: normalizeTicketIP(req.ip),
+        userAgent: req.headers['user-agent'] || null,
+        dl: field('dl'),
+        ul: field('ul'),
+        ping: field('ping'),
+        jitter: field('jitter'),
+        extra: field('extra')?.slice(0, 500),
+        ticketId,
+        serverLog: log ? { download: summarizeTransfers(log.downloads, false), upload: summarizeTransfers(log.uploads, false) } : null
+      }, backend.backendUrl);
+
+      if (!response) {
+        return res.status(503).type('text/plain').send('Telemetry not available');
+      }
+      if (!response.ok) {
+        return res.status(response.status).type('text/plain').send(response.data.error || 'Telemetry rejected');
+      }
+      res.type('text/plain').send(`id ${response.data.testId}`);
+    } catch (error) {
+      console.error('Telemetry error:', error);
+      res.status(400).type('text/plain').send('Invalid telemetry');
+    }
+  });
+
+  // Server info endpoint
+  router.get('/api/info', (req, res) => {
+    const { endpoints, ...capabilities } = describeCapabilities(req.baseUrl, listeners);
+
+    res.json({
+      server: 'NETPULSE Speed Test Server',
+      version: '1.0.0',
+      serverId: process.env.SERVER_ID || 'speedtest-local',
+      location: process.env.SERVER_LOCATION || 'localhost',
+      mode,
+      timestamp: Date.now(),
+      capabilities: {
+        maxDownloadMB: 100,
+        maxUploadMB: 50,
+        maxConcurrentConnections: 10,
+        ...capabilities,
+        ticketsRequired: ticketsRequired(),
+        maxServeMbps: getLastBenchmark()?.maxServeMbps ?? null,
+        linkEmulation: {
+          profiles: listLinkProfiles(),
+          defaultProfile: process.env.LINK_PROFILE || null,
+          query: LINK_QUERY_PARAMETERS,
+          headers: ['X-Link-Profile', 'X-Link-Emulation'],
+          limits: LINK_LIMITS
+        }
+      },
+      endpoints
+    });
+  });
+
+  // Self-benchmark: the rate this node can serve payload at, so results that reach
+  // it can be flagged as limited by the server rather than the client's link.
+  // Runs at startup; a rerun needs a ticket and an idle node.
+  router.get('/api/benchmark', (req, res) => {
+    const benchmark = getLastBenchmark();
+    if (!benchmark) {
+      return res.status(404).json({ error: 'No benchmark has run yet', running: isBenchmarkRunning() });
+    }
+    res.json(benchmark);
+  });
+
+  router.post('/api/benchmark', requireTestTicket, async (req, res) => {
+    const previous = getLastBenchmark();
+    if (previous && Date.now() - new Date(previous.measuredAt).getTime() < BENCHMARK_COOLDOWN) {
+      return res.json({ ...previous, cached: true });
+    }
+
+    // Live transfers would slow the benchmark down and be slowed down by it
+    if (activeTransferCount() > 0) {
+      return res.status(409).json({ error: 'Transfers in progress, try again when the node is idle' });
     }
+
+    try {
+      res.json(await runServeBenchmark());
+    } catch (error) {
+      console.error('Benchmark error:', error);
+      res.status(500).json({ error: 'Benchmark failed', details: error.message });
+    }
+  });
+
+  // Per-transfer records, looked up by the engine to reconcile its own
+  // measurements with the server's (?ids=a,b,c for several). When tickets are
+  // required, only the transfers run under the presented ticket are returned.
+  router.get('/api/transfers', requireTestTicket, (req, res) => {
+    const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (ids.length === 0) {
+      return res.status(400).json({ error: 'ids query parameter required' });
+    }
+    if (ids.length > MAX_LOOKUP_IDS) {
+      return res.status(400).json({ error: `At most ${MAX_LOOKUP_IDS} transfer IDs per request` });
+    }
+
+    res.json({ server: process.env.SERVER_ID || 'speedtest-local', ...getTransfers(ids, req.ticket?.ticketId) });
   });
-});
 
-module.exports = router;
\ No newline at end of file
+  router.get('/api/transfers/:transferId', requireTestTicket, (req, res) => {
+    const transfer = getTransfer(req.params.transferId, req.ticket?.ticketId);
+    if (!transfer) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+    res.json(transfer);
+  });
+
+  // Transfer log for a test ticket, consumed by the main backend's submission check
+  router.get('/api/tickets/:ticketId/log', (req, res) => {
+    const log = findTicketLog(req.params.ticketId);
+    if (!log) {
+      return res.status(404).json({ error: 'No transfers recorded for ticket' });
+    }
+
+    res.json({
+      ticketId: log.ticketId,
+      server: process.env.SERVER_ID || 'speedtest-local',
+      download: summarizeTransfers(log.downloads),
+      upload: summarizeTransfers(log.uploads)
+    });
+  });
+
+  // Test endpoint for connectivity verification
+  router.get('/api/test', (req, res) => {
+    res.json({
+      message: 'Speed test server is running',
+      timestamp: Date.now(),
+      clientIP: req.ip,
+      userAgent: req.headers['user-agent'],
+      timingTest: {
+        requestReceived: Date.now(),
+        processingTime: '< 1ms'
+      }
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  LIBRESPEED_PATHS,
+  createSpeedTestRouter
+};
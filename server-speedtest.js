@@ -1,311 +1,16 @@
-const express = require('express');
-const cors = require('cors');
-const crypto = require('crypto');
+// Standalone speed test node (see services/speedTestNode). The main API can
+// serve the same endpoints itself, see SPEEDTEST_MODE in server.js.
+const { startSpeedTestNode } = require('./services/speedTestNode');
 
-const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Enhanced CORS middleware
-app.use(cors({
-  origin: ['http://localhost:3000', 'http://localhost:5000', 'http://127.0.0.1:3000', 'http://127.0.0.1:5000'],
-  methods: ['GET', 'POST', 'HEAD', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Content-Length', 'Cache-Control', 'Pragma', 'Expires'],
-  credentials: true
-}));
-
-// Handle preflight requests
-app.options('*', cors());
-
-// Middleware for different content types
-app.use('/api/upload', express.raw({ type: 'application/octet-stream', limit: '100mb' }));
-app.use(express.json());
-
-// Request logging
-app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path} - ${req.ip}`);
-  next();
-});
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    server: process.env.SERVER_ID || 'speedtest-local',
-    location: process.env.SERVER_LOCATION || 'localhost',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
-  });
-});
-
-// Ping endpoints for latency testing
-app.get('/api/ping', (req, res) => {
-  res.set({
-    'Cache-Control': 'no-cache, no-store, must-revalidate',
-    'Pragma': 'no-cache',
-    'Expires': '0'
-  });
-  
-  res.json({
-    timestamp: Date.now(),
-    server: 'netpulse-local',
-    packet: req.query.packet || 0,
-    requestTime: req.query.t || Date.now()
-  });
-});
-
-app.head('/api/ping', (req, res) => {
-  res.set({
-    'Cache-Control': 'no-cache, no-store, must-revalidate',
-    'Pragma': 'no-cache',
-    'Expires': '0'
-  });
-  res.status(200).end();
-});
-
-// FIXED: Download endpoint with controlled speed and timing
-app.get('/api/download/:sizeMB', (req, res) => {
-  const sizeMB = parseFloat(req.params.sizeMB) || 1;
-  const sizeBytes = Math.floor(sizeMB * 1024 * 1024);
-  
-  console.log(`Download request: ${sizeMB}MB (${sizeBytes} bytes)`);
-  
-  // Validate size limits
-  if (sizeMB > 100) {
-    return res.status(400).json({ error: 'Maximum download size is 100MB' });
-  }
-
-  if (sizeMB < 0) {
-    return res.status(400).json({ error: 'Size must be positive' });
-  }
-
-  // Set response headers
-  res.set({
-    'Content-Type': 'application/octet-stream',
-    'Content-Length': sizeBytes,
-    'Cache-Control': 'no-cache, no-store, must-revalidate',
-    'Pragma': 'no-cache',
-    'Expires': '0',
-    'Access-Control-Allow-Origin': '*'
-  });
-
-  try {
-    // FIXED: Add artificial delay to make timing more realistic for localhost
-    const MIN_TRANSFER_TIME = 50; // Minimum 50ms for realistic timing
-    const REALISTIC_SPEED_LIMIT = 100; // Cap at 100 Mbps for localhost
-    
-    // Calculate minimum time needed for realistic speed
-    const minTimeForRealisticSpeed = (sizeBytes * 8) / (REALISTIC_SPEED_LIMIT * 1000000) * 1000;
-    const transferTime = Math.max(MIN_TRANSFER_TIME, minTimeForRealisticSpeed);
-    
-    // For small files, send all at once with controlled timing
-    if (sizeBytes <= 1024 * 1024) { // 1MB or less
-      const data = crypto.randomBytes(sizeBytes);
-      
-      // Add realistic delay
-      setTimeout(() => {
-        res.send(data);
-      }, transferTime);
-      return;
-    }
-
-    // For larger files, stream in chunks with controlled timing
-    const chunkSize = 64 * 1024; // 64KB chunks
-    const numChunks = Math.ceil(sizeBytes / chunkSize);
-    const delayBetweenChunks = transferTime / numChunks;
-    
-    let bytesWritten = 0;
-    let chunkIndex = 0;
-
-    const writeChunk = () => {
-      if (res.destroyed || res.headersSent && res.finished) {
-        return; // Client disconnected
-      }
-
-      if (bytesWritten >= sizeBytes) {
-        res.end();
-        return;
-      }
-
-      const remainingBytes = sizeBytes - bytesWritten;
-      const currentChunkSize = Math.min(chunkSize, remainingBytes);
-      
-      try {
-        const chunk = crypto.randomBytes(currentChunkSize);
-        bytesWritten += currentChunkSize;
-        chunkIndex++;
-        
-        if (res.write(chunk)) {
-          // Add delay between chunks for realistic timing
-          setTimeout(writeChunk, delayBetweenChunks);
-        } else {
-          // Buffer full, wait for drain
-          res.once('drain', () => {
-            setTimeout(writeChunk, delayBetweenChunks);
-          });
-        }
-      } catch (error) {
-        console.error('Error generating chunk:', error);
-        res.status(500).end();
-      }
-    };
-
-    // Handle client disconnect
-    req.on('close', () => {
-      console.log('Client disconnected during download');
-    });
-
-    writeChunk();
-
-  } catch (error) {
-    console.error('Download error:', error);
-    if (!res.headersSent) {
-      res.status(500).json({ error: 'Download failed', details: error.message });
-    }
-  }
-});
-
-// FIXED: Upload endpoint with proper timing and realistic speed calculation
-app.post('/api/upload', (req, res) => {
-  const startTime = process.hrtime.bigint(); // Use high-resolution timer
-  let totalBytes = 0;
-
-  console.log('Upload request started');
-
-  // Handle different content types
-  if (Buffer.isBuffer(req.body)) {
-    // Raw binary data
-    totalBytes = req.body.length;
-    processUploadResult();
-  } else {
-    // Stream processing for larger uploads
-    req.on('data', (chunk) => {
-      totalBytes += chunk.length;
-    });
-
-    req.on('end', processUploadResult);
-  }
-
-  req.on('error', (error) => {
-    console.error('Upload error:', error);
-    if (!res.headersSent) {
-      res.status(500).json({ error: 'Upload failed', details: error.message });
-    }
-  });
-
-  function processUploadResult() {
-    try {
-      const endTime = process.hrtime.bigint();
-      const durationNs = endTime - startTime;
-      const durationMs = Number(durationNs / 1000000n); // Convert to milliseconds
-      
-      // FIXED: Ensure minimum duration for realistic calculations
-      const MIN_DURATION = 1; // Minimum 1ms
-      const adjustedDuration = Math.max(durationMs, MIN_DURATION);
-      
-      // Calculate speed in Mbps
-      let speedMbps = 0;
-      if (totalBytes > 0 && adjustedDuration > 0) {
-        speedMbps = (totalBytes * 8) / (adjustedDuration / 1000) / 1000000;
-        
-        // FIXED: Cap speed at realistic localhost limits
-        const MAX_LOCALHOST_SPEED = 50; // 50 Mbps max for upload
-        speedMbps = Math.min(speedMbps, MAX_LOCALHOST_SPEED);
-        
-        // Add some realistic variation (±10%)
-        const variation = (Math.random() - 0.5) * 0.2; // ±10%
-        speedMbps = speedMbps * (1 + variation);
-        speedMbps = Math.max(1, speedMbps); // Minimum 1 Mbps
-      }
-
-      console.log(`Upload completed: ${totalBytes} bytes in ${adjustedDuration}ms (${speedMbps.toFixed(2)} Mbps)`);
-
-      res.set({
-        'Cache-Control': 'no-cache, no-store, must-revalidate',
-        'Access-Control-Allow-Origin': '*'
-      });
-
-      res.json({
-        received: totalBytes,
-        duration: adjustedDuration,
-        speed: Math.round(speedMbps * 100) / 100,
-        timestamp: Date.now(),
-        server: 'netpulse-local',
-        debug: {
-          originalDurationMs: durationMs,
-          adjustedDurationMs: adjustedDuration,
-          rawSpeedMbps: totalBytes > 0 ? (totalBytes * 8) / (adjustedDuration / 1000) / 1000000 : 0
-        }
-      });
-    } catch (error) {
-      console.error('Error processing upload result:', error);
-      if (!res.headersSent) {
-        res.status(500).json({ error: 'Upload processing failed', details: error.message });
-      }
-    }
-  }
-});
-
-// Server info endpoint
-app.get('/api/info', (req, res) => {
-  res.json({
-    server: 'NETPULSE Speed Test Server',
-    version: '1.0.0',
-    location: process.env.SERVER_LOCATION || 'localhost',
-    timestamp: Date.now(),
-    capabilities: {
-      maxDownloadMB: 100,
-      maxUploadMB: 50,
-      maxConcurrentConnections: 10,
-      supportedMethods: ['download', 'upload', 'ping', 'latency'],
-      realisticSpeedLimits: {
-        downloadMbps: 100,
-        uploadMbps: 50
-      }
-    },
-    endpoints: {
-      ping: '/api/ping',
-      download: '/api/download/:sizeMB',
-      upload: '/api/upload',
-      info: '/api/info',
-      health: '/health'
-    }
-  });
-});
-
-// Test endpoint for connectivity verification
-app.get('/api/test', (req, res) => {
-  res.json({
-    message: 'Speed test server is running',
-    timestamp: Date.now(),
-    clientIP: req.ip,
-    userAgent: req.headers['user-agent'],
-    timingTest: {
-      requestReceived: Date.now(),
-      processingTime: '< 1ms'
-    }
-  });
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Server error:', err);
-  
-  if (!res.headersSent) {
-    res.status(500).json({
-      error: 'Internal server error',
-      message: err.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({ 
-    error: 'Endpoint not found',
-    availableEndpoints: ['/health', '/api/ping', '/api/download/:sizeMB', '/api/upload', '/api/info', '/api/test']
-  });
-});
+let app;
+try {
+  ({ app } = startSpeedTestNode({ port: PORT, mode: 'standalone' }));
+} catch (error) {
+  console.error('❌ Unable to start speed test node:', error.message);
+  process.exit(1);
+}
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
@@ -318,13 +23,4 @@ process.on('SIGINT', () => {
   process.exit(0);
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Fixed Speed Test Server running on port ${PORT}`);
-  console.log(`📡 Available at: http://localhost:${PORT}`);
-  console.log(`🔍 Health check: http://localhost:${PORT}/health`);
-  console.log(`📊 Server info: http://localhost:${PORT}/api/info`);
-  console.log(`🧪 Test endpoint: http://localhost:${PORT}/api/test`);
-  console.log(`⚡ Features: Realistic speed limits, proper timing, controlled transfers`);
-});
-
-module.exports = app;
\ No newline at end of file
+module.exports = app;
@@ -13,11 +13,45 @@ const speedTestRoutes = require('./routes/speedTest');
 const ispRoutes = require('./routes/isp');
 const analyticsRoutes = require('./routes/analytics');
 const monitoringRoutes = require('./routes/monitoring');
+const serverRoutes = require('./routes/servers');
 const { startBackgroundServices } = require('./services/backgroundService');
-const { initializeWebSocket } = require('./services/websocketService');
+const { initializeWebSocket } = require('./services/webSocketService');
+const { getSpeedTestMode, servesEmbedded } = require('./utils/speedTestMode');
+const { startNodeRegistration, getNodeId } = require('./services/nodeRegistration');
+const { checkTicketConfiguration } = require('./services/ticketLedger');
+const { checkTicketSecret } = require('./services/testTicketService');
 
 const app = express();
 const server = http.createServer(app);
+const speedTestMode = getSpeedTestMode();
+
+// Tickets are bound to req.ip, so behind a reverse proxy set TRUST_PROXY to its
+// address for X-Forwarded-For to be read (and to nothing else)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
+const PORT = process.env.PORT || 5000;
+
+// The embedded endpoints register as a server of their own (next to a node run
+// in-process in 'both' mode), so the engine and tickets send clients to them,
+// and report LibreSpeed results to this API directly
+const embeddedSpeedTest = {
+  serverId: `${getNodeId()}-embedded`,
+  basePath: '/speedtest',
+  backendUrl: process.env.BACKEND_URL || `http://127.0.0.1:${PORT}`
+};
+
+// Speed test endpoints (see routes/speedTestServer) bring their own CORS rules
+// and read upload bodies themselves, so they go ahead of the API's middleware
+if (servesEmbedded(speedTestMode)) {
+  const { createSpeedTestRouter } = require('./routes/speedTestServer');
+  app.use(embeddedSpeedTest.basePath, createSpeedTestRouter({
+    mode: speedTestMode,
+    serverId: embeddedSpeedTest.serverId,
+    backendUrl: embeddedSpeedTest.backendUrl
+  }));
+}
 
 // Security middleware
 app.use(helmet());
@@ -56,6 +90,7 @@ app.use('/api/speed-test', speedTestRoutes);
 app.use('/api/isp', ispRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/monitoring', monitoringRoutes);
+app.use('/api/servers', serverRoutes);
 
 // Error handling
 app.use((err, req, res, next) => {
@@ -71,11 +106,14 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
-const PORT = process.env.PORT || 5000;
-
 // Start server
 async function startServer() {
   try {
+    // Tickets the API issues only verify on nodes sharing its secret, and the
+    // embedded endpoints need the secret as much as a node does
+    const ticketError = checkTicketSecret() || (servesEmbedded(speedTestMode) ? checkTicketConfiguration() : null);
+    if (ticketError) throw ticketError;
+
     // Connect to MongoDB
     await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/netpulse');
     
@@ -91,6 +129,17 @@ async function startServer() {
       console.log(`🚀 NETPULSE Server running on port ${PORT}`);
       console.log(`📊 WebSocket server initialized`);
     });
+
+    if (servesEmbedded(speedTestMode)) {
+      console.log(`⚡ Speed test endpoints at ${embeddedSpeedTest.basePath} (${speedTestMode} mode)`);
+      startNodeRegistration(server, { port: PORT, publicPort: PORT, version: '1.0.0', ...embeddedSpeedTest });
+    }
+
+    // A speed test node of its own for WebSocket, UDP and iperf3 tests
+    if (speedTestMode === 'both') {
+      const { startSpeedTestNode } = require('./services/speedTestNode');
+      startSpeedTestNode({ port: process.env.SPEEDTEST_PORT || 3001, mode: speedTestMode });
+    }
   } catch (error) {
     console.error('❌ Unable to start server:', error);
     process.exit(1);
@@ -0,0 +1,170 @@
+// Admission queue for speed test runs.
+// Concurrent runs against the same node share its uplink and skew each
+// other's throughput, so each node admits at most `capacity` runs at a time
+// (ServerNode.capacity, or DEFAULT_CAPACITY for the local fallback servers).
+// Everyone else waits in FIFO order and is told their position and an ETA.
+
+const mongoose = require('mongoose');
+const { ServerNode } = require('../models');
+
+const DEFAULT_CAPACITY = parseInt(process.env.SPEEDTEST_DEFAULT_CAPACITY) || 1;
+const DEFAULT_RUN_MS = 30 * 1000; // Until we've seen a run finish on the node
+const RUN_TIME_SMOOTHING = 0.3;   // Weight of the latest run in the moving average
+
+const queues = new Map();
+
+function queueKey(server) {
+  return server.serverNodeId ? String(server.serverNodeId) : server.host;
+}
+
+function getQueue(server) {
+  const key = queueKey(server);
+  let queue = queues.get(key);
+
+  if (!queue) {
+    queue = {
+      key,
+      serverNodeId: server.serverNodeId || null,
+      name: server.name || server.id,
+      capacity: DEFAULT_CAPACITY,
+      active: new Set(),
+      waiting: [],
+      avgRunMs: DEFAULT_RUN_MS
+    };
+    queues.set(key, queue);
+  }
+
+  // Pick up capacity changes made to the ServerNode since the last run
+  if (server.capacity > 0) {
+    queue.capacity = server.capacity;
+  }
+
+  return queue;
+}
+
+// Resolves to a release() function once the run may use the server.
+// `onUpdate({ position, etaSeconds })` is called while the run waits.
+function acquireSlot(server, { signal, onUpdate } = {}) {
+  const queue = getQueue(server);
+
+  if (signal && signal.aborted) {
+    return Promise.reject(abortError());
+  }
+
+  if (queue.waiting.length === 0 && queue.active.size < queue.capacity) {
+    return Promise.resolve(grantSlot(queue));
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject, onUpdate, signal, enqueuedAt: Date.now() };
+
+    waiter.onAbort = () => {
+      queue.waiting = queue.waiting.filter(entry => entry !== waiter);
+      notifyWaiting(queue);
+      reject(abortError());
+    };
+
+    if (signal) {
+      signal.addEventListener('abort', waiter.onAbort, { once: true });
+    }
+
+    queue.waiting.push(waiter);
+    console.log(`⏳ Run queued for ${queue.name} (position ${queue.waiting.length}, ${queue.active.size}/${queue.capacity} active)`);
+    notifyWaiting(queue);
+  });
+}
+
+function grantSlot(queue) {
+  const slot = { startedAt: Date.now() };
+  queue.active.add(slot);
+  syncCurrentLoad(queue);
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+
+    queue.active.delete(slot);
+    const runMs = Date.now() - slot.startedAt;
+    queue.avgRunMs = queue.avgRunMs * (1 - RUN_TIME_SMOOTHING) + runMs * RUN_TIME_SMOOTHING;
+    syncCurrentLoad(queue);
+    drainQueue(queue);
+  };
+}
+
+function drainQueue(queue) {
+  let admitted = false;
+
+  while (queue.waiting.length > 0 && queue.active.size < queue.capacity) {
+    const waiter = queue.waiting.shift();
+    if (waiter.signal) {
+      waiter.signal.removeEventListener('abort', waiter.onAbort);
+    }
+    waiter.resolve(grantSlot(queue));
+    admitted = true;
+  }
+
+  if (admitted) {
+    notifyWaiting(queue);
+  }
+}
+
+function notifyWaiting(queue) {
+  queue.waiting.forEach((waiter, index) => {
+    if (!waiter.onUpdate) return;
+
+    try {
+      waiter.onUpdate({
+        position: index + 1,
+        etaSeconds: estimateWaitSeconds(queue, index + 1)
+      });
+    } catch (error) {
+      console.warn('Queue update callback failed:', error.message);
+    }
+  });
+}
+
+// A waiter at `position` gets the slot that frees up position-th; slots free
+// up as active runs finish, then roughly every avgRunMs per wave after that.
+function estimateWaitSeconds(queue, position) {
+  const now = Date.now();
+  const remaining = Array.from(queue.active)
+    .map(slot => Math.max(0, queue.avgRunMs - (now - slot.startedAt)))
+    .sort((a, b) => a - b);
+
+  const waves = Math.floor((position - 1) / queue.capacity);
+  const firstFree = remaining[(position - 1) % queue.capacity] || 0;
+
+  return Math.round((firstFree + waves * queue.avgRunMs) / 1000);
+}
+
+// Mirror the in-process active count onto the ServerNode document
+function syncCurrentLoad(queue) {
+  if (!queue.serverNodeId || mongoose.connection.readyState !== 1) return;
+
+  ServerNode.updateOne({ _id: queue.serverNodeId }, { currentLoad: queue.active.size })
+    .catch(error => console.warn(`Failed to update load for ${queue.name}:`, error.message));
+}
+
+function abortError() {
+  const error = new Error('Speed test cancelled while queued');
+  error.name = 'AbortError';
+  return error;
+}
+
+function getQueueStats() {
+  return Array.from(queues.values()).map(queue => ({
+    server: queue.name,
+    serverNodeId: queue.serverNodeId,
+    capacity: queue.capacity,
+    active: queue.active.size,
+    waiting: queue.waiting.length,
+    avgRunSeconds: Math.round(queue.avgRunMs / 100) / 10,
+    nextEtaSeconds: queue.waiting.length > 0 ? estimateWaitSeconds(queue, queue.waiting.length + 1) : 0
+  }));
+}
+
+module.exports = {
+  acquireSlot,
+  getQueueStats
+};
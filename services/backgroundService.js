@@ -1,5 +1,6 @@
 const cron = require('node-cron');
 const { SpeedTest, ISP, NetworkOutage } = require('../models');
+const { markStaleNodes } = require('./serverRegistryService');
 
 class BackgroundService {
   constructor() {
@@ -24,6 +25,15 @@ class BackgroundService {
       await this.detectNetworkOutages();
     });
 
+    // Take speed test nodes out of rotation once their heartbeats stop
+    cron.schedule('*/30 * * * * *', async () => {
+      try {
+        await markStaleNodes();
+      } catch (error) {
+        console.error('Error checking speed test node heartbeats:', error);
+      }
+    });
+
     // Clean old data daily at 2 AM
     cron.schedule('0 2 * * *', async () => {
       console.log('🧹 Cleaning old data...');
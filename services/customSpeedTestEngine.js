@@ -1,8 +1,29 @@
 // Improved customSpeedTestEngine.js - Fixed timing and realistic speeds
 
 const crypto = require('crypto');
+const dgram = require('dgram');
+const net = require('net');
+const { Readable } = require('stream');
 const { performance } = require('perf_hooks');
 const fetch = require('node-fetch');
+const mongoose = require('mongoose');
+const WebSocket = require('ws');
+const ServerNode = require('../models/serverNode');
+const { haversineDistance, hasCoordinates } = require('../utils/geo');
+const { NetworkSimulator, DEFAULT_PROFILE } = require('./networkProfiles');
+const { acquireSlot } = require('./admissionQueue');
+const { issueEngineTicket } = require('./testTicketService');
+const { analyzePath } = require('./pathAnalysisService');
+const { timeRequest, summarizePhaseTimings } = require('../utils/requestTiming');
+const { reconcileTransfers } = require('../utils/transferReconciliation');
+const { serverBaseUrl, splitHost } = require('./serverRegistryService');
+
+// Datagram layout for the UDP loss test: magic (4) | sequence (4) | send time (8)
+const UDP_MAGIC = 0x4e504c53; // 'NPLS'
+const UDP_PACKET_SIZE = 16;
+
+// Downloads at or above this share of the node's benchmarked serve rate are server-limited
+const SERVER_LIMIT_RATIO = 0.9;
 
 class CustomSpeedTestEngine {
   constructor() {
@@ -15,19 +36,43 @@ class CustomSpeedTestEngine {
       downloadSizes: [0.5, 1], // 0.5MB and 1MB for localhost
       uploadSizes: [0.5],      // 0.5MB for upload
       latencyTests: 5,
+      latencyMethod: 'websocket', // 'websocket' (echo frames) or 'http' (ping requests)
+      websocketLatencyFrames: 20,
+      websocketFrameIntervalMs: 50,
+      phaseTimingProbes: 5,     // Fresh-connection requests split into DNS/TCP/TLS/TTFB/transfer
       testDuration: 5,         // 5 seconds for each test
-      concurrentConnections: 1, // Single connection for localhost
-      warmupTests: 1,
-      realisticLimits: {
-        maxDownloadMbps: 80,   // Realistic max for localhost
-        maxUploadMbps: 40,     // Realistic max for upload
-        minDurationMs: 50      // Minimum test duration
-      }
+      concurrentConnections: 2, // Streams opened at the start of each transfer stage
+      maxConnections: 8,        // Upper bound when scaling up streams
+      sampleIntervalMs: 250,    // Aggregate throughput sampling interval
+      scaleIntervalMs: 1000,    // Window used to decide whether to add a stream
+      initialTransferMB: 0.25,  // First request size per stream before ramp-up
+      targetRequestMs: 500,     // Transfer size grows until a request lasts this long
+      maxDownloadTransferMB: 100,
+      maxUploadTransferMB: 50,
+      slowStartMs: 1000,        // Samples in this window are discarded (TCP slow start)
+      stabilityWindow: 4,       // Samples compared when checking for a throughput plateau
+      stabilityThreshold: 0.05, // Stop early once consecutive windows differ by less than 5%
+      serverCandidates: 3,      // Closest ServerNodes probed for latency
+      udpPacketCount: 100,      // Datagrams sent by the packet loss stage
+      udpPacketRate: 50,        // Datagrams per second
+      loadedLatencyIntervalMs: 200, // Ping interval while download/upload saturate the link
+      pathAnalysis: false,      // Trace the hop path from the backend to the client after the throughput stages
+      pathMaxHops: 16,
+      pathProbesPerHop: 3,
+      simulationProfile: null,  // Named network profile to simulate instead of testing (see networkProfiles)
+      seed: undefined           // Seed for simulated figures; the same seed reproduces a run
     };
+    this.simulator = null;
+    this.runSignal = null;
+    this.transferTicket = null;
+    this.serverInfo = new Map();
   }
 
   // Main speed test orchestrator
-  async runComprehensiveTest(clientIP, customConfig = {}) {
+  // `hooks.signal` cancels the run (all in-flight requests are aborted),
+  // `hooks.onStage(stage, results)` is called as each stage starts and
+  // `hooks.onQueue({ position, etaSeconds })` while waiting for a server slot
+  async runComprehensiveTest(clientIP, customConfig = {}, clientLocation = null, hooks = {}) {
     const config = { ...this.testConfig, ...customConfig };
     const results = {
       testId: crypto.randomUUID(),
@@ -38,7 +83,11 @@ class CustomSpeedTestEngine {
         download: { speed: 0, consistency: 0, samples: [] },
         upload: { speed: 0, consistency: 0, samples: [] },
         latency: { avg: 0, min: 0, max: 0, jitter: 0, samples: [] },
+        connectionTiming: null,
+        loadedLatency: null,
+        pathAnalysis: null,
         packetLoss: 0,
+        packetLossDetails: null,
         quality: { score: 0, grade: 'F' }
       },
       metadata: {
@@ -50,60 +99,212 @@ class CustomSpeedTestEngine {
     };
 
     const testStartTime = performance.now();
+    let releaseSlot = null;
+    this.simulator = null;
+    this.runConfig = config;
+    this.runSignal = hooks.signal || null;
+    this.transferTicket = null;
+    this.serverInfo = new Map();
+    const enterStage = (stage) => {
+      this.throwIfCancelled();
+      if (hooks.onStage) hooks.onStage(stage, results);
+    };
 
     try {
-      // Stage 1: Server Selection
+      // Stage 1: Server Selection (skipped when a simulation profile is requested)
+      enterStage('server_selection');
       console.log('🔍 Stage 1: Selecting optimal server...');
-      results.server = await this.selectOptimalServer(clientIP);
+      if (config.simulationProfile) {
+        const simulator = this.getSimulator(config);
+        results.server = {
+          id: `simulation:${simulator.profileName}`,
+          host: 'localhost',
+          location: `Simulation (${simulator.profile.label})`,
+          latency: simulator.profile.latency.base,
+          available: false
+        };
+      } else {
+        results.server = await this.selectOptimalServer(clientIP, clientLocation, config);
+      }
       results.metadata.testStages.push({ stage: 'server_selection', duration: performance.now() - testStartTime });
 
+      // Wait for a free slot on the chosen node so concurrent runs don't share its link
+      if (results.server.available) {
+        enterStage('queued');
+        const queueStart = performance.now();
+        let maxPosition = 0;
+        releaseSlot = await acquireSlot(results.server, {
+          signal: this.runSignal,
+          onUpdate: (queueStatus) => {
+            maxPosition = Math.max(maxPosition, queueStatus.position);
+            if (hooks.onQueue) hooks.onQueue(queueStatus);
+          }
+        });
+        // Nodes only serve download/upload transfers that carry a signed ticket
+        this.transferTicket = issueEngineTicket(results.server);
+        results.metadata.testStages.push({
+          stage: 'queued',
+          duration: performance.now() - queueStart,
+          position: maxPosition
+        });
+      }
+
       // Stage 2: Latency & Connectivity Test
+      enterStage('latency_test');
       console.log('📡 Stage 2: Testing latency and connectivity...');
       const latencyStart = performance.now();
       results.results.latency = await this.performLatencyTest(results.server, config);
+      results.results.connectionTiming = await this.performConnectionTimingTest(results.server, config);
       results.metadata.testStages.push({ stage: 'latency_test', duration: performance.now() - latencyStart });
 
       // Stage 3: Download Speed Test
+      enterStage('download_test');
       console.log('⬇️  Stage 3: Testing download speed...');
       const downloadStart = performance.now();
+      const downloadProbe = this.startLoadedLatencyProbe(results.server, config);
       results.results.download = await this.performDownloadTest(results.server, config);
-      results.metadata.testStages.push({ stage: 'download_test', duration: performance.now() - downloadStart });
+      const downloadLoadedSamples = await downloadProbe.stop();
+      results.results.download.serverLimit = await this.checkServeLimit(results.server, results.results.download);
+      results.metadata.testStages.push({
+        stage: 'download_test',
+        duration: performance.now() - downloadStart,
+        sizing: results.results.download.sizing
+      });
 
       // Stage 4: Upload Speed Test
+      enterStage('upload_test');
       console.log('⬆️  Stage 4: Testing upload speed...');
       const uploadStart = performance.now();
+      const uploadProbe = this.startLoadedLatencyProbe(results.server, config);
       results.results.upload = await this.performUploadTest(results.server, config);
-      results.metadata.testStages.push({ stage: 'upload_test', duration: performance.now() - uploadStart });
+      const uploadLoadedSamples = await uploadProbe.stop();
+      results.results.loadedLatency = this.summarizeLoadedLatency(
+        results.results.latency,
+        downloadLoadedSamples,
+        uploadLoadedSamples,
+        { simulated: !results.server.available }
+      );
+      results.metadata.testStages.push({
+        stage: 'upload_test',
+        duration: performance.now() - uploadStart,
+        sizing: results.results.upload.sizing
+      });
 
       // Stage 5: Packet Loss Test
+      enterStage('packet_loss_test');
       console.log('📦 Stage 5: Testing packet loss...');
       const packetStart = performance.now();
-      results.results.packetLoss = await this.performPacketLossTest(results.server, config);
+      results.results.packetLossDetails = await this.performPacketLossTest(results.server, config);
+      results.results.packetLoss = results.results.packetLossDetails.lossPercent;
       results.metadata.testStages.push({ stage: 'packet_loss_test', duration: performance.now() - packetStart });
 
-      // Stage 6: Quality Analysis
-      console.log('📊 Stage 6: Calculating quality metrics...');
+      // Stage 6: Path Analysis (optional, needs a real client address)
+      if (config.pathAnalysis && !config.simulationProfile) {
+        enterStage('path_analysis');
+        console.log('🛤️  Stage 6: Tracing path from the backend to client...');
+        const pathStart = performance.now();
+        results.results.pathAnalysis = await analyzePath(clientIP, {
+          maxHops: config.pathMaxHops,
+          probesPerHop: config.pathProbesPerHop
+        });
+        results.metadata.testStages.push({ stage: 'path_analysis', duration: performance.now() - pathStart });
+      }
+
+      // Stage 7: Quality Analysis
+      enterStage('analysis');
+      console.log('📊 Stage 7: Calculating quality metrics...');
       results.results.quality = this.calculateQualityMetrics(results.results);
       results.metadata.reliability = this.calculateReliabilityScore(results.results);
 
+      if (this.simulator) {
+        results.metadata.simulation = {
+          profile: this.simulator.profileName,
+          seed: this.simulator.seed
+        };
+      }
+
       results.metadata.duration = performance.now() - testStartTime;
       console.log(`✅ Speed test completed in ${Math.round(results.metadata.duration)}ms`);
 
       return results;
 
     } catch (error) {
-      console.error('❌ Speed test failed:', error);
       results.metadata.duration = performance.now() - testStartTime;
       results.results.quality = { score: 0, grade: 'F' };
       results.error = error.message;
+
+      if (this.isCancelled()) {
+        console.warn('⏹️ Speed test cancelled');
+        results.cancelled = true;
+      } else {
+        console.error('❌ Speed test failed:', error);
+      }
       return results;
+    } finally {
+      if (releaseSlot) releaseSlot();
+    }
+  }
+
+  // Headers that authorize download/upload transfers on the speed test node
+  ticketHeaders() {
+    return this.transferTicket ? { 'X-Test-Ticket': this.transferTicket } : {};
+  }
+
+  isCancelled() {
+    return Boolean(this.runSignal && this.runSignal.aborted);
+  }
+
+  throwIfCancelled() {
+    if (this.isCancelled()) {
+      const error = new Error('Speed test cancelled');
+      error.name = 'AbortError';
+      throw error;
     }
   }
 
-  // Server selection with availability checking
-  async selectOptimalServer(clientIP) {
+  // Server selection: nearest active ServerNodes, probed for latency and weighted by load
+  async selectOptimalServer(clientIP, clientLocation = null, config = this.testConfig) {
     console.log('Testing server connectivity...');
-    
+
+    let candidates = [];
+    try {
+      candidates = await this.loadServerNodeCandidates(clientLocation, config);
+    } catch (error) {
+      console.warn('ServerNode lookup failed:', error.message);
+    }
+
+    if (candidates.length > 0) {
+      const probed = await Promise.all(candidates.map(async (candidate) => {
+        try {
+          const latency = await this.quickLatencyTest(candidate);
+          return { ...candidate, latency };
+        } catch (error) {
+          console.warn(`Server ${candidate.id} unavailable:`, error.message);
+          return null;
+        }
+      }));
+
+      const reachable = probed.filter(candidate => candidate && candidate.latency < 1000);
+
+      if (reachable.length > 0) {
+        // Latency penalised by how full the node is, so a busy nearby node can lose to an idle one
+        reachable.forEach(candidate => {
+          candidate.score = candidate.latency * (1 + candidate.loadRatio);
+        });
+        reachable.sort((a, b) => a.score - b.score);
+
+        const selected = reachable[0];
+        this.recordServerHealth(selected).catch(error => {
+          console.warn('Failed to record server health:', error.message);
+        });
+
+        console.log(`🎯 Selected server: ${selected.id} (${selected.latency.toFixed(1)}ms latency, ${selected.distance !== null ? Math.round(selected.distance) + 'km' : 'unknown distance'}, ${Math.round(selected.loadRatio * 100)}% load)`);
+        return { ...selected, available: true };
+      }
+
+      console.warn('⚠️ No ServerNode responded, falling back to local test servers');
+    }
+
     for (const server of this.testServers) {
       try {
         const latency = await this.quickLatencyTest(server);
@@ -128,13 +329,58 @@ class CustomSpeedTestEngine {
     };
   }
 
+  // Active ServerNodes ranked by haversine distance from the client, closest first
+  async loadServerNodeCandidates(clientLocation, config) {
+    if (mongoose.connection.readyState !== 1) {
+      return [];
+    }
+
+    const nodes = await ServerNode.find({ isActive: true }).lean();
+    const candidateCount = config.serverCandidates || 3;
+
+    const ranked = nodes.map(node => {
+      const distance = hasCoordinates(clientLocation) && hasCoordinates(node.location)
+        ? haversineDistance(clientLocation.lat, clientLocation.lng, node.location.lat, node.location.lng)
+        : null;
+
+      return {
+        id: node._id.toString(),
+        serverNodeId: node._id,
+        host: `${node.ipAddress}:${node.port}`,
+        basePath: node.basePath || '',
+        ipv6Address: node.ipv6Address || null,
+        name: node.name,
+        location: [node.location?.city, node.location?.country].filter(Boolean).join(', ') || node.name,
+        city: node.location?.city,
+        country: node.location?.country,
+        distance: distance !== null ? Math.round(distance * 10) / 10 : null,
+        capacity: node.capacity,
+        currentLoad: node.currentLoad || 0,
+        loadRatio: node.capacity > 0 ? Math.min(1, (node.currentLoad || 0) / node.capacity) : 0
+      };
+    });
+
+    ranked.sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity));
+    return ranked.slice(0, candidateCount);
+  }
+
+  // Keep ServerNode health fields current with what the selection probe saw
+  async recordServerHealth(server) {
+    if (!server.serverNodeId) return;
+
+    await ServerNode.updateOne(
+      { _id: server.serverNodeId },
+      { lastHealthCheck: new Date(), averageResponseTime: Math.round(server.latency * 100) / 100 }
+    );
+  }
+
   // Quick latency test for server selection
   async quickLatencyTest(server) {
     const start = performance.now();
     try {
-      const response = await fetch(`http://${server.host}/health`, {
+      const response = await fetch(`${serverBaseUrl(server)}/health`, {
         method: 'GET',
-        signal: AbortSignal.timeout(3000)
+        signal: this.timeoutSignal(3000)
       });
       
       if (response.ok) {
@@ -147,34 +393,135 @@ class CustomSpeedTestEngine {
     }
   }
 
-  // Comprehensive latency testing
+  // Latency testing: WebSocket echo by default, HTTP ping as fallback
   async performLatencyTest(server, config) {
+    // Endpoints mounted under a base path (the main API's) have no WebSocket echo
+    if (server.available && !server.basePath && config.latencyMethod !== 'http') {
+      try {
+        return await this.performWebSocketLatencyTest(server, config);
+      } catch (error) {
+        console.warn('WebSocket latency test failed, falling back to HTTP:', error.message);
+      }
+    }
+
+    return this.performHttpLatencyTest(server, config);
+  }
+
+  // RTT over one persistent WebSocket using timestamped echo frames
+  async performWebSocketLatencyTest(server, config) {
+    const frameCount = config.websocketLatencyFrames || 20;
+    const frameInterval = config.websocketFrameIntervalMs || 50;
+    const frameTimeout = 2000;
+
+    const ws = await this.openEchoSocket(server);
+    const pending = new Map();
+    const received = [];
+
+    ws.on('message', (message) => {
+      const receivedAt = performance.now();
+      try {
+        const frame = JSON.parse(message);
+        const sentAt = pending.get(frame.seq);
+        if (sentAt !== undefined) {
+          pending.delete(frame.seq);
+          received.push({ seq: frame.seq, rtt: receivedAt - sentAt });
+        }
+      } catch (error) {
+        // Ignore malformed frames
+      }
+    });
+
+    try {
+      for (let seq = 0; seq < frameCount && !this.isCancelled(); seq++) {
+        const sentAt = performance.now();
+        pending.set(seq, sentAt);
+        ws.send(JSON.stringify({ seq, clientTime: sentAt }));
+        await new Promise(resolve => setTimeout(resolve, frameInterval));
+      }
+
+      // Allow outstanding frames to come back
+      const deadline = performance.now() + frameTimeout;
+      while (pending.size > 0 && performance.now() < deadline && !this.isCancelled()) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    } finally {
+      ws.terminate();
+    }
+
+    if (received.length === 0) {
+      throw new Error('No echo frames returned');
+    }
+
+    received.sort((a, b) => a.seq - b.seq);
+    const samples = received.map(frame => frame.rtt);
+    const sorted = [...samples].sort((a, b) => a - b);
+    const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+    const round = (value) => Math.round(value * 100) / 100;
+
+    return {
+      avg: round(samples.reduce((a, b) => a + b, 0) / samples.length),
+      min: round(sorted[0]),
+      max: round(sorted[sorted.length - 1]),
+      jitter: round(this.calculateInterarrivalJitter(samples)),
+      percentiles: {
+        p50: round(percentile(0.5)),
+        p90: round(percentile(0.9)),
+        p95: round(percentile(0.95)),
+        p99: round(percentile(0.99))
+      },
+      lost: frameCount - received.length,
+      method: 'websocket',
+      samples: samples.map(round)
+    };
+  }
+
+  openEchoSocket(server) {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(`ws://${server.host}/ws/echo`, { handshakeTimeout: 3000 });
+      ws.once('open', () => resolve(ws));
+      ws.once('error', reject);
+    });
+  }
+
+  // RFC 3550 interarrival jitter: J += (|D(i-1,i)| - J) / 16, where D is the change in transit time
+  calculateInterarrivalJitter(transitTimes) {
+    let jitter = 0;
+    for (let i = 1; i < transitTimes.length; i++) {
+      const d = Math.abs(transitTimes[i] - transitTimes[i - 1]);
+      jitter += (d - jitter) / 16;
+    }
+    return jitter;
+  }
+
+  // HTTP ping latency testing (fallback method). Failed pings count as lost,
+  // and without a single answered ping the latency stays unmeasured (null).
+  async performHttpLatencyTest(server, config) {
     const samples = [];
     const testCount = config.latencyTests || 5;
+    let lost = 0;
 
     if (!server.available) {
       // Return simulated latency data
-      for (let i = 0; i < testCount; i++) {
-        const simulatedLatency = 15 + Math.random() * 20; // 15-35ms
-        samples.push(simulatedLatency);
-      }
+      samples.push(...this.getSimulator().latencySamples(testCount));
     } else {
-      for (let i = 0; i < testCount; i++) {
+      for (let i = 0; i < testCount && !this.isCancelled(); i++) {
         const start = performance.now();
         try {
-          const response = await fetch(`http://${server.host}/api/ping?t=${Date.now()}`, {
+          const response = await fetch(`${serverBaseUrl(server)}/api/ping?t=${Date.now()}`, {
             method: 'GET',
             cache: 'no-cache',
-            signal: AbortSignal.timeout(3000)
+            signal: this.timeoutSignal(3000)
           });
 
           if (response.ok) {
             const latency = performance.now() - start;
             samples.push(latency);
+          } else {
+            lost++;
           }
         } catch (error) {
           console.warn(`Latency test ${i + 1} failed:`, error.message);
-          samples.push(100); // Add penalty latency for failed tests
+          lost++;
         }
 
         await new Promise(resolve => setTimeout(resolve, 100));
@@ -182,7 +529,7 @@ class CustomSpeedTestEngine {
     }
 
     if (samples.length === 0) {
-      samples.push(25); // Fallback
+      return { avg: null, min: null, max: null, jitter: null, lost, method: 'http', samples: [] };
     }
 
     const avg = samples.reduce((a, b) => a + b, 0) / samples.length;
@@ -197,215 +544,725 @@ class CustomSpeedTestEngine {
       min: Math.round(min * 100) / 100,
       max: Math.round(max * 100) / 100,
       jitter: Math.round(jitter * 100) / 100,
+      lost,
+      method: 'http',
       samples: samples.map(s => Math.round(s * 100) / 100)
     };
   }
 
-  // FIXED: Download speed testing with improved timing
-  async performDownloadTest(server, config) {
-    const samples = [];
-    const testDuration = (config.testDuration || 5) * 1000;
-    const startTime = performance.now();
+  // Time several requests on fresh connections, phase by phase, so slow
+  // handshakes can be told apart from slow links
+  async performConnectionTimingTest(server, config) {
+    if (!server.available) return null;
 
-    if (!server.available) {
-      return this.simulateRealisticDownloadTest();
+    const probes = [];
+    const probeCount = config.phaseTimingProbes || 5;
+    const protocol = server.protocol || 'http';
+
+    for (let i = 0; i < probeCount && !this.isCancelled(); i++) {
+      const { signal, clear } = this.createRequestSignal(null, 3000);
+      try {
+        const timing = await timeRequest(`${serverBaseUrl(server, protocol)}/api/ping?t=${Date.now()}`, { signal });
+        if (timing.statusCode === 200) {
+          probes.push(timing);
+        }
+      } catch (error) {
+        console.warn(`Connection timing probe ${i + 1} failed:`, error.message);
+      } finally {
+        clear();
+      }
     }
 
-    try {
-      console.log('📥 Starting download test...');
-      
-      const chunkSize = 0.5; // 0.5MB chunks for localhost
-      const endTime = startTime + testDuration;
-      let testNumber = 0;
-      
-      while (performance.now() < endTime && samples.length < 15) {
-        testNumber++;
-        const chunkStart = performance.now();
-        
-        try {
-          console.log(`📥 Download test ${testNumber}...`);
-          
-          const response = await fetch(`http://${server.host}/api/download/${chunkSize}?t=${Date.now()}`, {
-            signal: AbortSignal.timeout(10000)
-          });
+    const summary = summarizePhaseTimings(probes);
+    return summary ? { ...summary, probes } : null;
+  }
 
-          if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-          }
+  // Background latency probe that keeps pinging while a throughput stage runs
+  startLoadedLatencyProbe(server, config) {
+    const controller = new AbortController();
+    const samples = [];
+    const interval = config.loadedLatencyIntervalMs || 200;
 
-          const arrayBuffer = await response.arrayBuffer();
-          const bytes = arrayBuffer.byteLength;
-          const chunkDuration = (performance.now() - chunkStart) / 1000; // Convert to seconds
-          
-          // FIXED: Improved speed calculation with validation
-          let chunkSpeed = 0;
-          if (bytes > 0 && chunkDuration > 0) {
-            chunkSpeed = (bytes * 8) / (chunkDuration * 1000000); // Convert to Mbps
-            
-            // Apply realistic constraints
-            chunkSpeed = Math.min(chunkSpeed, config.realisticLimits.maxDownloadMbps);
-            chunkSpeed = Math.max(chunkSpeed, 1); // Minimum 1 Mbps
-          }
+    const loop = (async () => {
+      if (!server.available) return;
 
-          samples.push({
-            timestamp: Date.now(),
-            speed: chunkSpeed,
-            bytes: bytes,
-            duration: chunkDuration
-          });
+      while (!controller.signal.aborted && !this.isCancelled()) {
+        const start = performance.now();
+        const { signal, clear } = this.createRequestSignal(controller.signal, 3000);
 
-          console.log(`📥 Download chunk ${testNumber}: ${bytes} bytes in ${chunkDuration.toFixed(3)}s = ${chunkSpeed.toFixed(2)} Mbps`);
+        try {
+          const response = await fetch(`${serverBaseUrl(server)}/api/ping?t=${Date.now()}&loaded=1`, {
+            cache: 'no-cache',
+            signal
+          });
 
+          if (response.ok) {
+            await response.text();
+            samples.push(performance.now() - start);
+          }
         } catch (error) {
-          console.warn(`Download chunk ${testNumber} failed:`, error.message);
-          break;
+          if (!controller.signal.aborted) {
+            console.warn('Loaded latency probe failed:', error.message);
+          }
+        } finally {
+          clear();
         }
 
-        // Wait before next test
-        await new Promise(resolve => setTimeout(resolve, 300));
+        await new Promise(resolve => setTimeout(resolve, interval));
       }
+    })();
 
-      if (samples.length === 0) {
-        return this.simulateRealisticDownloadTest();
+    return {
+      stop: async () => {
+        controller.abort();
+        await loop;
+        return samples;
       }
+    };
+  }
 
-      const speeds = samples.map(s => s.speed);
-      const avgSpeed = speeds.reduce((a, b) => a + b, 0) / speeds.length;
-      const consistency = this.calculateConsistency(speeds);
+  // Idle vs. loaded latency and the resulting bufferbloat grade. A direction
+  // without probe samples stays unmeasured (count 0, no grade) unless the run
+  // is simulated, which draws loaded figures from the network profile instead.
+  summarizeLoadedLatency(idleLatency, downloadSamples, uploadSamples, { simulated = false } = {}) {
+    const idle = idleLatency?.avg ?? null;
+    let download = this.summarizeLatencySamples(downloadSamples);
+    let upload = this.summarizeLatencySamples(uploadSamples);
+
+    if (simulated && download.count === 0 && upload.count === 0) {
+      const simulator = this.getSimulator();
+      download = this.summarizeLatencySamples(simulator.latencySamples(10, simulator.profile.bufferbloat.download));
+      upload = this.summarizeLatencySamples(simulator.latencySamples(10, simulator.profile.bufferbloat.upload));
+    }
 
-      console.log(`📥 Download test completed: ${samples.length} samples, avg speed: ${avgSpeed.toFixed(2)} Mbps`);
+    // The increase needs an idle baseline as well as loaded samples
+    const increase = (summary) => (summary.count > 0 && idle !== null
+      ? Math.round(Math.max(0, summary.median - idle) * 100) / 100
+      : null);
+    const downloadIncrease = increase(download);
+    const uploadIncrease = increase(upload);
+    const measured = [downloadIncrease, uploadIncrease].filter(value => value !== null);
 
-      return {
-        speed: Math.round(avgSpeed * 100) / 100,
-        consistency: Math.round(consistency * 100) / 100,
-        samples: samples,
-        connections: 1,
-        duration: performance.now() - startTime
-      };
+    return {
+      idle: idle === null ? null : Math.round(idle * 100) / 100,
+      download,
+      upload,
+      downloadIncrease,
+      uploadIncrease,
+      bufferbloatGrade: measured.length > 0 ? this.getBufferbloatGrade(Math.max(...measured)) : null
+    };
+  }
+
+  summarizeLatencySamples(samples) {
+    if (!samples || samples.length === 0) {
+      return { avg: null, median: null, p95: null, max: null, count: 0, samples: [] };
+    }
+
+    const sorted = [...samples].sort((a, b) => a - b);
+    const avg = sorted.reduce((a, b) => a + b, 0) / sorted.length;
+    const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+
+    return {
+      avg: Math.round(avg * 100) / 100,
+      median: Math.round(percentile(0.5) * 100) / 100,
+      p95: Math.round(percentile(0.95) * 100) / 100,
+      max: Math.round(sorted[sorted.length - 1] * 100) / 100,
+      count: sorted.length,
+      samples: samples.map(s => Math.round(s * 100) / 100)
+    };
+  }
+
+  // Bufferbloat grade from the latency increase under load (ms)
+  getBufferbloatGrade(increaseMs) {
+    if (increaseMs < 5) return 'A+';
+    if (increaseMs < 30) return 'A';
+    if (increaseMs < 60) return 'B';
+    if (increaseMs < 200) return 'C';
+    if (increaseMs < 400) return 'D';
+    return 'F';
+  }
+
+  // Download speed testing over parallel streams
+  async performDownloadTest(server, config) {
+    if (!server.available) {
+      return this.simulateRealisticDownloadTest();
+    }
+
+    try {
+      console.log('📥 Starting download test...');
+
+      const result = await this.runParallelTransfer('download', server, {
+        ...config,
+        testDuration: config.testDuration || 5
+      });
+
+      if (result.samples.length === 0 && !this.isCancelled()) {
+        return this.unmeasuredDirection('No download samples received');
+      }
+
+      console.log(`📥 Download test completed: ${result.samples.length} samples over ${result.connections} connections, avg speed: ${result.speed.toFixed(2)} Mbps`);
+      return result;
 
     } catch (error) {
       console.error('Download test failed:', error);
-      return this.simulateRealisticDownloadTest();
+      return this.unmeasuredDirection(error.message);
     }
   }
 
-  // FIXED: Upload speed testing with improved timing
+  // Upload speed testing over parallel streams
   async performUploadTest(server, config) {
-    const samples = [];
-    const testDuration = (config.testDuration || 3) * 1000;
-    const startTime = performance.now();
-
     if (!server.available) {
       return this.simulateRealisticUploadTest();
     }
 
     try {
       console.log('📤 Starting upload test...');
-      
-      const chunkSize = 0.5; // 0.5MB for localhost
-      const endTime = startTime + testDuration;
-      let testNumber = 0;
-      
-      while (performance.now() < endTime && samples.length < 10) {
-        testNumber++;
-        const chunkStart = performance.now();
-        const uploadData = this.generateUploadData(chunkSize);
+
+      const result = await this.runParallelTransfer('upload', server, {
+        ...config,
+        testDuration: config.testDuration || 3
+      });
+
+      if (result.samples.length === 0 && !this.isCancelled()) {
+        return this.unmeasuredDirection('No upload samples received');
+      }
+
+      console.log(`📤 Upload test completed: ${result.samples.length} samples over ${result.connections} connections, avg speed: ${result.speed.toFixed(2)} Mbps`);
+      return result;
+
+    } catch (error) {
+      console.error('Upload test failed:', error);
+      return this.unmeasuredDirection(error.message);
+    }
+  }
+
+  // A direction the real server couldn't measure stays unmeasured rather than
+  // being filled in from a simulation; the error says why
+  unmeasuredDirection(error) {
+    return { speed: null, consistency: null, samples: [], connections: 0, error };
+  }
+
+  // Runs N concurrent transfer streams, each with its own byte counter, and
+  // samples their combined byte count into one aggregate throughput series.
+  // Streams are added while the aggregate throughput is still rising. Samples
+  // inside the slow-start window are discarded, and the stage ends early once
+  // throughput has stabilised.
+  async runParallelTransfer(direction, server, config) {
+    const testDuration = config.testDuration * 1000;
+    const sampleInterval = config.sampleIntervalMs || 250;
+    const scaleInterval = config.scaleIntervalMs || 1000;
+    const slowStartMs = config.slowStartMs ?? 1000;
+    const maxConnections = Math.max(1, config.maxConnections || 1);
+    const startTime = performance.now();
+    const endTime = startTime + testDuration;
+    const stageController = new AbortController();
+    const streams = [];
+    const samples = [];
+    const sizingDecisions = [];
+    let stoppedBy = 'time_budget';
+
+    const totalBytes = () => streams.reduce((sum, stream) => sum + stream.bytes, 0);
+
+    const addStream = () => {
+      const stream = {
+        id: streams.length,
+        bytes: 0,
+        requests: 0,
+        errors: 0,
+        transfers: [],
+        transferMB: config.initialTransferMB || 0.25,
+        startedAt: performance.now()
+      };
+      const onRequest = (decision) => sizingDecisions.push({ stream: stream.id, ...decision });
+      const loop = direction === 'download'
+        ? this.runDownloadStream(stream, server, config, endTime, stageController.signal, onRequest)
+        : this.runUploadStream(stream, server, config, endTime, stageController.signal, onRequest);
+      stream.done = loop;
+      streams.push(stream);
+      console.log(`${direction === 'download' ? '📥' : '📤'} Opened ${direction} stream ${stream.id + 1}`);
+    };
+
+    const initialConnections = Math.min(maxConnections, Math.max(1, config.concurrentConnections || 1));
+    for (let i = 0; i < initialConnections; i++) {
+      addStream();
+    }
+
+    let lastSampleTime = startTime;
+    let lastSampleBytes = 0;
+    let windowStartBytes = 0;
+    let windowStartTime = startTime;
+    let previousWindowSpeed = 0;
+
+    while (performance.now() < endTime && !this.isCancelled()) {
+      if (streams.every(stream => stream.finished)) {
+        stoppedBy = 'streams_ended';
+        break;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, sampleInterval));
+
+      const now = performance.now();
+      const bytes = totalBytes();
+      const intervalSeconds = (now - lastSampleTime) / 1000;
+
+      if (intervalSeconds > 0) {
+        samples.push({
+          timestamp: Date.now(),
+          speed: ((bytes - lastSampleBytes) * 8) / (intervalSeconds * 1000000),
+          bytes: bytes - lastSampleBytes,
+          duration: intervalSeconds,
+          connections: streams.length,
+          slowStart: now - startTime < slowStartMs
+        });
+      }
+
+      lastSampleTime = now;
+      lastSampleBytes = bytes;
+
+      // Scale up: open another stream while throughput keeps climbing
+      if (now - windowStartTime >= scaleInterval) {
+        const windowSpeed = ((bytes - windowStartBytes) * 8) / (((now - windowStartTime) / 1000) * 1000000);
+        const rising = windowSpeed > previousWindowSpeed * 1.1;
+
+        if (rising && streams.length < maxConnections && now + scaleInterval < endTime) {
+          addStream();
+        }
+
+        previousWindowSpeed = windowSpeed;
+        windowStartBytes = bytes;
+        windowStartTime = now;
+      }
+
+      if (this.hasThroughputStabilised(samples, config)) {
+        stoppedBy = 'stable';
+        break;
+      }
+    }
+
+    stageController.abort();
+    await Promise.allSettled(streams.map(stream => stream.done));
+
+    const elapsedSeconds = (performance.now() - startTime) / 1000;
+    const bytes = totalBytes();
+    // Throughput is the bytes moved after slow start over the time they took;
+    // intervals where nothing arrived (gaps between requests, upload slices not
+    // yet pulled) count towards both the rate and its consistency
+    const measured = samples.filter(sample => !sample.slowStart);
+    const measuredBytes = measured.reduce((sum, sample) => sum + sample.bytes, 0);
+    const measuredSeconds = measured.reduce((sum, sample) => sum + sample.duration, 0);
+    const avgSpeed = measuredSeconds > 0 ? (measuredBytes * 8) / (measuredSeconds * 1000000) : 0;
+    const consistency = this.calculateConsistency(measured.map(sample => sample.speed));
+    const serverAccounting = await this.reconcileWithServer(server, streams, { clientMbps: avgSpeed, skipMs: slowStartMs });
+
+    return {
+      speed: Math.round(avgSpeed * 100) / 100,
+      consistency: Math.round(consistency * 100) / 100,
+      samples: measured,
+      connections: streams.length,
+      streams: streams.map(stream => ({
+        id: stream.id,
+        bytes: stream.bytes,
+        requests: stream.requests,
+        errors: stream.errors,
+        finalTransferMB: Math.round(stream.transferMB * 1000) / 1000,
+        speed: Math.round(((stream.bytes * 8) / (Math.max(0.001, (performance.now() - stream.startedAt) / 1000) * 1000000)) * 100) / 100
+      })),
+      sizing: {
+        initialTransferMB: config.initialTransferMB || 0.25,
+        targetRequestMs: config.targetRequestMs || 500,
+        slowStartDiscarded: samples.filter(sample => sample.slowStart).length,
+        stoppedBy,
+        decisions: sizingDecisions.slice(0, 50)
+      },
+      totalBytes: bytes,
+      duration: elapsedSeconds * 1000,
+      serverAccounting
+    };
+  }
+
+  // Compare the bytes counted here and the published rate with the node's own
+  // transfer records; `window` is { clientMbps, skipMs } (see utils/transferReconciliation)
+  async reconcileWithServer(server, streams, window) {
+    const clientTransfers = streams.flatMap(stream => stream.transfers).filter(transfer => transfer.bytes > 0);
+    if (clientTransfers.length === 0) return null;
+
+    const serverTransfers = [];
+    try {
+      for (let i = 0; i < clientTransfers.length; i += 100) {
+        const ids = clientTransfers.slice(i, i + 100).map(transfer => transfer.transferId).join(',');
+        const response = await fetch(`${serverBaseUrl(server)}/api/transfers?ids=${ids}`, {
+          headers: this.ticketHeaders(),
+          signal: this.timeoutSignal(3000)
+        });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        serverTransfers.push(...(await response.json()).transfers);
+      }
+    } catch (error) {
+      console.warn('Server transfer records unavailable:', error.message);
+      return reconcileTransfers(clientTransfers, []);
+    }
+
+    const accounting = reconcileTransfers(clientTransfers, serverTransfers, window);
+    if (accounting.status === 'disagreement') {
+      console.warn(`⚠️ Server accounting disagrees: client ${accounting.clientMbps} Mbps, server ${accounting.serverMbps} Mbps, ${accounting.missing} missing, ${accounting.byteMismatches} byte mismatches`);
+    }
+    return accounting;
+  }
+
+  // Stable when the mean of the last window of post-slow-start samples is within
+  // the threshold of the window before it, with no stream added in between
+  hasThroughputStabilised(samples, config) {
+    const windowSize = config.stabilityWindow || 4;
+    const threshold = config.stabilityThreshold || 0.05;
+    const measured = samples.filter(sample => !sample.slowStart);
+
+    if (measured.length < windowSize * 2) return false;
+
+    const recent = measured.slice(-windowSize);
+    const previous = measured.slice(-windowSize * 2, -windowSize);
+    if (recent[recent.length - 1].connections !== previous[0].connections) return false;
+
+    const mean = (values) => values.reduce((sum, sample) => sum + sample.speed, 0) / values.length;
+    const recentMean = mean(recent);
+    const previousMean = mean(previous);
+
+    return previousMean > 0 && Math.abs(recentMean - previousMean) / previousMean < threshold;
+  }
+
+  // Grow the transfer size until a single request lasts the target duration
+  nextTransferSize(currentMB, durationMs, config, maxMB) {
+    const target = config.targetRequestMs || 500;
+    if (durationMs <= 0) return Math.min(maxMB, currentMB * 2);
+
+    // Grow at most 4x per step so one fast outlier can't overshoot the budget
+    const factor = Math.min(4, Math.max(0.5, target / durationMs));
+    return Math.min(maxMB, Math.max(config.initialTransferMB || 0.25, currentMB * factor));
+  }
+
+  // Single download stream: repeatedly fetches adaptively sized transfers until
+  // the stage ends, counting bytes as they arrive off the socket
+  async runDownloadStream(stream, server, config, endTime, stageSignal, onRequest) {
+    const maxTransferMB = config.maxDownloadTransferMB || 100;
+
+    try {
+      while (performance.now() < endTime && !stageSignal.aborted) {
+        const { signal, clear } = this.createRequestSignal(stageSignal, config.requestTimeoutMs || 10000);
+        const sizeMB = stream.transferMB;
+        const requestStart = performance.now();
+        const transfer = { transferId: crypto.randomUUID(), bytes: 0, completed: false };
+        stream.transfers.push(transfer);
 
         try {
-          console.log(`📤 Upload test ${testNumber}...`);
-          
-          const response = await fetch(`http://${server.host}/api/upload?size=${chunkSize}`, {
+          const response = await fetch(`${serverBaseUrl(server)}/api/download/${sizeMB.toFixed(3)}?t=${Date.now()}&stream=${stream.id}`, {
+            headers: { 'X-Transfer-Id': transfer.transferId, ...this.ticketHeaders() },
+            signal
+          });
+
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+
+          for await (const chunk of response.body) {
+            stream.bytes += chunk.length;
+            transfer.bytes += chunk.length;
+          }
+          transfer.completed = true;
+          stream.requests++;
+
+          const durationMs = performance.now() - requestStart;
+          stream.transferMB = this.nextTransferSize(sizeMB, durationMs, config, maxTransferMB);
+          onRequest({ request: stream.requests, sizeMB: Math.round(sizeMB * 1000) / 1000, durationMs: Math.round(durationMs), nextSizeMB: Math.round(stream.transferMB * 1000) / 1000 });
+
+        } catch (error) {
+          if (stageSignal.aborted) break;
+          stream.errors++;
+          console.warn(`Download stream ${stream.id + 1} transfer failed:`, error.message);
+          if (stream.errors >= 3) break;
+        } finally {
+          clear();
+        }
+      }
+    } finally {
+      stream.finished = true;
+    }
+  }
+
+  // Single upload stream: repeatedly posts adaptively sized transfers until the
+  // stage ends, counting bytes as the request body is consumed
+  async runUploadStream(stream, server, config, endTime, stageSignal, onRequest) {
+    const maxTransferMB = config.maxUploadTransferMB || 50;
+
+    try {
+      while (performance.now() < endTime && !stageSignal.aborted) {
+        const { signal, clear } = this.createRequestSignal(stageSignal, config.requestTimeoutMs || 15000);
+        const sizeMB = stream.transferMB;
+        const uploadData = this.generateUploadData(sizeMB);
+        const requestStart = performance.now();
+        const transfer = { transferId: crypto.randomUUID(), bytes: 0, completed: false };
+        stream.transfers.push(transfer);
+
+        try {
+          const response = await fetch(`${serverBaseUrl(server)}/api/upload?size=${sizeMB.toFixed(3)}&stream=${stream.id}`, {
             method: 'POST',
-            body: uploadData,
+            body: this.createCountingBody(uploadData, stream, transfer),
             headers: {
               'Content-Type': 'application/octet-stream',
-              'Content-Length': uploadData.length.toString()
+              'Content-Length': uploadData.length.toString(),
+              'X-Transfer-Id': transfer.transferId,
+              ...this.ticketHeaders()
             },
-            signal: AbortSignal.timeout(15000)
+            signal
           });
 
           if (!response.ok) {
             throw new Error(`HTTP ${response.status}`);
           }
 
-          const result = await response.json();
-          const chunkDuration = (performance.now() - chunkStart) / 1000;
-          
-          // Use server-calculated speed if available, otherwise calculate our own
-          let chunkSpeed = result.speed || 0;
-          
-          if (chunkSpeed <= 0 && uploadData.length > 0 && chunkDuration > 0) {
-            chunkSpeed = (uploadData.length * 8) / (chunkDuration * 1000000);
-          }
-          
-          // Apply realistic constraints
-          chunkSpeed = Math.min(chunkSpeed, config.realisticLimits.maxUploadMbps);
-          chunkSpeed = Math.max(chunkSpeed, 1); // Minimum 1 Mbps
-
-          samples.push({
-            timestamp: Date.now(),
-            speed: chunkSpeed,
-            bytes: uploadData.length,
-            duration: chunkDuration,
-            serverSpeed: result.speed,
-            serverDuration: result.duration
-          });
+          await response.json();
+          transfer.completed = true;
+          stream.requests++;
 
-          console.log(`📤 Upload chunk ${testNumber}: ${uploadData.length} bytes in ${chunkDuration.toFixed(3)}s = ${chunkSpeed.toFixed(2)} Mbps`);
+          const durationMs = performance.now() - requestStart;
+          stream.transferMB = this.nextTransferSize(sizeMB, durationMs, config, maxTransferMB);
+          onRequest({ request: stream.requests, sizeMB: Math.round(sizeMB * 1000) / 1000, durationMs: Math.round(durationMs), nextSizeMB: Math.round(stream.transferMB * 1000) / 1000 });
 
         } catch (error) {
-          console.warn(`Upload chunk ${testNumber} failed:`, error.message);
-          break;
+          if (stageSignal.aborted) break;
+          stream.errors++;
+          console.warn(`Upload stream ${stream.id + 1} transfer failed:`, error.message);
+          if (stream.errors >= 3) break;
+        } finally {
+          clear();
         }
+      }
+    } finally {
+      stream.finished = true;
+    }
+  }
 
-        // Wait before next test
-        await new Promise(resolve => setTimeout(resolve, 400));
+  // Request body that feeds the payload in 64KB slices and counts them as they are consumed
+  createCountingBody(data, stream, transfer) {
+    const sliceSize = 64 * 1024;
+    let offset = 0;
+
+    return new Readable({
+      highWaterMark: sliceSize,
+      read() {
+        if (offset >= data.length) {
+          this.push(null);
+          return;
+        }
+        const slice = data.subarray(offset, offset + sliceSize);
+        offset += slice.length;
+        stream.bytes += slice.length;
+        transfer.bytes += slice.length;
+        this.push(slice);
       }
+    });
+  }
 
-      if (samples.length === 0) {
-        return this.simulateRealisticUploadTest();
+  // Per-request abort signal that fires on timeout, when the parent stage is
+  // aborted, or when the whole run is cancelled
+  createRequestSignal(parentSignal, timeoutMs) {
+    const controller = new AbortController();
+    const parents = [parentSignal, this.runSignal].filter(Boolean);
+    const onParentAbort = () => controller.abort();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    timer.unref();
+
+    for (const parent of parents) {
+      if (parent.aborted) {
+        controller.abort();
+      } else {
+        parent.addEventListener('abort', onParentAbort, { once: true });
       }
+    }
 
-      const speeds = samples.map(s => s.speed);
-      const avgSpeed = speeds.reduce((a, b) => a + b, 0) / speeds.length;
-      const consistency = this.calculateConsistency(speeds);
+    return {
+      signal: controller.signal,
+      clear: () => {
+        clearTimeout(timer);
+        parents.forEach(parent => parent.removeEventListener('abort', onParentAbort));
+      }
+    };
+  }
 
-      console.log(`📤 Upload test completed: ${samples.length} samples, avg speed: ${avgSpeed.toFixed(2)} Mbps`);
+  // Fire-and-forget variant for one-off requests; its listener on the run
+  // signal is removed once it fires, at the latest when the timeout does
+  timeoutSignal(timeoutMs) {
+    const { signal, clear } = this.createRequestSignal(null, timeoutMs);
+    signal.addEventListener('abort', clear, { once: true });
+    return signal;
+  }
 
+  // Generate upload data. One random buffer is kept and sliced so large
+  // adaptive transfers don't pay for crypto.randomBytes on every request.
+  generateUploadData(sizeMB) {
+    const sizeBytes = Math.floor(sizeMB * 1024 * 1024);
+    if (!this.uploadPayload || this.uploadPayload.length < sizeBytes) {
+      this.uploadPayload = crypto.randomBytes(sizeBytes);
+    }
+    return this.uploadPayload.subarray(0, sizeBytes);
+  }
+
+  // Packet loss testing: sequenced UDP datagrams, HTTP pings as fallback
+  async performPacketLossTest(server, config) {
+    if (!server.available) {
+      const simulated = this.getSimulator().packetLoss(config.udpPacketCount || 100);
       return {
-        speed: Math.round(avgSpeed * 100) / 100,
-        consistency: Math.round(consistency * 100) / 100,
-        samples: samples,
-        connections: 1,
-        duration: performance.now() - startTime
+        method: 'simulation',
+        lossPercent: Math.round(((simulated.sent - simulated.received) / simulated.sent) * 10000) / 100,
+        ...simulated
       };
+    }
 
-    } catch (error) {
-      console.error('Upload test failed:', error);
-      return this.simulateRealisticUploadTest();
+    // Nor a UDP echo port
+    if (!server.basePath) {
+      try {
+        const udpResult = await this.performUdpPacketLossTest(server, config);
+        if (udpResult.received > 0) {
+          return udpResult;
+        }
+        console.warn('No UDP echoes received (blocked path?), falling back to HTTP');
+      } catch (error) {
+        console.warn('UDP packet loss test failed, falling back to HTTP:', error.message);
+      }
     }
+
+    return {
+      method: 'http',
+      lossPercent: await this.performHttpPacketLossTest(server, config),
+      sent: 10,
+      received: null,
+      reordered: 0,
+      duplicates: 0
+    };
   }
 
-  // Generate upload data
-  generateUploadData(sizeMB) {
-    const sizeBytes = Math.floor(sizeMB * 1024 * 1024);
-    return crypto.randomBytes(sizeBytes);
+  // Sends sequenced datagrams at a fixed rate to the node's UDP echo service and
+  // counts what comes back, out of order, or more than once
+  async performUdpPacketLossTest(server, config) {
+    const packetCount = config.udpPacketCount || 100;
+    const packetRate = config.udpPacketRate || 50; // packets per second
+    const drainTime = config.udpDrainMs || 1000;
+    const host = splitHost(server.host).hostname;
+    const port = await this.resolveUdpEchoPort(server, config);
+
+    const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+    const seen = new Set();
+    let received = 0;
+    let reordered = 0;
+    let duplicates = 0;
+    let highestSeq = -1;
+
+    socket.on('message', (message) => {
+      if (message.length < UDP_PACKET_SIZE || message.readUInt32BE(0) !== UDP_MAGIC) return;
+
+      const seq = message.readUInt32BE(4);
+      if (seen.has(seq)) {
+        duplicates++;
+        return;
+      }
+
+      seen.add(seq);
+      received++;
+      if (seq < highestSeq) {
+        reordered++;
+      } else {
+        highestSeq = seq;
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      socket.once('error', reject);
+      socket.bind(0, () => {
+        socket.removeListener('error', reject);
+        resolve();
+      });
+    });
+    socket.on('error', (error) => console.warn('UDP socket error:', error.message));
+
+    try {
+      for (let seq = 0; seq < packetCount && !this.isCancelled(); seq++) {
+        const packet = Buffer.alloc(UDP_PACKET_SIZE);
+        packet.writeUInt32BE(UDP_MAGIC, 0);
+        packet.writeUInt32BE(seq, 4);
+        packet.writeDoubleBE(performance.now(), 8);
+        socket.send(packet, port, host);
+        await new Promise(resolve => setTimeout(resolve, 1000 / packetRate));
+      }
+
+      await new Promise(resolve => setTimeout(resolve, drainTime));
+    } finally {
+      socket.close();
+    }
+
+    const lossPercent = ((packetCount - received) / packetCount) * 100;
+    console.log(`📦 UDP loss test: ${received}/${packetCount} received, ${reordered} reordered, ${duplicates} duplicates`);
+
+    return {
+      method: 'udp',
+      lossPercent: Math.round(lossPercent * 100) / 100,
+      sent: packetCount,
+      received,
+      reordered,
+      duplicates
+    };
   }
 
-  // Packet loss testing
-  async performPacketLossTest(server, config) {
-    if (!server.available) {
-      return Math.random() * 1; // 0-1% packet loss simulation
+  // The node's /api/info, fetched once per server and run
+  getServerInfo(server) {
+    const baseUrl = serverBaseUrl(server);
+    if (!this.serverInfo.has(baseUrl)) {
+      this.serverInfo.set(baseUrl, (async () => {
+        try {
+          const response = await fetch(`${baseUrl}/api/info`, { signal: this.timeoutSignal(3000) });
+          return response.ok ? await response.json() : null;
+        } catch (error) {
+          console.warn('Could not read server info:', error.message);
+          return null;
+        }
+      })());
+    }
+    return this.serverInfo.get(baseUrl);
+  }
+
+  // UDP echo port advertised by the node's /api/info, or the configured default
+  async resolveUdpEchoPort(server, config) {
+    if (server.udpEchoPort) return server.udpEchoPort;
+
+    const info = await this.getServerInfo(server);
+    return info?.capabilities?.udpEchoPort || config.udpEchoPort || 3002;
+  }
+
+  // A download close to the node's self-benchmarked serve rate measured the
+  // server, not the client's link
+  async checkServeLimit(server, download) {
+    if (!server.available || !download || download.speed === null) return null;
+
+    const info = await this.getServerInfo(server);
+    const maxServeMbps = info?.capabilities?.maxServeMbps;
+    if (!maxServeMbps) return null;
+
+    const limited = download.speed >= maxServeMbps * SERVER_LIMIT_RATIO;
+    if (limited) {
+      console.warn(`⚠️ Download ${download.speed} Mbps is at the server's limit (${maxServeMbps} Mbps)`);
     }
+    return { maxServeMbps, limited };
+  }
 
+  // HTTP ping packet loss testing (fallback method)
+  async performHttpPacketLossTest(server, config) {
     const totalPackets = 10;
     const timeout = 3000;
     let successfulPackets = 0;
 
     const promises = Array.from({ length: totalPackets }, async (_, i) => {
       try {
-        const response = await fetch(`http://${server.host}/api/ping?packet=${i}&t=${Date.now()}`, {
-          signal: AbortSignal.timeout(timeout),
+        const response = await fetch(`${serverBaseUrl(server)}/api/ping?packet=${i}&t=${Date.now()}`, {
+          signal: this.timeoutSignal(timeout),
           cache: 'no-cache'
         });
 
@@ -425,51 +1282,27 @@ class CustomSpeedTestEngine {
     return Math.round(packetLoss * 100) / 100;
   }
 
-  // Realistic simulation functions
+  // Realistic simulation functions, drawn from the active network profile
   simulateRealisticDownloadTest() {
-    const samples = [];
-    const baseSpeed = 25 + Math.random() * 35; // 25-60 Mbps realistic range
-    
-    for (let i = 0; i < 8; i++) {
-      const variation = (Math.random() - 0.5) * 15;
-      const speed = Math.max(5, Math.min(70, baseSpeed + variation));
-      samples.push({
-        timestamp: Date.now() + i * 100,
-        speed: speed,
-        bytes: 524288,
-        duration: 0.2
-      });
-    }
-
-    const speeds = samples.map(s => s.speed);
-    const avgSpeed = speeds.reduce((a, b) => a + b, 0) / speeds.length;
-    const consistency = this.calculateConsistency(speeds);
-
-    return {
-      speed: Math.round(avgSpeed * 100) / 100,
-      consistency: Math.round(consistency * 100) / 100,
-      samples: samples,
-      connections: 1,
-      duration: 3000
-    };
+    return this.simulateThroughputTest('download', 8, 3000);
   }
 
   simulateRealisticUploadTest() {
-    const samples = [];
-    const baseSpeed = 10 + Math.random() * 20; // 10-30 Mbps realistic upload
-    
-    for (let i = 0; i < 6; i++) {
-      const variation = (Math.random() - 0.5) * 8;
-      const speed = Math.max(3, Math.min(35, baseSpeed + variation));
-      samples.push({
-        timestamp: Date.now() + i * 100,
-        speed: speed,
-        bytes: 524288,
-        duration: 0.2
-      });
-    }
+    return this.simulateThroughputTest('upload', 6, 2500);
+  }
+
+  simulateThroughputTest(direction, sampleCount, duration) {
+    const speeds = this.getSimulator().throughputSamples(direction, sampleCount);
+    const startedAt = Date.now();
+    const sampleDuration = duration / sampleCount / 1000;
+
+    const samples = speeds.map((speed, i) => ({
+      timestamp: startedAt + i * sampleDuration * 1000,
+      speed,
+      bytes: Math.round((speed * 1000000 / 8) * sampleDuration),
+      duration: sampleDuration
+    }));
 
-    const speeds = samples.map(s => s.speed);
     const avgSpeed = speeds.reduce((a, b) => a + b, 0) / speeds.length;
     const consistency = this.calculateConsistency(speeds);
 
@@ -478,10 +1311,21 @@ class CustomSpeedTestEngine {
       consistency: Math.round(consistency * 100) / 100,
       samples: samples,
       connections: 1,
-      duration: 2500
+      duration
     };
   }
 
+  // Simulator for the current run; created lazily when a stage falls back to simulation
+  getSimulator(config = this.runConfig || this.testConfig) {
+    if (!this.simulator) {
+      this.simulator = new NetworkSimulator(
+        config.simulationProfile || DEFAULT_PROFILE,
+        config.seed ?? crypto.randomInt(2 ** 31)
+      );
+    }
+    return this.simulator;
+  }
+
   // Consistency calculation
   calculateConsistency(speeds) {
     if (speeds.length < 2) return 100;
@@ -489,6 +1333,7 @@ class CustomSpeedTestEngine {
     const mean = speeds.reduce((a, b) => a + b, 0) / speeds.length;
     const variance = speeds.reduce((acc, speed) => acc + Math.pow(speed - mean, 2), 0) / speeds.length;
     const stdDev = Math.sqrt(variance);
+    if (mean === 0) return 0;
     
     const coefficientOfVariation = stdDev / mean;
     const consistency = Math.max(0, 100 - (coefficientOfVariation * 100));
@@ -506,46 +1351,54 @@ class CustomSpeedTestEngine {
       consistency: 0.05
     };
 
-    // Realistic scoring for localhost connections
-    const downloadScore = Math.min(100, (results.download.speed / 60) * 100); // 60 Mbps = 100%
-    const uploadScore = Math.min(100, (results.upload.speed / 25) * 100);     // 25 Mbps = 100%
-    const latencyScore = Math.max(0, 100 - results.latency.avg);
-    const packetLossScore = Math.max(0, 100 - (results.packetLoss * 10));
-    const consistencyScore = (results.download.consistency + results.upload.consistency) / 2;
-
-    const overallScore = (
-      downloadScore * weights.download +
-      uploadScore * weights.upload +
-      latencyScore * weights.latency +
-      packetLossScore * weights.packetLoss +
-      consistencyScore * weights.consistency
-    );
+    // Realistic scoring for localhost connections. Metrics the engine didn't
+    // measure (null) are left out and the remaining weights scaled up.
+    const scoreOf = (value, score) => (value === null || value === undefined ? null : score(value));
+    const consistencies = [results.download.consistency, results.upload.consistency]
+      .filter(value => typeof value === 'number');
+    const scores = {
+      download: scoreOf(results.download.speed, speed => Math.min(100, (speed / 60) * 100)), // 60 Mbps = 100%
+      upload: scoreOf(results.upload.speed, speed => Math.min(100, (speed / 25) * 100)),     // 25 Mbps = 100%
+      latency: scoreOf(results.latency.avg, latency => Math.max(0, 100 - latency)),
+      packetLoss: scoreOf(results.packetLoss, loss => Math.max(0, 100 - (loss * 10))),
+      consistency: consistencies.length > 0
+        ? consistencies.reduce((sum, value) => sum + value, 0) / consistencies.length
+        : null
+    };
+
+    const scored = Object.keys(weights).filter(metric => scores[metric] !== null);
+    const totalWeight = scored.reduce((sum, metric) => sum + weights[metric], 0);
+    const overallScore = totalWeight > 0
+      ? scored.reduce((sum, metric) => sum + scores[metric] * weights[metric], 0) / totalWeight
+      : 0;
 
     const grade = this.getQualityGrade(overallScore);
+    const breakdown = {};
+    for (const [metric, score] of Object.entries(scores)) {
+      breakdown[metric] = score === null ? null : Math.round(score * 100) / 100;
+    }
 
     return {
       score: Math.round(overallScore * 100) / 100,
       grade,
-      breakdown: {
-        download: Math.round(downloadScore * 100) / 100,
-        upload: Math.round(uploadScore * 100) / 100,
-        latency: Math.round(latencyScore * 100) / 100,
-        packetLoss: Math.round(packetLossScore * 100) / 100,
-        consistency: Math.round(consistencyScore * 100) / 100
-      }
+      breakdown
     };
   }
 
   // Reliability score calculation
   calculateReliabilityScore(results) {
     const factors = {
-      latencyStability: this.calculateConsistency(results.latency.samples),
+      latencyStability: results.latency.samples.length > 0 ? this.calculateConsistency(results.latency.samples) : null,
       downloadConsistency: results.download.consistency,
       uploadConsistency: results.upload.consistency,
-      packetDelivery: 100 - results.packetLoss
+      packetDelivery: typeof results.packetLoss === 'number' ? 100 - results.packetLoss : null
     };
 
-    const reliability = Object.values(factors).reduce((sum, val) => sum + val, 0) / Object.keys(factors).length;
+    // Unmeasured factors are left out rather than counted as perfect
+    const measured = Object.values(factors).filter(value => typeof value === 'number');
+    if (measured.length === 0) return null;
+
+    const reliability = measured.reduce((sum, val) => sum + val, 0) / measured.length;
     return Math.round(reliability * 100) / 100;
   }
 
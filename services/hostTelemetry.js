@@ -0,0 +1,157 @@
+// Host telemetry on the speed test node: CPU (host-wide and this process), NIC
+// throughput on the default interface and the process's open TCP sockets,
+// sampled every HOST_SAMPLE_INTERVAL ms while any transfer is being watched.
+// Each transfer gets a summary of the samples taken during it, flagging the
+// node as saturated when a limit was reached, so the backend can tell results
+// bound by the server from ones bound by the client's link.
+//
+// Node runs JavaScript on one core, so the process saturates at 100% of one
+// core however idle the rest of the host is; both are checked. NIC speed comes
+// from the interface unless NODE_NIC_SPEED_MBPS is set (VMs often report none).
+
+const si = require('systeminformation');
+const { performance } = require('perf_hooks');
+
+const SAMPLE_INTERVAL = parseInt(process.env.HOST_SAMPLE_INTERVAL) || 1000;
+const SAMPLE_TTL = 2 * 60 * 1000; // Longer than any single transfer
+const IDLE_LINGER = 10 * 1000;    // Keep sampling between a test's back-to-back transfers
+const LIMITS = {
+  cpuPercent: parseFloat(process.env.HOST_CPU_SATURATION) || 90,
+  processCpuPercent: parseFloat(process.env.HOST_PROCESS_CPU_SATURATION) || 90,
+  nicUtilization: parseFloat(process.env.HOST_NIC_SATURATION) || 0.9,
+  sockets: parseInt(process.env.HOST_SOCKET_LIMIT) || 1000
+};
+
+const preciseNow = () => performance.timeOrigin + performance.now();
+const round = (value) => Math.round(value * 100) / 100;
+
+const samples = [];
+let watchers = 0;
+let idleSince = null;
+let timer = null;
+let sampling = false;
+let nicSpeedMbps;
+let lastProcessUsage = null;
+
+async function readNicSpeed() {
+  if (nicSpeedMbps !== undefined) return nicSpeedMbps;
+
+  const configured = parseFloat(process.env.NODE_NIC_SPEED_MBPS);
+  if (configured > 0) {
+    nicSpeedMbps = configured;
+  } else {
+    const iface = await si.networkInterfaces('default').catch(() => null);
+    nicSpeedMbps = iface && iface.speed > 0 ? iface.speed : null;
+  }
+  return nicSpeedMbps;
+}
+
+const countSockets = () => process.getActiveResourcesInfo().filter(resource => resource === 'TCPSocketWrap').length;
+
+async function takeSample() {
+  if (watchers === 0 && preciseNow() - idleSince > IDLE_LINGER) {
+    clearInterval(timer);
+    timer = null;
+    lastProcessUsage = null;
+    return;
+  }
+  if (sampling) return;
+  sampling = true;
+
+  try {
+    // currentLoad and networkStats report the span since their previous call
+    const [load, [nic], speed] = await Promise.all([si.currentLoad(), si.networkStats(), readNicSpeed()]);
+    const at = preciseNow();
+    const usage = process.cpuUsage();
+    const previous = lastProcessUsage;
+    lastProcessUsage = { at, usage };
+    if (!previous || !nic || nic.rx_sec === null) return;
+
+    const processMicros = (usage.user - previous.usage.user) + (usage.system - previous.usage.system);
+    const rxMbps = (nic.rx_sec * 8) / 1000000;
+    const txMbps = (nic.tx_sec * 8) / 1000000;
+
+    samples.push({
+      at,
+      cpuPercent: round(load.currentLoad),
+      processCpuPercent: round((processMicros / 1000 / (at - previous.at)) * 100),
+      rxMbps: round(rxMbps),
+      txMbps: round(txMbps),
+      nicUtilization: speed ? round(Math.max(rxMbps, txMbps) / speed) : null,
+      sockets: countSockets()
+    });
+
+    const cutoff = at - SAMPLE_TTL;
+    while (samples.length > 0 && samples[0].at < cutoff) samples.shift();
+  } catch (error) {
+    console.warn('⚠️ Host telemetry sample failed:', error.message);
+  } finally {
+    sampling = false;
+  }
+}
+
+// Limits the samples reached, e.g. ['process_cpu', 'nic']
+function saturationOf(summary) {
+  const reasons = [];
+  if (summary.cpuPercent >= LIMITS.cpuPercent) reasons.push('cpu');
+  if (summary.processCpuPercent >= LIMITS.processCpuPercent) reasons.push('process_cpu');
+  if (summary.nicUtilization !== null && summary.nicUtilization >= LIMITS.nicUtilization) reasons.push('nic');
+  if (summary.sockets >= LIMITS.sockets) reasons.push('sockets');
+  return reasons;
+}
+
+// Peaks over the samples covering [from, to]; a transfer shorter than the
+// interval takes the sample just before it. Null when there is none yet.
+function summarize(from, to) {
+  let covering = samples.filter(sample => sample.at > from && sample.at - SAMPLE_INTERVAL < to);
+  if (covering.length === 0) {
+    const latest = samples[samples.length - 1];
+    covering = latest && latest.at >= from - SAMPLE_INTERVAL ? [latest] : [];
+  }
+  if (covering.length === 0) return null;
+
+  const peak = (field) => Math.max(...covering.map(sample => sample[field]));
+  const utilizations = covering.map(sample => sample.nicUtilization).filter(value => value !== null);
+  const summary = {
+    samples: covering.length,
+    cpuPercent: peak('cpuPercent'),
+    processCpuPercent: peak('processCpuPercent'),
+    rxMbps: peak('rxMbps'),
+    txMbps: peak('txMbps'),
+    nicSpeedMbps: nicSpeedMbps || null,
+    nicUtilization: utilizations.length > 0 ? Math.max(...utilizations) : null,
+    sockets: peak('sockets')
+  };
+  summary.saturation = saturationOf(summary);
+  summary.saturated = summary.saturation.length > 0;
+  return summary;
+}
+
+// Sample for the duration of a transfer; `end()` stops watching and returns the
+// summary for the transfer's span
+function watchHost() {
+  const from = preciseNow();
+  let ended = false;
+
+  watchers++;
+  if (!timer) {
+    takeSample(); // Baseline for the first interval
+    timer = setInterval(takeSample, SAMPLE_INTERVAL);
+    timer.unref();
+  }
+
+  return {
+    end() {
+      if (ended) return null;
+      ended = true;
+
+      watchers--;
+      if (watchers === 0) idleSince = preciseNow();
+      return summarize(from, preciseNow());
+    }
+  };
+}
+
+module.exports = {
+  watchHost
+};
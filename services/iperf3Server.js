@@ -0,0 +1,427 @@
+// iperf3-compatible TCP test listener for the speed test node, for customers who
+// test from routers and servers with iperf3 rather than a browser. It speaks
+// enough of iperf3's control protocol (iperf_api.c in esnet/iperf) for TCP tests
+// with any number of parallel streams (-P) in either direction (-R). UDP, SCTP
+// and --bidir are refused as not implemented.
+//
+// The control connection and each data stream open with the client's 37-byte
+// cookie: a cookie that belongs to a test waiting for its streams marks a data
+// stream, anything else starts a new test. States are single bytes; JSON
+// messages are a 4-byte length followed by the text.
+//
+// Node can't read TCP_INFO, so retransmits are reported as unavailable and the
+// round trip is estimated from stream setup instead: the client connects its
+// streams one after another, each as soon as the previous one is up.
+//
+// A finished test is an upload (the client sent) or a download (-R) subtest.
+// Runs in both directions that share an --extra-data label from the same
+// address are paired (see services/subtestPairing) into one result for
+// `onResult`; runs without a label are reported on their own, as clients behind
+// one NAT share an address.
+//
+// iperf3 clients can't carry a test ticket, so only addresses on the `allow`
+// list (IPERF3_ALLOW, see parseAllowList) may run tests; anyone else gets
+// iperf3's access denied state.
+
+const net = require('net');
+const { preciseNow } = require('./transferRecorder');
+const { payloadSlice } = require('./payloadPool');
+const { watchHost } = require('./hostTelemetry');
+const { createSubtestPairing } = require('./subtestPairing');
+const { normalizeTicketIP } = require('../utils/testTicket');
+
+const COOKIE_SIZE = 37;
+const STATE = {
+  TEST_START: 1,
+  TEST_RUNNING: 2,
+  TEST_END: 4,
+  PARAM_EXCHANGE: 9,
+  CREATE_STREAMS: 10,
+  SERVER_TERMINATE: 11,
+  CLIENT_TERMINATE: 12,
+  EXCHANGE_RESULTS: 13,
+  DISPLAY_RESULTS: 14,
+  IPERF_DONE: 16,
+  ACCESS_DENIED: -1,
+  SERVER_ERROR: -2
+};
+
+// iperf3 error numbers (i_errno) sent along with SERVER_ERROR
+const IPERF_ERROR = {
+  DURATION: 5,
+  NUM_STREAMS: 6,
+  UNIMPLEMENTED: 13
+};
+
+const MAX_TESTS = parseInt(process.env.IPERF3_MAX_TESTS) || 2;
+const MAX_STREAMS = parseInt(process.env.IPERF3_MAX_STREAMS) || 16;
+const MAX_DURATION = parseInt(process.env.IPERF3_MAX_DURATION) || 60; // seconds
+const DEFAULT_BLOCK_SIZE = 128 * 1024;
+const MAX_BLOCK_SIZE = 1024 * 1024;
+const MAX_MESSAGE_SIZE = 64 * 1024;
+const HANDSHAKE_TIMEOUT = 10 * 1000;
+const END_GRACE = 15 * 1000; // Past the requested duration before a silent client is dropped
+const MAX_SAMPLES = 100;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class IperfError extends Error {
+  constructor(message, errno) {
+    super(message);
+    this.errno = errno;
+  }
+}
+
+// Reads exact byte counts off a socket as they arrive
+class SocketReader {
+  constructor(socket) {
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.waiting = null;
+    this.closed = false;
+    this.onData = (chunk) => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.check();
+    };
+    this.onClose = () => {
+      this.closed = true;
+      this.check();
+    };
+    socket.on('data', this.onData);
+    socket.on('close', this.onClose);
+  }
+
+  read(length, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.waiting = null;
+        reject(new Error('Timed out waiting for client'));
+      }, timeoutMs);
+      this.waiting = { length, resolve, reject, timer };
+      this.check();
+    });
+  }
+
+  async readState(timeoutMs) {
+    return (await this.read(1, timeoutMs)).readInt8(0);
+  }
+
+  async readJSON(timeoutMs) {
+    const length = (await this.read(4, timeoutMs)).readUInt32BE(0);
+    if (length > MAX_MESSAGE_SIZE) {
+      throw new Error(`Message of ${length} bytes is too large`);
+    }
+    return JSON.parse((await this.read(length, timeoutMs)).toString('utf8'));
+  }
+
+  check() {
+    const waiting = this.waiting;
+    if (!waiting) return;
+
+    if (this.buffer.length >= waiting.length) {
+      this.waiting = null;
+      clearTimeout(waiting.timer);
+      const data = this.buffer.subarray(0, waiting.length);
+      this.buffer = this.buffer.subarray(waiting.length);
+      waiting.resolve(data);
+    } else if (this.closed) {
+      this.waiting = null;
+      clearTimeout(waiting.timer);
+      waiting.reject(new Error('Connection closed'));
+    }
+  }
+
+  // Stop reading and hand back whatever arrived past the last read
+  release() {
+    this.socket.removeListener('data', this.onData);
+    this.socket.removeListener('close', this.onClose);
+    return this.buffer;
+  }
+}
+
+const stateByte = (state) => Buffer.from([state & 0xff]);
+
+function sendJSON(socket, value) {
+  const body = Buffer.from(JSON.stringify(value));
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(body.length);
+  socket.write(Buffer.concat([length, body]));
+}
+
+function sendError(socket, errno) {
+  const message = Buffer.alloc(9);
+  message.writeInt8(STATE.SERVER_ERROR, 0);
+  message.writeInt32BE(errno, 1);
+  message.writeInt32BE(0, 5);
+  socket.end(message);
+}
+
+// Refuse what this listener doesn't implement before any stream is opened
+function checkParameters(params) {
+  if (params.udp || params.sctp || params.bidirectional) {
+    throw new IperfError('Only TCP tests in one direction are supported', IPERF_ERROR.UNIMPLEMENTED);
+  }
+  if ((Number(params.parallel) || 1) > MAX_STREAMS) {
+    throw new IperfError(`At most ${MAX_STREAMS} parallel streams`, IPERF_ERROR.NUM_STREAMS);
+  }
+  if ((Number(params.time) || 0) + (Number(params.omit) || 0) > MAX_DURATION) {
+    throw new IperfError(`Tests may last at most ${MAX_DURATION} seconds`, IPERF_ERROR.DURATION);
+  }
+}
+
+// Keep a data stream's socket buffer full with payload until `test.ended`
+function sendStream(test, stream) {
+  const pump = () => {
+    while (!test.ended && !stream.socket.destroyed) {
+      const flushed = stream.socket.write(payloadSlice(test.blockSize));
+      stream.bytes += test.blockSize;
+      if (!flushed) {
+        stream.socket.once('drain', pump);
+        return;
+      }
+    }
+  };
+  pump();
+}
+
+function cpuUtilization(usage, elapsedMs) {
+  const percent = (micros) => round((micros / 1000 / Math.max(1, elapsedMs)) * 100);
+  return {
+    cpu_util_total: percent(usage.user + usage.system),
+    cpu_util_user: percent(usage.user),
+    cpu_util_system: percent(usage.system)
+  };
+}
+
+/**
+ * Parse a comma-separated list of addresses and CIDR ranges
+ * @param {string} value - e.g. "203.0.113.0/24, 2001:db8::/32, 198.51.100.7"
+ * @returns {Object} { allow: net.BlockList, entries, invalid } - `allow` matches the listed addresses
+ */
+function parseAllowList(value) {
+  const allow = new net.BlockList();
+  const entries = [];
+  const invalid = [];
+
+  String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [address, prefix] = entry.split('/');
+    const family = net.isIPv6(address) ? 'ipv6' : (net.isIPv4(address) ? 'ipv4' : null);
+    const bits = prefix === undefined ? null : Number(prefix);
+
+    if (!family || (bits !== null && !(Number.isInteger(bits) && bits >= 0 && bits <= (family === 'ipv4' ? 32 : 128)))) {
+      invalid.push(entry);
+      return;
+    }
+    if (bits === null) {
+      allow.addAddress(address, family);
+    } else {
+      allow.addSubnet(address, bits, family);
+    }
+    entries.push(entry);
+  });
+
+  return { allow, entries, invalid };
+}
+
+function isAllowed(allow, address) {
+  const normalized = normalizeTicketIP(address);
+  return allow.check(normalized, net.isIPv6(normalized) ? 'ipv6' : 'ipv4');
+}
+
+// `allow` is a net.BlockList of the addresses that may run tests (see parseAllowList)
+function createIperf3Server({ serverId, networkType = 'ethernet', allow, onResult }) {
+  const waitingForStreams = new Map(); // cookie -> test
+  const collect = createSubtestPairing(onResult);
+  let activeTests = 0;
+
+  const server = net.createServer((socket) => {
+    socket.acceptedAt = preciseNow();
+    socket.setNoDelay(true);
+    socket.on('error', () => {});
+
+    if (!allow || !isAllowed(allow, socket.remoteAddress)) {
+      console.warn(`⚠️ iperf3 connection from ${normalizeTicketIP(socket.remoteAddress)} refused: not on IPERF3_ALLOW`);
+      socket.end(stateByte(STATE.ACCESS_DENIED));
+      return;
+    }
+
+    const reader = new SocketReader(socket);
+    reader.read(COOKIE_SIZE, HANDSHAKE_TIMEOUT)
+      .then((cookieBytes) => {
+        const cookie = cookieBytes.toString('latin1');
+        const test = waitingForStreams.get(cookie);
+        if (test) {
+          test.addStream(socket, reader.release());
+        } else {
+          runTest(socket, reader, cookie);
+        }
+      })
+      .catch(() => socket.destroy());
+  });
+
+  async function runTest(control, reader, cookie) {
+    if (activeTests >= MAX_TESTS) {
+      control.end(stateByte(STATE.ACCESS_DENIED));
+      return;
+    }
+    activeTests++;
+
+    const clientIP = normalizeTicketIP(control.remoteAddress);
+    const test = { cookie, streams: [], ended: false, blockSize: DEFAULT_BLOCK_SIZE };
+    const timers = [];
+    let hostWatch = null;
+
+    try {
+      control.write(stateByte(STATE.PARAM_EXCHANGE));
+      const params = await reader.readJSON(HANDSHAKE_TIMEOUT);
+      checkParameters(params);
+
+      const parallel = Number(params.parallel) || 1;
+      const reverse = Boolean(params.reverse);
+      const omitMs = (Number(params.omit) || 0) * 1000;
+      test.blockSize = Math.min(MAX_BLOCK_SIZE, Number(params.len) || DEFAULT_BLOCK_SIZE);
+      console.log(`[${new Date().toISOString()}] iperf3 ${reverse ? 'download (-R)' : 'upload'} x${parallel} - ${clientIP} (iperf ${params.client_version || 'unknown'})`);
+
+      // Streams, each with the client's cookie, then the test starts
+      const streamsReady = new Promise((resolve) => {
+        test.addStream = (socket, leftover) => {
+          const index = test.streams.length;
+          const stream = { id: index === 0 ? 1 : index + 2, socket, bytes: leftover.length, acceptedAt: socket.acceptedAt };
+          test.streams.push(stream);
+          socket.on('data', (chunk) => {
+            if (!test.ended) stream.bytes += chunk.length;
+          });
+          if (test.streams.length === parallel) {
+            waitingForStreams.delete(cookie);
+            resolve();
+          }
+        };
+      });
+      waitingForStreams.set(cookie, test);
+      const createdAt = preciseNow();
+      control.write(stateByte(STATE.CREATE_STREAMS));
+      await Promise.race([
+        streamsReady,
+        new Promise((resolve, reject) => timers.push(setTimeout(() => reject(new Error('Streams did not connect')), HANDSHAKE_TIMEOUT)))
+      ]);
+
+      // Handshake of the first stream takes two round trips after CREATE_STREAMS,
+      // each later stream one more
+      const rtts = test.streams.map((stream, index) => round(index === 0
+        ? (stream.acceptedAt - createdAt) / 2
+        : stream.acceptedAt - test.streams[index - 1].acceptedAt));
+
+      control.write(Buffer.concat([stateByte(STATE.TEST_START), stateByte(STATE.TEST_RUNNING)]));
+      const startedAt = preciseNow();
+      const cpuStart = process.cpuUsage();
+      hostWatch = watchHost();
+      const totalBytes = () => test.streams.reduce((sum, stream) => sum + stream.bytes, 0);
+      if (reverse) test.streams.forEach(stream => sendStream(test, stream));
+
+      // Mbps over each second, like iperf3's intervals, and the count at the end
+      // of the omitted warm-up
+      const samples = [];
+      let lastSample = { at: startedAt, bytes: 0 };
+      let omitted = { at: startedAt, bytes: 0 };
+      const sampler = setInterval(() => {
+        const now = preciseNow();
+        const bytes = totalBytes();
+        if (now - startedAt > omitMs && samples.length < MAX_SAMPLES) {
+          samples.push(round(((bytes - lastSample.bytes) * 8) / ((now - lastSample.at) * 1000)));
+        }
+        lastSample = { at: now, bytes };
+      }, 1000);
+      timers.push(sampler);
+      if (omitMs > 0) {
+        timers.push(setTimeout(() => { omitted = { at: preciseNow(), bytes: totalBytes() }; }, omitMs));
+      }
+
+      // The client decides when the test ends (time, -n bytes or -k blocks)
+      const limitMs = ((Number(params.time) || MAX_DURATION) * 1000) + omitMs + END_GRACE;
+      const state = await reader.readState(limitMs);
+      test.ended = true;
+      const endedAt = preciseNow();
+      const host = hostWatch.end();
+      if (state !== STATE.TEST_END) {
+        throw new Error(state === STATE.CLIENT_TERMINATE ? 'Client terminated the test' : `Unexpected state ${state}`);
+      }
+
+      const elapsedMs = endedAt - startedAt;
+      const bytes = totalBytes();
+      const measuredMs = endedAt - omitted.at;
+
+      control.write(stateByte(STATE.EXCHANGE_RESULTS));
+      const clientResults = await reader.readJSON(HANDSHAKE_TIMEOUT);
+      sendJSON(control, {
+        ...cpuUtilization(process.cpuUsage(cpuStart), elapsedMs),
+        sender_has_retransmits: reverse ? 0 : -1,
+        streams: test.streams.map(stream => ({
+          id: stream.id,
+          bytes: stream.bytes,
+          retransmits: -1,
+          jitter: 0,
+          errors: 0,
+          omitted_errors: 0,
+          packets: 0,
+          omitted_packets: 0,
+          start_time: 0,
+          end_time: elapsedMs / 1000
+        }))
+      });
+      control.write(stateByte(STATE.DISPLAY_RESULTS));
+      await reader.readState(HANDSHAKE_TIMEOUT).catch(() => null); // IPERF_DONE
+
+      const clientStreams = Array.isArray(clientResults.streams) ? clientResults.streams : [];
+      const subtest = {
+        test: reverse ? 'download' : 'upload',
+        uuid: cookie.replace(/\0/g, ''),
+        startedAt: new Date(startedAt).toISOString(),
+        bytes,
+        elapsedMs: round(elapsedMs),
+        mbps: measuredMs > 0 ? round(((bytes - omitted.bytes) * 8) / (measuredMs * 1000)) : 0,
+        completed: true,
+        streams: parallel,
+        clientBytes: clientStreams.reduce((sum, stream) => sum + (Number(stream.bytes) || 0), 0),
+        samples,
+        rtts,
+        minRttMs: rtts.length > 0 ? Math.min(...rtts) : null,
+        host
+      };
+      console.log(`iperf3 ${subtest.test} finished: ${bytes} bytes, ${subtest.mbps} Mbps`);
+
+      const clientVersion = params.client_version ? String(params.client_version).slice(0, 50) : null;
+      const label = params.extra_data ? String(params.extra_data).slice(0, 100) : null;
+      collect(label ? `label:${clientIP}:${label}` : `cookie:${cookie}`, {
+        serverId,
+        clientIP,
+        userAgent: `iperf3/${clientVersion || 'unknown'}`,
+        clientMetadata: { client_name: 'iperf3', client_version: clientVersion || undefined },
+        networkType
+      }, subtest);
+    } catch (error) {
+      if (error instanceof IperfError) {
+        console.warn(`⚠️ iperf3 test from ${clientIP} refused: ${error.message}`);
+        sendError(control, error.errno);
+      } else {
+        console.warn(`⚠️ iperf3 test from ${clientIP} failed: ${error.message}`);
+        if (!control.destroyed) control.end(stateByte(STATE.SERVER_TERMINATE));
+      }
+    } finally {
+      test.ended = true;
+      if (hostWatch) hostWatch.end();
+      timers.forEach(timer => clearTimeout(timer));
+      waitingForStreams.delete(cookie);
+      test.streams.forEach(stream => stream.socket.destroy());
+      reader.release();
+      control.end();
+      activeTests--;
+    }
+  }
+
+  return server;
+}
+
+module.exports = {
+  parseAllowList,
+  createIperf3Server
+};
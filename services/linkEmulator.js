@@ -0,0 +1,241 @@
+// Link emulation for the speed test node.
+// A request picks a link through `?link=<profile>` or an `X-Link-Profile`
+// header (profiles are shared with simulation mode, see networkProfiles), and
+// can override single parameters with `linkRate`, `linkUpRate`, `linkLatency`,
+// `linkJitter`, `linkLoss` and `linkSeed` query parameters or an
+// `X-Link-Emulation: rate=20; latency=40; jitter=5; loss=1` header.
+// LINK_PROFILE sets a node-wide default for requests that don't choose one.
+//
+// Rates are Mbps, latency (added RTT) and jitter are ms, loss is a percentage.
+// Values outside LINK_LIMITS are refused, so a request can't hold a socket open
+// for as long as it likes (or overflow setTimeout) through its link.
+// Throughput is paced by a token bucket counted in bytes, so the payload is
+// delivered exactly at the configured rate. TCP never loses bytes, so a lost
+// segment costs one extra round trip instead, as it would with fast retransmit.
+
+const crypto = require('crypto');
+const { NETWORK_PROFILES, listProfiles } = require('./networkProfiles');
+const { createSeededRandom } = require('../utils/seededRandom');
+
+const SEGMENT_SIZE = 1448;          // TCP payload per segment on a 1500 byte MTU
+const MIN_BURST_BYTES = 16 * 1024;  // Smallest bucket, so pacing isn't per-segment
+const BURST_WINDOW_MS = 10;         // Bucket holds this much time at the link rate
+
+// X-Link-Emulation key -> [query parameter, link field]
+const PARAMETERS = {
+  rate: ['linkRate', 'downloadMbps'],
+  uprate: ['linkUpRate', 'uploadMbps'],
+  latency: ['linkLatency', 'latencyMs'],
+  jitter: ['linkJitter', 'jitterMs'],
+  loss: ['linkLoss', 'lossPercent'],
+  seed: ['linkSeed', 'seed']
+};
+
+// [min, max] per link field. A rate of 0 leaves that direction unshaped, so the
+// minimum applies to rates that are set.
+const LINK_LIMITS = {
+  downloadMbps: [0.1, 10000],
+  uploadMbps: [0.1, 10000],
+  latencyMs: [0, 5000],
+  jitterMs: [0, 1000],
+  lossPercent: [0, 100]
+};
+
+function profileToLink(name) {
+  const profile = NETWORK_PROFILES[name];
+  if (!profile) return null;
+
+  return {
+    name,
+    downloadMbps: profile.download.mean,
+    uploadMbps: profile.upload.mean,
+    latencyMs: profile.latency.base,
+    jitterMs: profile.latency.jitter,
+    lossPercent: profile.loss
+  };
+}
+
+// Key/value overrides from the query string or the X-Link-Emulation header
+function readOverrides(req) {
+  const overrides = {};
+  const header = req.headers['x-link-emulation'];
+
+  if (header) {
+    header.split(/[;,]/).forEach(pair => {
+      const [key, value] = pair.split('=').map(part => part && part.trim().toLowerCase());
+      if (PARAMETERS[key] && value !== undefined) overrides[PARAMETERS[key][1]] = value;
+    });
+  }
+
+  for (const [queryName, field] of Object.values(PARAMETERS)) {
+    const value = req.query[queryName];
+    if (value !== undefined) overrides[field] = value;
+  }
+
+  return overrides;
+}
+
+// Resolve the link for a request, or null when it should run unshaped.
+// `link=none` opts a request out of the node-wide LINK_PROFILE default.
+// Throws on unknown profiles or bad values so misconfigured tests fail loudly.
+function resolveLink(req) {
+  const profileName = req.query.link || req.headers['x-link-profile'] || process.env.LINK_PROFILE;
+  const overrides = readOverrides(req);
+  const shaped = profileName && profileName !== 'none';
+  const customised = Object.keys(overrides).some(field => field !== 'seed');
+
+  if (!shaped && !customised) {
+    return null;
+  }
+
+  const link = shaped
+    ? profileToLink(profileName)
+    : { name: 'custom', downloadMbps: 0, uploadMbps: 0, latencyMs: 0, jitterMs: 0, lossPercent: 0 };
+
+  if (!link) {
+    const error = new Error(`Unknown link profile: ${profileName}`);
+    error.status = 400;
+    throw error;
+  }
+
+  for (const [field, value] of Object.entries(overrides)) {
+    if (field === 'seed') {
+      link.seed = value;
+      continue;
+    }
+
+    const number = parseFloat(value);
+    const [min, max] = LINK_LIMITS[field];
+    const unshapedRate = number === 0 && field.endsWith('Mbps');
+    if (!Number.isFinite(number) || ((number < min || number > max) && !unshapedRate)) {
+      const error = new Error(`Invalid link parameter ${field}: ${value} (allowed ${min} to ${max})`);
+      error.status = 400;
+      throw error;
+    }
+    link[field] = number;
+  }
+
+  // A single rate override shapes both directions unless uprate is given
+  if (overrides.downloadMbps !== undefined && overrides.uploadMbps === undefined) {
+    link.uploadMbps = link.downloadMbps;
+  }
+
+  if (shaped && customised) {
+    link.name = `${profileName}+custom`;
+  }
+
+  return link;
+}
+
+// Byte-counting token bucket. take() may overdraw the bucket; the debt is
+// returned as the wait before those bytes may leave, which keeps the long-run
+// rate exact regardless of chunk size.
+class TokenBucket {
+  constructor(rateMbps) {
+    this.bytesPerMs = rateMbps * 1000000 / 8 / 1000;
+    this.capacity = Math.max(MIN_BURST_BYTES, this.bytesPerMs * BURST_WINDOW_MS);
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+  }
+
+  take(bytes) {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.bytesPerMs);
+    this.lastRefill = now;
+    this.tokens -= bytes;
+
+    return this.tokens >= 0 ? 0 : -this.tokens / this.bytesPerMs;
+  }
+}
+
+// Per-request shaper. Buckets are per direction; delays and losses are drawn
+// from a seeded generator so a fixed linkSeed reproduces the same run.
+class LinkShaper {
+  constructor(link) {
+    this.link = link;
+    this.random = createSeededRandom(link.seed !== undefined ? link.seed : crypto.randomBytes(4).readUInt32BE(0));
+    this.buckets = {
+      download: link.downloadMbps > 0 ? new TokenBucket(link.downloadMbps) : null,
+      upload: link.uploadMbps > 0 ? new TokenBucket(link.uploadMbps) : null
+    };
+  }
+
+  // Added round trip for one exchange: latency plus normally distributed jitter
+  roundTripMs() {
+    const { latencyMs, jitterMs } = this.link;
+    if (!latencyMs && !jitterMs) return 0;
+    return Math.max(0, this.random.normal(latencyMs, jitterMs));
+  }
+
+  // Whether one datagram/segment is lost
+  drops() {
+    return this.link.lossPercent > 0 && this.random.chance(this.link.lossPercent / 100);
+  }
+
+  // Wait before `bytes` may be sent in `direction`: token bucket pacing plus
+  // one extra round trip for every segment that the emulated link loses
+  reserve(direction, bytes) {
+    const bucket = this.buckets[direction];
+    let wait = bucket ? bucket.take(bytes) : 0;
+
+    if (this.link.lossPercent > 0) {
+      const segments = Math.ceil(bytes / SEGMENT_SIZE);
+      for (let i = 0; i < segments; i++) {
+        if (this.drops()) wait += Math.max(this.roundTripMs(), 1);
+      }
+    }
+
+    return wait;
+  }
+
+  describe() {
+    const { seed, ...link } = this.link;
+    return link;
+  }
+}
+
+// Express middleware: attaches req.link and holds the request for one added
+// round trip, which is what a slower path adds before the first response byte
+function linkEmulation() {
+  return (req, res, next) => {
+    let link;
+    try {
+      link = resolveLink(req);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    if (!link) return next();
+
+    req.link = new LinkShaper(link);
+    res.set('X-Link-Emulation', req.link.link.name);
+
+    const delay = req.link.roundTripMs();
+    if (delay > 0) {
+      setTimeout(next, delay);
+    } else {
+      next();
+    }
+  };
+}
+
+// Hold an incoming body until `bytes` fit the upload bucket. Pausing the socket
+// lets TCP flow control push back on the client, so it really sends at the link rate.
+function paceIncoming(req, bytes) {
+  const wait = req.link.reserve('upload', bytes);
+  if (wait > 0) {
+    req.pause();
+    setTimeout(() => req.resume(), wait);
+  }
+}
+
+module.exports = {
+  LinkShaper,
+  TokenBucket,
+  LINK_LIMITS,
+  resolveLink,
+  linkEmulation,
+  paceIncoming,
+  listLinkProfiles: listProfiles,
+  LINK_QUERY_PARAMETERS: ['link', ...Object.values(PARAMETERS).map(([queryName]) => queryName)]
+};
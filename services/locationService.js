@@ -72,6 +72,19 @@ function cleanIPAddress(ip) {
   return cleanIP;
 }
 
+// Address family the client actually connected over. cleanIPAddress folds
+// IPv4-mapped and loopback IPv6 into IPv4 for geolocation, so check the raw value.
+function getIPVersion(ip) {
+  if (!ip) return 'ipv4';
+
+  const rawIP = ip.toString().split(',')[0].trim();
+  if (rawIP.startsWith('::ffff:') && rawIP.includes('.')) {
+    return 'ipv4';
+  }
+
+  return rawIP.includes(':') && !/^[\d.]+:\d+$/.test(rawIP) ? 'ipv6' : 'ipv4';
+}
+
 // Check if IP is localhost/loopback
 function isLocalhost(ip) {
   const localhostPatterns = [
@@ -328,6 +341,7 @@ async function getEnhancedNetworkInfo(req) {
     return {
       ip: displayIP,
       originalIP: clientIP,
+      ipVersion: getIPVersion(clientIP),
       isp: location.isp,
       location: {
         city: location.city || 'Unknown',
@@ -374,6 +388,7 @@ module.exports = {
   getExternalIPLocation,
   getEnhancedNetworkInfo,
   cleanIPAddress,
+  getIPVersion,
   isLocalhost,
   detectConnectionType
 };
\ No newline at end of file
@@ -0,0 +1,310 @@
+// ndt7, M-Lab's WebSocket speed test protocol, on the speed test node so that
+// off-the-shelf ndt7 clients can test against our nodes. Protocol reference:
+// https://github.com/m-lab/ndt-server/blob/main/spec/ndt7-protocol.md
+//
+// /ndt/v7/download and /ndt/v7/upload upgrade with the net.measurementlab.ndt.v7
+// subprotocol. The download subtest sends binary messages for ten seconds,
+// doubling the message size as the transfer grows; the upload subtest counts
+// what the client sends. Both send JSON measurements (AppInfo, and
+// ConnectionInfo in the first one) about every 250 ms. Node can't read the
+// kernel's TCP_INFO, so TCPInfo is left out and round trips are measured with
+// WebSocket pings instead.
+//
+// A client's download and upload are paired (see services/subtestPairing) into
+// one result for `onResult`, which the node reports to the main backend to be
+// stored as a SpeedTest. Both subtest URLs from the locate answer carry the same
+// ticket, which is what they pair on.
+
+const http = require('http');
+const WebSocket = require('ws');
+const { preciseNow, startTransfer } = require('./transferRecorder');
+const { payloadSlice } = require('./payloadPool');
+const { createSubtestPairing } = require('./subtestPairing');
+const { normalizeTicketIP } = require('../utils/testTicket');
+
+const NDT7_SUBPROTOCOL = 'net.measurementlab.ndt.v7';
+const NDT7_PATHS = {
+  '/ndt/v7/download': 'download',
+  '/ndt/v7/upload': 'upload'
+};
+
+const MIN_MESSAGE_SIZE = 1 << 13;
+const MAX_MESSAGE_SIZE = 1 << 24;
+const SCALING_FRACTION = 16;             // Grow messages while they are at most 1/16 of the bytes sent
+const DOWNLOAD_DURATION = 10 * 1000;
+const MAX_DURATION = 15 * 1000;          // Hard limit on either subtest
+const MEASUREMENT_INTERVAL = 250;        // Mean gap between measurement messages
+const HIGH_WATER_MARK = 4 * 1024 * 1024; // Stop queueing download messages above this
+const MAX_SAMPLES = 100;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Gaps are drawn from an exponential distribution (clamped) rather than fixed,
+// as the spec asks, so measurements don't beat against periodic path behaviour
+const nextMeasurementDelay = () => Math.min(
+  MEASUREMENT_INTERVAL * 4,
+  Math.max(MEASUREMENT_INTERVAL / 4, -Math.log(1 - Math.random()) * MEASUREMENT_INTERVAL)
+);
+
+const hostPort = (address, port) => (String(address).includes(':') ? `[${address}]:${port}` : `${address}:${port}`);
+
+function rejectUpgrade(socket, status, message) {
+  socket.end(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+    'Connection: close\r\n' +
+    'Content-Type: text/plain\r\n' +
+    `Content-Length: ${Buffer.byteLength(message)}\r\n\r\n` +
+    message
+  );
+}
+
+function requestsSubprotocol(req) {
+  return String(req.headers['sec-websocket-protocol'] || '')
+    .split(',')
+    .some(protocol => protocol.trim() === NDT7_SUBPROTOCOL);
+}
+
+// ndt7 clients describe themselves with client_* query parameters
+function readClientMetadata(query = {}) {
+  const metadata = {};
+  Object.keys(query)
+    .filter(key => key.startsWith('client_'))
+    .slice(0, 10)
+    .forEach(key => {
+      metadata[key] = String(query[key]).slice(0, 100);
+    });
+  return metadata;
+}
+
+// Subtests pair on their ticket. Without tickets (development) the client's
+// metadata and address stand in, which two clients behind one NAT may share.
+function pairingKey(req, clientIP) {
+  if (req.ticket?.ticketId) return `ticket:${req.ticket.ticketId}`;
+  return `client:${clientIP}:${JSON.stringify(readClientMetadata(req.query))}`;
+}
+
+// One download or upload subtest on an open socket. `limit` is the most the
+// subtest may move (what is left of the ticket's budget).
+function runSubtest(ws, req, test, { limit, onEnd }) {
+  const transfer = startTransfer(req, null, test, null);
+  const startedAt = preciseNow();
+  const samples = [];
+  const rtts = [];
+  let clientMeasurement = null;
+  let lastSample = { at: startedAt, bytes: 0 };
+  let pingSentAt = null;
+  let measurementTimer = null;
+  let closedByServer = false;
+
+  const measure = () => {
+    const now = preciseNow();
+    const message = {
+      AppInfo: { ElapsedTime: Math.round((now - startedAt) * 1000), NumBytes: transfer.bytes },
+      Origin: 'server',
+      Test: test
+    };
+    if (samples.length === 0) {
+      message.ConnectionInfo = {
+        Client: hostPort(normalizeTicketIP(req.ip), req.socket.remotePort),
+        Server: hostPort(normalizeTicketIP(req.socket.localAddress), req.socket.localPort),
+        UUID: transfer.transferId
+      };
+    }
+
+    // Mbps since the previous measurement
+    const elapsedMs = now - lastSample.at;
+    if (elapsedMs > 0 && samples.length < MAX_SAMPLES) {
+      samples.push(round(((transfer.bytes - lastSample.bytes) * 8) / (elapsedMs * 1000)));
+    }
+    lastSample = { at: now, bytes: transfer.bytes };
+
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+      if (pingSentAt === null) {
+        pingSentAt = preciseNow();
+        ws.ping();
+      }
+      measurementTimer = setTimeout(measure, nextMeasurementDelay());
+    }
+  };
+
+  const finish = () => {
+    closedByServer = true;
+    if (ws.readyState === WebSocket.OPEN) ws.close(1000);
+  };
+
+  // A client that stops reading (or never closes) is cut off at the hard limit
+  const hardLimit = setTimeout(() => {
+    closedByServer = true;
+    ws.terminate();
+  }, MAX_DURATION);
+
+  ws.on('pong', () => {
+    if (pingSentAt === null) return;
+    if (rtts.length < MAX_SAMPLES) rtts.push(round(preciseNow() - pingSentAt));
+    pingSentAt = null;
+  });
+
+  ws.on('message', (data, isBinary) => {
+    if (!isBinary) {
+      // The client's own measurements; only its latest view is kept
+      try {
+        const measurement = JSON.parse(data);
+        if (measurement && measurement.AppInfo) clientMeasurement = measurement.AppInfo;
+      } catch (error) {
+        // Measurements are optional, malformed ones are ignored
+      }
+      return;
+    }
+
+    if (test !== 'upload') return;
+    transfer.addBytes(data.length);
+    if (transfer.bytes > limit && ws.readyState === WebSocket.OPEN) {
+      ws.close(1008, 'Ticket upload budget exceeded');
+    }
+  });
+
+  ws.on('close', (code) => {
+    clearTimeout(hardLimit);
+    clearTimeout(measurementTimer);
+
+    // Uploads end when the client closes; downloads when the server does
+    const completed = test === 'upload' ? code === 1000 || closedByServer : closedByServer;
+    transfer.finish({ completed });
+    const record = transfer.toJSON();
+
+    onEnd(transfer, {
+      test,
+      uuid: record.transferId,
+      startedAt: new Date(startedAt).toISOString(),
+      bytes: record.bytes,
+      elapsedMs: round(record.finishedAt - startedAt),
+      mbps: record.mbps || 0,
+      completed,
+      samples,
+      rtts,
+      minRttMs: rtts.length > 0 ? Math.min(...rtts) : null,
+      clientAppInfo: clientMeasurement,
+      host: record.host
+    });
+  });
+
+  ws.on('error', (error) => {
+    console.error(`ndt7 ${test} socket error:`, error.message);
+  });
+
+  // An idle round trip before any payload is queued
+  pingSentAt = preciseNow();
+  ws.ping();
+  measurementTimer = setTimeout(measure, nextMeasurementDelay());
+
+  if (test === 'download') {
+    sendDownload(ws, transfer, startedAt, limit, finish);
+  }
+}
+
+// Queue payload messages until the socket buffer reaches HIGH_WATER_MARK, then
+// continue as written messages are flushed
+function sendDownload(ws, transfer, startedAt, limit, done) {
+  let size = MIN_MESSAGE_SIZE;
+  let waiting = false;
+  let stalledAt = null;
+
+  const sendMore = () => {
+    waiting = false;
+    if (stalledAt !== null) {
+      transfer.addStall(Date.now() - stalledAt);
+      stalledAt = null;
+    }
+
+    while (ws.readyState === WebSocket.OPEN) {
+      if (preciseNow() - startedAt >= DOWNLOAD_DURATION || transfer.bytes >= limit) {
+        done();
+        return;
+      }
+
+      if (ws.bufferedAmount >= HIGH_WATER_MARK) {
+        waiting = true;
+        stalledAt = Date.now();
+        return;
+      }
+
+      const length = Math.min(size, limit - transfer.bytes);
+      ws.send(payloadSlice(length), { binary: true }, onWritten);
+      transfer.addBytes(length);
+
+      if (size < MAX_MESSAGE_SIZE && size <= transfer.bytes / SCALING_FRACTION) {
+        size *= 2;
+      }
+    }
+  };
+
+  function onWritten(error) {
+    if (!error && waiting) sendMore();
+  }
+
+  // Ends on time even if the client stops reading and no write completes
+  const deadline = setTimeout(() => {
+    if (ws.readyState === WebSocket.OPEN) done();
+  }, DOWNLOAD_DURATION);
+  ws.on('close', () => clearTimeout(deadline));
+
+  sendMore();
+}
+
+function createNdt7Server({ serverId, onResult }) {
+  const wss = new WebSocket.Server({
+    noServer: true,
+    maxPayload: MAX_MESSAGE_SIZE,
+    handleProtocols: (protocols) => (protocols.has(NDT7_SUBPROTOCOL) ? NDT7_SUBPROTOCOL : false)
+  });
+  const collect = createSubtestPairing(onResult);
+
+  // `req` carries the client address (req.ip) and parsed query; `limit` and
+  // `onEnd(transfer)` let the caller charge the transfer to a ticket
+  function handleUpgrade(req, socket, head, { limit = Infinity, onEnd } = {}) {
+    const test = NDT7_PATHS[new URL(req.url, 'http://localhost').pathname];
+    if (!test) {
+      rejectUpgrade(socket, 404, 'Unknown ndt7 subtest');
+      return;
+    }
+    if (!requestsSubprotocol(req)) {
+      rejectUpgrade(socket, 400, `Subprotocol ${NDT7_SUBPROTOCOL} required`);
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      console.log(`[${new Date().toISOString()}] WS ndt7 ${test} - ${req.ip}`);
+
+      runSubtest(ws, req, test, {
+        limit,
+        onEnd: (transfer, subtest) => {
+          if (onEnd) onEnd(transfer);
+          console.log(`ndt7 ${test} finished: ${subtest.bytes} bytes, ${subtest.mbps} Mbps`);
+
+          const clientIP = normalizeTicketIP(req.ip);
+          const base = {
+            serverId,
+            clientIP,
+            userAgent: req.headers['user-agent'] || null,
+            clientMetadata: readClientMetadata(req.query),
+            ticketId: req.ticket?.ticketId || null
+          };
+          collect(pairingKey(req, clientIP), base, subtest);
+        }
+      });
+    });
+  }
+
+  return {
+    handles: (pathname) => Object.prototype.hasOwnProperty.call(NDT7_PATHS, pathname),
+    handleUpgrade
+  };
+}
+
+module.exports = {
+  NDT7_SUBPROTOCOL,
+  NDT7_PATHS,
+  createNdt7Server,
+  rejectUpgrade
+};
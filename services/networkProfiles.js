@@ -0,0 +1,132 @@
+// Named network profiles for deterministic simulation mode.
+// Throughput figures are Mbps, latency and jitter are ms, loss is a percentage.
+// `bufferbloat` is the median latency added while the link is saturated.
+
+const { createSeededRandom } = require('../utils/seededRandom');
+
+const NETWORK_PROFILES = {
+  '3g': {
+    label: '3G (HSPA)',
+    download: { mean: 3, stdDev: 1 },
+    upload: { mean: 1, stdDev: 0.4 },
+    latency: { base: 120, jitter: 30 },
+    loss: 1.5,
+    bufferbloat: { download: 250, upload: 400 }
+  },
+  lte: {
+    label: '4G LTE',
+    download: { mean: 35, stdDev: 12 },
+    upload: { mean: 12, stdDev: 4 },
+    latency: { base: 45, jitter: 12 },
+    loss: 0.5,
+    bufferbloat: { download: 80, upload: 120 }
+  },
+  adsl: {
+    label: 'ADSL2+',
+    download: { mean: 8, stdDev: 1.5 },
+    upload: { mean: 0.8, stdDev: 0.15 },
+    latency: { base: 35, jitter: 5 },
+    loss: 0.3,
+    bufferbloat: { download: 150, upload: 500 }
+  },
+  vdsl: {
+    label: 'VDSL2',
+    download: { mean: 45, stdDev: 5 },
+    upload: { mean: 15, stdDev: 2 },
+    latency: { base: 18, jitter: 3 },
+    loss: 0.1,
+    bufferbloat: { download: 40, upload: 90 }
+  },
+  fibre: {
+    label: 'Fibre (FTTH)',
+    download: { mean: 450, stdDev: 40 },
+    upload: { mean: 400, stdDev: 40 },
+    latency: { base: 6, jitter: 1 },
+    loss: 0.02,
+    bufferbloat: { download: 5, upload: 8 }
+  },
+  satellite: {
+    label: 'Geostationary satellite',
+    download: { mean: 25, stdDev: 8 },
+    upload: { mean: 3, stdDev: 1 },
+    latency: { base: 600, jitter: 40 },
+    loss: 1,
+    bufferbloat: { download: 300, upload: 500 }
+  },
+  'congested-evening': {
+    label: 'Congested evening peak',
+    download: { mean: 12, stdDev: 8 },
+    upload: { mean: 5, stdDev: 3 },
+    latency: { base: 40, jitter: 25 },
+    loss: 2.5,
+    bufferbloat: { download: 200, upload: 250 }
+  }
+};
+
+const DEFAULT_PROFILE = 'vdsl';
+
+// Seeded draws from one profile. The same profile and seed produce the same figures.
+class NetworkSimulator {
+  constructor(profileName = DEFAULT_PROFILE, seed = Date.now()) {
+    const profile = NETWORK_PROFILES[profileName];
+    if (!profile) {
+      throw new Error(`Unknown network profile: ${profileName}`);
+    }
+
+    this.profileName = profileName;
+    this.profile = profile;
+    this.seed = seed;
+    this.random = createSeededRandom(`${profileName}:${seed}`);
+  }
+
+  // Throughput samples around a per-run base speed, never below 5% of the profile mean
+  throughputSamples(direction, count) {
+    const { mean, stdDev } = this.profile[direction];
+    const floor = mean * 0.05;
+    const base = Math.max(floor, this.random.normal(mean, stdDev));
+
+    return Array.from({ length: count }, () =>
+      Math.max(floor, this.random.normal(base, stdDev * 0.25))
+    );
+  }
+
+  // Latency is skewed: base plus the magnitude of a jitter draw
+  latencySamples(count, added = 0) {
+    const { base, jitter } = this.profile.latency;
+    return Array.from({ length: count }, () =>
+      base + added * this.random.between(0.6, 1.4) + Math.abs(this.random.normal(0, jitter))
+    );
+  }
+
+  packetLoss(packetCount) {
+    const probability = this.profile.loss / 100;
+    let received = 0;
+    let reordered = 0;
+
+    for (let i = 0; i < packetCount; i++) {
+      if (!this.random.chance(probability)) {
+        received++;
+        if (this.random.chance(probability / 4)) reordered++;
+      }
+    }
+
+    return { sent: packetCount, received, reordered, duplicates: 0 };
+  }
+}
+
+function listProfiles() {
+  return Object.entries(NETWORK_PROFILES).map(([name, profile]) => ({
+    name,
+    label: profile.label,
+    download: profile.download.mean,
+    upload: profile.upload.mean,
+    latency: profile.latency.base
+  }));
+}
+
+module.exports = {
+  NETWORK_PROFILES,
+  DEFAULT_PROFILE,
+  NetworkSimulator,
+  listProfiles
+};
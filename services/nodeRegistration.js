@@ -0,0 +1,171 @@
+// Registration of a standalone speed test node with the main backend.
+// On startup the node registers itself (SERVER_ID, SERVER_LOCATION, public host)
+// at BACKEND_URL/api/servers/register, then sends a heartbeat every
+// HEARTBEAT_INTERVAL seconds with its load, open connections and egress rate.
+// A 404 heartbeat means the backend has lost the node, so it registers again.
+// Requests are signed with a node key derived from TEST_TICKET_SECRET and carry a
+// one-off nonce (see serverRegistryService).
+// Other reports from the node (ndt7 results) go through sendToBackend.
+
+const os = require('os');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { signTicket, getConfiguredTicketSecret, deriveNodeKey } = require('../utils/testTicket');
+
+const DEFAULT_HEARTBEAT_INTERVAL = 15; // seconds
+const REQUEST_TIMEOUT = 5000;
+const TOKEN_TTL = 60 * 1000;
+
+// Bytes written to every socket of the HTTP server, including ones that have
+// since closed, so a heartbeat can report the egress rate since the last one
+function createEgressMeter(server) {
+  const sockets = new Set();
+  let closedBytes = 0;
+  let lastTotal = 0;
+  let lastSampleAt = Date.now();
+
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => {
+      sockets.delete(socket);
+      closedBytes += socket.bytesWritten;
+    });
+  });
+
+  return {
+    connections: () => sockets.size,
+    // Mbps since the previous sample
+    sample() {
+      let total = closedBytes;
+      sockets.forEach(socket => { total += socket.bytesWritten; });
+
+      const now = Date.now();
+      const seconds = Math.max(0.001, (now - lastSampleAt) / 1000);
+      const mbps = ((total - lastTotal) * 8) / seconds / 1000000;
+
+      lastTotal = total;
+      lastSampleAt = now;
+      return Math.round(mbps * 100) / 100;
+    }
+  };
+}
+
+const getBackendUrl = () => (process.env.BACKEND_URL || '').replace(/\/+$/, '');
+const getNodeId = () => process.env.SERVER_ID || os.hostname();
+
+function signedBody(payload, secret) {
+  if (!secret) return payload;
+  const claims = { ...payload, type: 'node', nonce: crypto.randomUUID(), expiresAt: Date.now() + TOKEN_TTL };
+  return { token: signTicket(claims, deriveNodeKey(secret)) };
+}
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  return { status: response.status, ok: response.ok, data };
+}
+
+// Signed POST of `payload` to a backend path; resolves to null without a
+// backend URL (BACKEND_URL unless given)
+async function sendToBackend(path, payload, backendUrl = getBackendUrl()) {
+  if (!backendUrl) return null;
+  return postJson(`${backendUrl}${path}`, signedBody(payload, getConfiguredTicketSecret()));
+}
+
+// The main API's embedded endpoints register too, with their own `serverId`,
+// the `basePath` they are mounted under, the API's port as `publicPort` (not the
+// node's PUBLIC_PORT) and the API itself as `backendUrl`
+function startNodeRegistration(server, {
+  port,
+  version,
+  publicPort = parseInt(process.env.PUBLIC_PORT) || null,
+  backendUrl = getBackendUrl(),
+  serverId = getNodeId(),
+  basePath
+} = {}) {
+  if (!backendUrl) {
+    console.log('ℹ️ BACKEND_URL not set, node will not register with the backend');
+    return null;
+  }
+
+  const secret = getConfiguredTicketSecret();
+  const interval = (parseInt(process.env.HEARTBEAT_INTERVAL) || DEFAULT_HEARTBEAT_INTERVAL);
+  const meter = createEgressMeter(server);
+  let registered = false;
+
+  const registration = () => ({
+    serverId,
+    name: process.env.SERVER_NAME || serverId,
+    location: process.env.SERVER_LOCATION,
+    lat: process.env.SERVER_LAT,
+    lng: process.env.SERVER_LNG,
+    host: process.env.PUBLIC_HOST,
+    port: publicPort || port,
+    basePath,
+    ipv6Address: process.env.PUBLIC_IPV6,
+    capacity: process.env.SERVER_CAPACITY,
+    heartbeatInterval: interval,
+    version
+  });
+
+  async function register() {
+    try {
+      const { ok, status, data } = await postJson(`${backendUrl}/api/servers/register`, signedBody(registration(), secret));
+      if (!ok) {
+        console.warn(`⚠️ Node registration rejected (${status}): ${data.error || 'unknown error'}`);
+        return;
+      }
+      registered = true;
+      console.log(`🛰️ Registered with backend as ${serverId} (${data.host})`);
+    } catch (error) {
+      console.warn('⚠️ Node registration failed:', error.message);
+    }
+  }
+
+  async function heartbeat() {
+    if (!registered) {
+      await register();
+      return;
+    }
+
+    const payload = {
+      serverId,
+      hostLoad: os.loadavg()[0] / os.cpus().length,
+      activeConnections: meter.connections(),
+      egressMbps: meter.sample()
+    };
+
+    try {
+      const { ok, status } = await postJson(`${backendUrl}/api/servers/${encodeURIComponent(serverId)}/heartbeat`, signedBody(payload, secret));
+      if (status === 404) {
+        registered = false;
+        await register();
+      } else if (!ok) {
+        console.warn(`⚠️ Heartbeat rejected (${status})`);
+      }
+    } catch (error) {
+      console.warn('⚠️ Heartbeat failed:', error.message);
+    }
+  }
+
+  register();
+  const timer = setInterval(heartbeat, interval * 1000);
+  timer.unref();
+
+  return {
+    stop: () => clearInterval(timer)
+  };
+}
+
+module.exports = {
+  createEgressMeter,
+  getNodeId,
+  sendToBackend,
+  startNodeRegistration
+};
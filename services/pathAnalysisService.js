@@ -0,0 +1,200 @@
+// Path analysis (traceroute-style) built on the system ping binary.
+// Hops are discovered by sending TTL-limited echo requests towards the target
+// and reading which router reported "time to live exceeded". Each discovered
+// hop is then pinged directly for RTT and loss, mtr style. Traces run from
+// the backend host, not from the speed test node the throughput stages used,
+// so results are labelled with origin 'backend'. Ping processes are capped
+// across all traces running at once.
+
+const ping = require('ping');
+
+const LATENCY_JUMP_MS = 20;    // Increase over the previous hop that counts as a jump
+const LOSS_THRESHOLD = 10;     // % loss that counts as real (not ICMP rate limiting)
+const LAST_MILE_HOPS = 2;      // Hops before the client treated as its access network
+const MAX_PROBES = parseInt(process.env.PATH_PROBE_CONCURRENCY) || 4; // Ping processes at once
+
+let runningProbes = 0;
+const waitingProbes = [];
+
+async function withProbeSlot(probe) {
+  while (runningProbes >= MAX_PROBES) {
+    await new Promise(resolve => waitingProbes.push(resolve));
+  }
+  runningProbes++;
+  try {
+    return await probe();
+  } finally {
+    runningProbes--;
+    const next = waitingProbes.shift();
+    if (next) next();
+  }
+}
+
+// ttl flag per platform for the system ping binary
+const TTL_FLAG = {
+  win32: '-i',
+  darwin: '-m',
+  freebsd: '-m'
+};
+
+// Linux: "From 10.0.0.1 icmp_seq=1 Time to live exceeded"
+// macOS: "92 bytes from 10.0.0.1: Time to live exceeded"
+// Windows: "Reply from 10.0.0.1: TTL expired in transit."
+// IPv6:    "From 2001:db8::1 icmp_seq=1 Time exceeded: Hop limit"
+const TTL_EXCEEDED_PATTERN = /from\s+([0-9a-f.:]+?):?\s.*?(?:time to live exceeded|time exceeded|ttl expired)/i;
+
+async function analyzePath(target, options = {}) {
+  const maxHops = options.maxHops || 16;
+  const probesPerHop = options.probesPerHop || 3;
+  const timeout = options.timeout || 1;
+  const v6 = target.includes(':');
+  const startTime = Date.now();
+
+  let discovered;
+  try {
+    discovered = await discoverHops(target, { maxHops, timeout, v6 });
+  } catch (error) {
+    console.warn('Path discovery unavailable:', error.message);
+    return { target, origin: 'backend', available: false, error: error.message, hops: [] };
+  }
+
+  // Probe every responding hop (as many at once as the cap allows); silent hops are kept as gaps
+  const hops = await Promise.all(discovered.hops.map(async (hop) => {
+    if (!hop.ip) {
+      return { hop: hop.ttl, ip: null, rtt: null, loss: 100 };
+    }
+    return { hop: hop.ttl, ip: hop.ip, ...(await probeHop(hop.ip, { probesPerHop, timeout, v6 })) };
+  }));
+
+  const latencyJump = findLatencyJump(hops);
+  const lossOrigin = findLossOrigin(hops);
+
+  return {
+    target,
+    origin: 'backend',
+    available: true,
+    reached: discovered.reached,
+    hopCount: hops.length,
+    hops,
+    latencyJump,
+    lossOrigin,
+    diagnosis: diagnosePath(hops, latencyJump, lossOrigin, discovered.reached),
+    duration: Date.now() - startTime
+  };
+}
+
+// Fire TTL-limited probes a batch of hops at a time and cut the path where
+// the target answered
+async function discoverHops(target, { maxHops, timeout, v6 }) {
+  const ttlFlag = TTL_FLAG[process.platform] || '-t';
+  const hops = [];
+  let reached = false;
+
+  for (let first = 1; first <= maxHops && !reached; first += MAX_PROBES) {
+    const ttls = Array.from({ length: Math.min(MAX_PROBES, maxHops - first + 1) }, (_, i) => first + i);
+    const probes = await Promise.all(ttls.map(ttl => withProbeSlot(() =>
+      ping.promise.probe(target, {
+        timeout,
+        min_reply: 1,
+        v6,
+        extra: [ttlFlag, String(ttl)]
+      })
+    )));
+
+    for (let i = 0; i < probes.length; i++) {
+      const probe = probes[i];
+      if (probe.alive) {
+        hops.push({ ttl: ttls[i], ip: target });
+        reached = true;
+        break;
+      }
+
+      const match = TTL_EXCEEDED_PATTERN.exec(probe.output || '');
+      hops.push({ ttl: ttls[i], ip: match ? match[1] : null });
+    }
+  }
+
+  // Drop the trailing run of silent hops when the target never answered
+  if (!reached) {
+    while (hops.length > 0 && !hops[hops.length - 1].ip) {
+      hops.pop();
+    }
+  }
+
+  return { hops, reached };
+}
+
+async function probeHop(ip, { probesPerHop, timeout, v6 }) {
+  try {
+    const result = await withProbeSlot(() => ping.promise.probe(ip, { timeout, min_reply: probesPerHop, v6 }));
+    const loss = parseFloat(result.packetLoss);
+    const rtt = parseFloat(result.avg);
+
+    return {
+      rtt: Number.isFinite(rtt) ? Math.round(rtt * 100) / 100 : null,
+      minRtt: Number.isFinite(parseFloat(result.min)) ? parseFloat(result.min) : null,
+      maxRtt: Number.isFinite(parseFloat(result.max)) ? parseFloat(result.max) : null,
+      loss: Number.isFinite(loss) ? loss : (result.alive ? 0 : 100)
+    };
+  } catch (error) {
+    return { rtt: null, loss: 100 };
+  }
+}
+
+// Largest RTT increase between consecutive responding hops
+function findLatencyJump(hops) {
+  let previous = null;
+  let jump = null;
+
+  for (const hop of hops) {
+    if (hop.rtt === null) continue;
+
+    if (previous) {
+      const increase = hop.rtt - previous.rtt;
+      if (increase >= LATENCY_JUMP_MS && (!jump || increase > jump.increase)) {
+        jump = {
+          hop: hop.hop,
+          ip: hop.ip,
+          fromHop: previous.hop,
+          increase: Math.round(increase * 100) / 100
+        };
+      }
+    }
+    previous = hop;
+  }
+
+  return jump;
+}
+
+// First hop whose loss carries through to every later responding hop.
+// Loss that disappears further along is just a router deprioritising ICMP.
+function findLossOrigin(hops) {
+  const responding = hops.filter(hop => hop.rtt !== null);
+
+  for (let i = 0; i < responding.length; i++) {
+    if (responding[i].loss < LOSS_THRESHOLD) continue;
+
+    if (responding.slice(i + 1).every(hop => hop.loss >= LOSS_THRESHOLD)) {
+      return { hop: responding[i].hop, ip: responding[i].ip, loss: responding[i].loss };
+    }
+  }
+
+  return null;
+}
+
+// Problems within the last few hops before the client are on its access
+// network; anything earlier is upstream routing or transit
+function diagnosePath(hops, latencyJump, lossOrigin, reached) {
+  const problemHop = lossOrigin ? lossOrigin.hop : latencyJump ? latencyJump.hop : null;
+
+  if (problemHop === null) {
+    return reached ? 'clean' : 'incomplete';
+  }
+
+  const lastHop = hops.length > 0 ? hops[hops.length - 1].hop : 0;
+  return reached && lastHop - problemHop < LAST_MILE_HOPS ? 'last_mile' : 'upstream';
+}
+
+module.exports = {
+  analyzePath
+};
@@ -0,0 +1,145 @@
+// Download payloads for the speed test node.
+// Random bytes are generated once at startup into a pool (PAYLOAD_POOL_MB,
+// default 16) and responses are written as slices of it, so serving costs no
+// CPU for generation and no copies: subarray() shares the pool's memory and the
+// pool is never written after startup. Each response starts at a random offset,
+// and random data can't be compressed by anything on the path.
+//
+// The self-benchmark streams the pool over loopback connections for a few
+// seconds to find the rate this node can serve at. The reading side runs in the
+// same process, so the figure is a lower bound on what remote clients can get.
+
+const crypto = require('crypto');
+const http = require('http');
+
+const POOL_SIZE = Math.round((parseFloat(process.env.PAYLOAD_POOL_MB) || 16) * 1024 * 1024);
+const DEFAULT_CHUNK_SIZE = 256 * 1024;
+const YIELD_BYTES = 4 * 1024 * 1024; // Give other requests a turn after this much in one go
+
+const pool = crypto.randomBytes(POOL_SIZE);
+
+// Write `totalBytes` of payload to `res`, waiting for 'drain' whenever the socket
+// buffer is full. `reserve(bytes)` returns how long to hold a chunk (link
+// emulation); `onChunk(bytes)` and `onStall(ms)` report progress for accounting.
+function streamPayload(res, totalBytes, { chunkSize = DEFAULT_CHUNK_SIZE, reserve, onChunk, onStall } = {}) {
+  const size = Math.min(chunkSize, POOL_SIZE);
+  let offset = crypto.randomInt(0, Math.max(1, POOL_SIZE - size));
+  let sent = 0;
+
+  // Returns false when the caller must wait for 'drain'
+  const send = (length) => {
+    if (offset + length > POOL_SIZE) offset = 0;
+    const chunk = pool.subarray(offset, offset + length);
+    offset += length;
+    sent += length;
+
+    const flushed = res.write(chunk);
+    if (onChunk) onChunk(length);
+
+    if (!flushed) {
+      const stalledAt = Date.now();
+      res.once('drain', () => {
+        if (onStall) onStall(Date.now() - stalledAt);
+        writeMore();
+      });
+    }
+    return flushed;
+  };
+
+  const writeMore = () => {
+    let burst = 0;
+
+    while (!res.destroyed) {
+      if (sent >= totalBytes) {
+        res.end();
+        return;
+      }
+
+      const length = Math.min(size, totalBytes - sent);
+      const wait = reserve ? reserve(length) : 0;
+      if (wait > 0) {
+        setTimeout(() => {
+          if (!res.destroyed && send(length)) writeMore();
+        }, wait);
+        return;
+      }
+
+      if (!send(length)) return;
+
+      burst += length;
+      if (burst >= YIELD_BYTES) {
+        setImmediate(writeMore);
+        return;
+      }
+    }
+  };
+
+  writeMore();
+}
+
+// One slice of the pool at a random offset, for callers that frame the payload
+// themselves (ndt7 WebSocket messages)
+function payloadSlice(length) {
+  const size = Math.min(length, POOL_SIZE);
+  const offset = crypto.randomInt(0, Math.max(1, POOL_SIZE - size));
+  return pool.subarray(offset, offset + size);
+}
+
+let lastBenchmark = null;
+let runningBenchmark = null;
+
+// Serve rate over `streams` loopback connections for `durationMs`
+async function runServeBenchmark({ durationMs = 3000, streams = 4 } = {}) {
+  if (runningBenchmark) return runningBenchmark;
+
+  runningBenchmark = (async () => {
+    const server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+      streamPayload(res, Number.MAX_SAFE_INTEGER);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const { port } = server.address();
+    const requests = [];
+    let bytes = 0;
+    const startedAt = Date.now();
+
+    for (let i = 0; i < streams; i++) {
+      requests.push(http.get({ host: '127.0.0.1', port, path: '/', agent: false }, (res) => {
+        res.on('data', (chunk) => { bytes += chunk.length; });
+        res.on('error', () => {});
+      }).on('error', () => {}));
+    }
+
+    await new Promise(resolve => setTimeout(resolve, durationMs));
+    const elapsedMs = Date.now() - startedAt;
+    requests.forEach(request => request.destroy());
+    server.closeAllConnections();
+    server.close();
+
+    const mbps = (bytes * 8) / (elapsedMs * 1000);
+    lastBenchmark = {
+      maxServeMbps: Math.round(mbps * 100) / 100,
+      bytes,
+      durationMs: elapsedMs,
+      streams,
+      poolMB: Math.round(POOL_SIZE / 1024 / 1024 * 100) / 100,
+      measuredAt: new Date().toISOString()
+    };
+    return lastBenchmark;
+  })();
+
+  try {
+    return await runningBenchmark;
+  } finally {
+    runningBenchmark = null;
+  }
+}
+
+module.exports = {
+  streamPayload,
+  payloadSlice,
+  runServeBenchmark,
+  getLastBenchmark: () => lastBenchmark,
+  isBenchmarkRunning: () => runningBenchmark !== null
+};
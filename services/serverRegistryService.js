@@ -0,0 +1,280 @@
+// Registry of self-registered speed test nodes.
+// Standalone nodes register on startup and then heartbeat with their load (see
+// services/nodeRegistration). Requests carry a token signed with a node key
+// derived from TEST_TICKET_SECRET, typed 'node' and with a one-off nonce. A node
+// that misses MISSED_HEARTBEATS beats in a row is marked inactive, which takes it
+// out of server selection until it beats again.
+
+const dns = require('dns');
+const net = require('net');
+const { ServerNode } = require('../models');
+const { getLocationFromIP } = require('./locationService');
+const { haversineDistance, hasCoordinates } = require('../utils/geo');
+const { verifyTicket, getConfiguredTicketSecret, deriveNodeKey, normalizeTicketIP } = require('../utils/testTicket');
+
+const DEFAULT_HEARTBEAT_INTERVAL = 15; // seconds
+const MISSED_HEARTBEATS = 3;
+const MAX_NODE_TOKEN_TTL = 2 * 60 * 1000; // nodes sign for 60 s, allow for clock skew
+
+// Nonces of accepted node tokens, kept until the token expires so none is used twice
+const seenNonces = new Map();
+
+function claimNonce(nonce, expiresAt) {
+  const now = Date.now();
+  seenNonces.forEach((until, key) => {
+    if (until < now) seenNonces.delete(key);
+  });
+
+  if (seenNonces.has(nonce)) return false;
+  seenNonces.set(nonce, expiresAt);
+  return true;
+}
+
+function registryError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Node requests are `{ token }` with the payload signed inside. Unsigned bodies
+// are only accepted when no secret is configured, outside production.
+function readNodePayload(body = {}) {
+  const secret = getConfiguredTicketSecret();
+
+  if (body.token) {
+    if (!secret) {
+      throw registryError('Signed node requests need TEST_TICKET_SECRET on the backend', 503);
+    }
+    const { valid, payload, reason } = verifyTicket(body.token, deriveNodeKey(secret));
+    if (!valid) {
+      throw registryError(`Invalid node token: ${reason}`, 401);
+    }
+    if (payload.type !== 'node' || !payload.nonce) {
+      throw registryError('Invalid node token: not a node message', 401);
+    }
+    if (!payload.expiresAt || payload.expiresAt > Date.now() + MAX_NODE_TOKEN_TTL) {
+      throw registryError('Invalid node token: expiry out of range', 401);
+    }
+    if (!claimNonce(payload.nonce, payload.expiresAt)) {
+      throw registryError('Invalid node token: already used', 401);
+    }
+    return payload;
+  }
+
+  if (secret || process.env.NODE_ENV === 'production') {
+    throw registryError('Node requests must be signed', 401);
+  }
+  return body;
+}
+
+// Path the measurement endpoints are mounted under: '' on a node, '/speedtest'
+// for the main API's embedded endpoints
+const BASE_PATH_PATTERN = /^(\/[A-Za-z0-9_-]+)*$/;
+
+/**
+ * Root URL of a server's measurement endpoints
+ * @param {Object} server - { host, basePath } as listed by listServersByProximity
+ * @param {string} [protocol] - 'http' (default) or 'https'
+ * @returns {string} e.g. http://203.0.113.5:8001 or http://api.example.com:5000/speedtest
+ */
+function serverBaseUrl(server, protocol = 'http') {
+  return `${protocol}://${server.host}${server.basePath || ''}`;
+}
+
+// 'host:port' or '[v6]:port' -> { hostname, port }
+function splitHost(host) {
+  const url = new URL(`http://${host}`);
+  return {
+    hostname: url.hostname.replace(/^\[|\]$/g, ''),
+    port: url.port ? Number(url.port) : 80
+  };
+}
+
+/**
+ * Host of a server in one address family. Tickets only work over the family
+ * they were issued for, so clients are sent to the matching address.
+ * @param {Object} server - { host, ipv6Address } as listed by listServersByProximity
+ * @param {string} family - 'ipv4' or 'ipv6'
+ * @returns {Promise<string|null>} e.g. 203.0.113.5:8001 or [2001:db8::5]:8001, null without
+ *   an address in that family
+ */
+async function resolveFamilyHost(server, family) {
+  const { hostname, port } = splitHost(server.host);
+  const version = family === 'ipv6' ? 6 : 4;
+  let address = null;
+
+  // Nodes can advertise an explicit IPv6 address; otherwise resolve the host name
+  if (version === 6 && server.ipv6Address) {
+    address = server.ipv6Address;
+  } else if (net.isIP(hostname)) {
+    address = net.isIP(hostname) === version ? hostname : null;
+  } else {
+    try {
+      address = (await dns.promises.lookup(hostname, { family: version })).address;
+    } catch (error) {
+      address = null;
+    }
+  }
+
+  if (!address) return null;
+  return version === 6 ? `[${address}]:${port}` : `${address}:${port}`;
+}
+
+// "Cape Town, South Africa" -> { city, country }; single values are taken as the city
+function parseLocationLabel(label) {
+  const parts = String(label || '').split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) return {};
+  return parts.length === 1
+    ? { city: parts[0] }
+    : { city: parts[0], region: parts.length > 2 ? parts[1] : undefined, country: parts[parts.length - 1] };
+}
+
+async function resolveNodeLocation(payload, address, existing) {
+  const location = { ...parseLocationLabel(payload.location) };
+  const lat = Number(payload.lat);
+  const lng = Number(payload.lng);
+
+  if (hasCoordinates({ lat, lng })) {
+    return { ...location, lat, lng };
+  }
+
+  // Keep coordinates found on an earlier registration instead of geolocating again
+  if (hasCoordinates(existing?.location)) {
+    return { ...location, lat: existing.location.lat, lng: existing.location.lng };
+  }
+
+  try {
+    const geo = await getLocationFromIP(address);
+    return {
+      city: location.city || geo.city,
+      region: location.region || geo.region,
+      country: location.country || geo.country,
+      lat: geo.lat,
+      lng: geo.lng
+    };
+  } catch (error) {
+    console.warn(`Could not geolocate speed test node ${payload.serverId}:`, error.message);
+    return location;
+  }
+}
+
+async function registerNode(body, sourceIP) {
+  const payload = readNodePayload(body);
+  if (!payload.serverId) {
+    throw registryError('serverId is required', 400);
+  }
+  const basePath = String(payload.basePath || '').replace(/\/+$/, '');
+  if (!BASE_PATH_PATTERN.test(basePath)) {
+    throw registryError('basePath must be a path like /speedtest', 400);
+  }
+
+  // Nodes behind NAT or a load balancer advertise their public host
+  const ipAddress = payload.host || normalizeTicketIP(sourceIP);
+  const existing = await ServerNode.findOne({ serverId: payload.serverId }).lean();
+  const location = await resolveNodeLocation(payload, ipAddress, existing);
+
+  const update = {
+    name: payload.name || payload.serverId,
+    location,
+    ipAddress,
+    port: Number(payload.port) || 80,
+    basePath,
+    isActive: true,
+    lastHeartbeat: new Date(),
+    heartbeatInterval: Number(payload.heartbeatInterval) || DEFAULT_HEARTBEAT_INTERVAL,
+    version: payload.version
+  };
+  if (payload.ipv6Address) update.ipv6Address = payload.ipv6Address;
+  if (Number(payload.capacity) > 0) update.capacity = Number(payload.capacity);
+
+  const node = await ServerNode.findOneAndUpdate(
+    { serverId: payload.serverId },
+    { $set: update },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  console.log(`🛰️ Speed test node ${payload.serverId} registered at ${ipAddress}:${update.port}${existing ? '' : ' (new)'}`);
+  return node;
+}
+
+// Returns null for unknown nodes so they know to register again
+async function recordHeartbeat(serverId, body) {
+  const payload = readNodePayload(body);
+  if (payload.serverId !== serverId) {
+    throw registryError('Heartbeat serverId does not match', 400);
+  }
+
+  const update = { lastHeartbeat: new Date(), isActive: true };
+  for (const field of ['hostLoad', 'activeConnections', 'egressMbps']) {
+    const value = Number(payload[field]);
+    if (Number.isFinite(value) && value >= 0) {
+      update[field] = Math.round(value * 100) / 100;
+    }
+  }
+
+  return ServerNode.findOneAndUpdate({ serverId }, { $set: update }, { new: true }).lean();
+}
+
+// Mark self-registered nodes inactive once their heartbeats stop
+async function markStaleNodes() {
+  const nodes = await ServerNode.find({ serverId: { $exists: true }, isActive: true })
+    .select('serverId lastHeartbeat heartbeatInterval')
+    .lean();
+
+  const now = Date.now();
+  const stale = nodes.filter(node => {
+    const interval = (node.heartbeatInterval || DEFAULT_HEARTBEAT_INTERVAL) * 1000;
+    return !node.lastHeartbeat || now - new Date(node.lastHeartbeat).getTime() > interval * MISSED_HEARTBEATS;
+  });
+
+  if (stale.length > 0) {
+    await ServerNode.updateMany({ _id: { $in: stale.map(node => node._id) } }, { isActive: false });
+    console.warn(`⚠️ Marked ${stale.length} speed test node(s) inactive: ${stale.map(node => node.serverId).join(', ')}`);
+  }
+
+  return stale.length;
+}
+
+async function listServersByProximity(clientLocation, { includeInactive = false } = {}) {
+  const nodes = await ServerNode.find(includeInactive ? {} : { isActive: true }).lean();
+
+  const servers = nodes.map(node => {
+    const distance = hasCoordinates(clientLocation) && hasCoordinates(node.location)
+      ? haversineDistance(clientLocation.lat, clientLocation.lng, node.location.lat, node.location.lng)
+      : null;
+
+    return {
+      id: node._id.toString(),
+      serverId: node.serverId || null,
+      name: node.name,
+      host: `${node.ipAddress}:${node.port}`,
+      ipv6Address: node.ipv6Address || null,
+      basePath: node.basePath || '',
+      location: node.location,
+      distance: distance !== null ? Math.round(distance * 10) / 10 : null,
+      isActive: node.isActive,
+      lastHeartbeat: node.lastHeartbeat || null,
+      capacity: node.capacity,
+      currentLoad: node.currentLoad || 0,
+      hostLoad: node.hostLoad ?? null,
+      activeConnections: node.activeConnections ?? null,
+      egressMbps: node.egressMbps ?? null
+    };
+  });
+
+  // Nodes without coordinates go last
+  servers.sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity));
+  return servers;
+}
+
+module.exports = {
+  DEFAULT_HEARTBEAT_INTERVAL,
+  readNodePayload,
+  registerNode,
+  recordHeartbeat,
+  markStaleNodes,
+  listServersByProximity,
+  serverBaseUrl,
+  splitHost,
+  resolveFamilyHost
+};
@@ -0,0 +1,169 @@
+// Speed test engine registry.
+//
+// Every engine implements the same contract so callers can pick one with
+// `testConfig.engine` and compare methodologies side by side:
+//
+//   {
+//     name: 'custom',
+//     version: '2.0.0',
+//     description: '...',
+//     options: { ... },             // optional, engine-specific config the caller can pass
+//     run: async (clientIP, config, context) => result
+//   }
+//
+// `context` carries caller-side details such as the client's geolocation, an
+// optional AbortSignal (`context.signal`) to cancel the run, an optional
+// `context.onStage(stage, partialResult)` progress callback and an optional
+// `context.onQueue({ position, etaSeconds })` callback for runs waiting on a
+// busy node. Engines that can't be interrupted or don't queue may ignore them.
+// `run` resolves to the CustomSpeedTestEngine result shape
+// ({ testId, timestamp, server, results: { download, upload, latency, packetLoss, quality }, metadata })
+// and the registry stamps `result.engine = { name, version }` on it.
+
+const crypto = require('crypto');
+const CustomSpeedTestEngine = require('./customSpeedTestEngine');
+const { NETWORK_PROFILES, listProfiles } = require('./networkProfiles');
+
+const DEFAULT_ENGINE = 'custom';
+const engines = new Map();
+
+function registerEngine(engine) {
+  if (!engine || !engine.name || !engine.version || typeof engine.run !== 'function') {
+    throw new Error('Speed test engines must define name, version and run()');
+  }
+  engines.set(engine.name, engine);
+}
+
+function getEngine(name = DEFAULT_ENGINE) {
+  return engines.get(name) || null;
+}
+
+function listEngines() {
+  return Array.from(engines.values()).map(({ name, version, description, options }) => ({
+    name,
+    version,
+    description,
+    options: options || {},
+    isDefault: name === DEFAULT_ENGINE
+  }));
+}
+
+async function runEngine(name, clientIP, config = {}, context = {}) {
+  const engine = getEngine(name);
+  if (!engine) {
+    const error = new Error(`Unknown speed test engine: ${name}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const result = await engine.run(clientIP, config, context);
+  result.engine = { name: engine.name, version: engine.version };
+  return result;
+}
+
+// Wraps results from engines that only report headline numbers; metrics the
+// engine doesn't measure are passed as null
+function buildResult({ server, download, upload, latency, jitter, packetLoss, duration, samples = {} }) {
+  const calculator = new CustomSpeedTestEngine();
+  const latencySamples = samples.latency || [];
+  const results = {
+    download: { speed: download, consistency: calculator.calculateConsistency(samples.download || []), samples: samples.download || [] },
+    upload: { speed: upload, consistency: calculator.calculateConsistency(samples.upload || []), samples: samples.upload || [] },
+    latency: {
+      avg: latency,
+      min: latencySamples.length ? Math.min(...latencySamples) : latency,
+      max: latencySamples.length ? Math.max(...latencySamples) : latency,
+      jitter,
+      samples: latencySamples
+    },
+    packetLoss
+  };
+  results.quality = calculator.calculateQualityMetrics(results);
+
+  return {
+    testId: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    server,
+    results,
+    metadata: {
+      duration,
+      testStages: [],
+      networkConditions: {},
+      reliability: calculator.calculateReliabilityScore(results)
+    }
+  };
+}
+
+registerEngine({
+  name: 'custom',
+  version: '2.0.0',
+  description: 'Multi-stream HTTP throughput, WebSocket latency and UDP loss against NETPULSE nodes',
+  run: (clientIP, config, context) =>
+    new CustomSpeedTestEngine().runComprehensiveTest(clientIP, config, context.location || null, {
+      signal: context.signal,
+      onStage: context.onStage,
+      onQueue: context.onQueue
+    })
+});
+
+registerEngine({
+  name: 'simulation',
+  version: '1.0.0',
+  description: 'Deterministic network-profile simulation; pass testConfig.profile and testConfig.seed',
+  options: { profiles: listProfiles() },
+  run: (clientIP, config, context) => {
+    const profile = config.profile || 'lte';
+    if (!NETWORK_PROFILES[profile]) {
+      const error = new Error(`Unknown network profile: ${profile}`);
+      error.status = 400;
+      throw error;
+    }
+
+    return new CustomSpeedTestEngine().runComprehensiveTest(clientIP, {
+      ...config,
+      simulationProfile: profile
+    }, null, {
+      signal: context.signal,
+      onStage: context.onStage,
+      onQueue: context.onQueue
+    });
+  }
+});
+
+registerEngine({
+  name: 'fast',
+  version: require('fast-speedtest-api/package.json').version,
+  description: 'Download-only test against Netflix fast.com (requires FAST_API_TOKEN)',
+  run: async () => {
+    const FastSpeedtest = require('fast-speedtest-api');
+    if (!process.env.FAST_API_TOKEN) {
+      throw new Error('FAST_API_TOKEN is not configured');
+    }
+
+    const startTime = Date.now();
+    const fast = new FastSpeedtest({
+      token: process.env.FAST_API_TOKEN,
+      timeout: 10000,
+      unit: FastSpeedtest.UNITS.Mbps
+    });
+    const download = await fast.getSpeed();
+
+    return buildResult({
+      server: { id: 'fast.com', location: 'Netflix Open Connect', available: true },
+      download: Math.round(download * 100) / 100,
+      upload: null,
+      latency: null,
+      jitter: null,
+      packetLoss: null,
+      duration: Date.now() - startTime
+    });
+  }
+});
+
+module.exports = {
+  DEFAULT_ENGINE,
+  registerEngine,
+  getEngine,
+  listEngines,
+  runEngine
+};
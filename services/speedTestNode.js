@@ -0,0 +1,294 @@
+// A standalone speed test node: the measurement endpoints of
+// routes/speedTestServer on an HTTP server of their own, plus what needs its own
+// listener: WebSocket echo and ndt7 upgrades, the UDP echo port and, when
+// IPERF3_PORT and IPERF3_ALLOW are set, the iperf3 listener. The node registers
+// with the main backend (see services/nodeRegistration) and benchmarks its serve rate.
+//
+// server-speedtest.js runs one on its own; the main API runs one next to its
+// embedded endpoints when SPEEDTEST_MODE is 'both'.
+
+const express = require('express');
+const http = require('http');
+const WebSocket = require('ws');
+const dgram = require('dgram');
+const { startNodeRegistration, getNodeId, sendToBackend } = require('./nodeRegistration');
+const { runServeBenchmark } = require('./payloadPool');
+const { createNdt7Server, rejectUpgrade } = require('./ndt7Server');
+const { createIperf3Server, parseAllowList } = require('./iperf3Server');
+const { LinkShaper, resolveLink } = require('./linkEmulator');
+const {
+  ticketsRequired,
+  checkTicketConfiguration,
+  checkTestTicket,
+  reserveRemainingTicketBytes,
+  releaseTicketBytes,
+  recordTicketTransfer
+} = require('./ticketLedger');
+const { LIBRESPEED_PATHS, createSpeedTestRouter } = require('../routes/speedTestServer');
+
+const UDP_MAGIC = 0x4e504c53; // 'NPLS'
+// Echo frames are small JSON objects ({ seq, clientTime }); anything larger is refused
+const MAX_ECHO_FRAME = 4 * 1024;
+
+// WebSocket echo endpoint for RTT and jitter measurement over one persistent socket.
+// Frames are returned as-is with the server receive time attached.
+function createEchoServer() {
+  const echoServer = new WebSocket.Server({ noServer: true, maxPayload: MAX_ECHO_FRAME });
+
+  // On an emulated link each echo is held for one added round trip; frames stay
+  // in order because TCP delivers them in order on a real link too.
+  echoServer.on('connection', (ws, req) => {
+    console.log(`[${new Date().toISOString()}] WS /ws/echo - ${req.socket.remoteAddress}`);
+
+    let link = null;
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const linkConfig = resolveLink({ query: Object.fromEntries(url.searchParams), headers: req.headers });
+      link = linkConfig ? new LinkShaper(linkConfig) : null;
+    } catch (error) {
+      ws.close(1008, error.message);
+      return;
+    }
+    let releaseAt = 0;
+
+    ws.on('message', (message) => {
+      let frame;
+      try {
+        frame = JSON.parse(message);
+      } catch (error) {
+        ws.send(JSON.stringify({ error: 'Invalid frame' }));
+        return;
+      }
+
+      const receivedAt = Date.now();
+      const reply = () => {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify({ ...frame, serverTime: receivedAt }));
+        }
+      };
+
+      if (!link) {
+        reply();
+        return;
+      }
+
+      const delay = link.roundTripMs() + link.reserve('download', message.length);
+      releaseAt = Math.max(releaseAt, receivedAt + delay);
+      setTimeout(reply, releaseAt - receivedAt);
+    });
+
+    ws.on('error', (error) => {
+      console.error('Echo socket error:', error.message);
+    });
+  });
+
+  return echoServer;
+}
+
+// UDP echo service for the datagram packet loss test. Only packets carrying the
+// NETPULSE magic are echoed so the port can't be used to reflect arbitrary traffic.
+// Datagrams have no headers to pick a link with, so LINK_PROFILE applies here;
+// unlike TCP, emulated loss really drops the echo and jitter may reorder it.
+function startUdpEcho(port) {
+  const udpEcho = dgram.createSocket('udp4');
+  const udpLinkConfig = resolveLink({ query: {}, headers: {} });
+  const udpLink = udpLinkConfig ? new LinkShaper(udpLinkConfig) : null;
+
+  udpEcho.on('message', (message, rinfo) => {
+    if (message.length < 8 || message.length > 1400 || message.readUInt32BE(0) !== UDP_MAGIC) {
+      return;
+    }
+
+    if (!udpLink) {
+      udpEcho.send(message, rinfo.port, rinfo.address);
+      return;
+    }
+
+    if (udpLink.drops()) return;
+    setTimeout(() => udpEcho.send(message, rinfo.port, rinfo.address), udpLink.roundTripMs());
+  });
+
+  udpEcho.on('error', (error) => {
+    console.error('UDP echo error:', error.message);
+  });
+
+  udpEcho.bind(port, () => {
+    console.log(`📦 UDP echo listening on port ${port}`);
+  });
+
+  return udpEcho;
+}
+
+// Results measured on the node (ndt7, iperf3) go to the main backend, which
+// stores them as SpeedTest records
+const reportResult = (engine) => async (result) => {
+  try {
+    const response = await sendToBackend(`/api/speed-test/${engine}`, result);
+    if (response && !response.ok) {
+      console.warn(`⚠️ ${engine} result rejected by backend (${response.status}): ${response.data.error || 'unknown error'}`);
+    }
+  } catch (error) {
+    console.warn(`⚠️ Could not report ${engine} result:`, error.message);
+  }
+};
+
+// `mode` (see utils/speedTestMode) is only reported by /api/info and /health
+function startSpeedTestNode({ port, mode = 'standalone' } = {}) {
+  const ticketError = checkTicketConfiguration();
+  if (ticketError) throw ticketError;
+
+  const udpEchoPort = parseInt(process.env.UDP_ECHO_PORT) || 3002;
+  // iperf3 listener, off unless a port (iperf3's own default is 5201) and the
+  // addresses allowed to use it are configured
+  const iperf3Allow = parseAllowList(process.env.IPERF3_ALLOW);
+  const iperf3Configured = parseInt(process.env.IPERF3_PORT) || null;
+  const iperf3Port = iperf3Allow.entries.length > 0 && iperf3Allow.invalid.length === 0 ? iperf3Configured : null;
+
+  const app = express();
+  const server = http.createServer(app);
+
+  // Tickets are bound to the client address. Behind the nginx balancer it comes
+  // from X-Forwarded-For, which is only trusted from TRUST_PROXY (the balancer's
+  // address); anyone else on a private network could forge it
+  if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', process.env.TRUST_PROXY);
+  }
+
+  // Request logging
+  app.use((req, res, next) => {
+    console.log(`[${new Date().toISOString()}] ${req.method} ${req.path} - ${req.ip}`);
+    next();
+  });
+
+  app.use(createSpeedTestRouter({
+    mode,
+    // Clients need the published port, which differs when Docker remaps it
+    listeners: { webSockets: true, udpEchoPort: parseInt(process.env.PUBLIC_UDP_ECHO_PORT) || udpEchoPort, iperf3Port }
+  }));
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    console.error('Server error:', err);
+
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Internal server error',
+        message: err.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // 404 handler
+  app.use('*', (req, res) => {
+    res.status(404).json({
+      error: 'Endpoint not found',
+      availableEndpoints: ['/health', '/api/ping', '/api/download/:sizeMB', '/api/upload', '/api/info', '/api/test', '/api/transfers/:transferId', '/api/benchmark', '/api/tickets/:ticketId/log', '/ws/echo', '/ndt/v7/download', '/ndt/v7/upload', ...Object.values(LIBRESPEED_PATHS).map(paths => paths[0])]
+    });
+  });
+
+  const echoServer = createEchoServer();
+
+  // ndt7 subtests (see services/ndt7Server)
+  const ndt7 = createNdt7Server({
+    serverId: getNodeId(),
+    onResult: reportResult('ndt7')
+  });
+
+  // WebSocket upgrades are routed by path here: a ws server attached to the HTTP
+  // server answers 400 to upgrades for any path but its own, so two can't share it
+  server.on('upgrade', (req, socket, head) => {
+    // Express's request helpers, so req.ip honours 'trust proxy' as for HTTP routes
+    Object.setPrototypeOf(req, app.request);
+    const url = new URL(req.url, 'http://localhost');
+    req.query = Object.fromEntries(url.searchParams);
+
+    if (url.pathname === '/ws/echo') {
+      echoServer.handleUpgrade(req, socket, head, (ws) => echoServer.emit('connection', ws, req));
+      return;
+    }
+
+    if (!ndt7.handles(url.pathname)) {
+      rejectUpgrade(socket, 404, 'Endpoint not found');
+      return;
+    }
+
+    // ndt7 moves payload, so it needs a ticket like download and upload
+    const direction = url.pathname.endsWith('/upload') ? 'upload' : 'download';
+    if (ticketsRequired()) {
+      const rejection = checkTestTicket(req);
+      if (rejection) {
+        rejectUpgrade(socket, rejection.status, rejection.details || rejection.error);
+        return;
+      }
+    }
+
+    const limit = reserveRemainingTicketBytes(req, direction);
+    if (limit === 0) {
+      rejectUpgrade(socket, 403, `Ticket ${direction} budget exceeded`);
+      return;
+    }
+
+    ndt7.handleUpgrade(req, socket, head, {
+      limit,
+      onEnd: (transfer) => {
+        releaseTicketBytes(req, direction, limit - transfer.bytes);
+        recordTicketTransfer(req, transfer);
+      }
+    });
+  });
+
+  startUdpEcho(udpEchoPort);
+
+  // iperf3 clients (see services/iperf3Server) can't carry a test ticket, so the
+  // listener only opens with an IPERF3_ALLOW list of the addresses or ranges
+  // (e.g. an enterprise customer's) that may use it
+  if (iperf3Configured && iperf3Allow.invalid.length > 0) {
+    console.error(`❌ iperf3 not started, invalid IPERF3_ALLOW entries: ${iperf3Allow.invalid.join(', ')}`);
+  } else if (iperf3Configured && !iperf3Port) {
+    console.warn('⚠️ iperf3 not started: IPERF3_PORT is set but IPERF3_ALLOW is empty');
+  }
+
+  if (iperf3Port) {
+    const iperf3 = createIperf3Server({
+      serverId: getNodeId(),
+      networkType: process.env.IPERF3_NETWORK_TYPE || 'ethernet',
+      allow: iperf3Allow.allow,
+      onResult: reportResult('iperf3')
+    });
+
+    iperf3.on('error', (error) => {
+      console.error('iperf3 listener error:', error.message);
+    });
+
+    iperf3.listen(iperf3Port, () => {
+      console.log(`📶 iperf3 listening on port ${iperf3Port} for ${iperf3Allow.entries.join(', ')}`);
+    });
+  }
+
+  server.listen(port, () => {
+    console.log(`🚀 Fixed Speed Test Server running on port ${port} (${mode} mode)`);
+    console.log(`📡 Available at: http://localhost:${port}`);
+    console.log(`🔍 Health check: http://localhost:${port}/health`);
+    console.log(`📊 Server info: http://localhost:${port}/api/info`);
+    console.log(`🧪 Test endpoint: http://localhost:${port}/api/test`);
+    console.log(`🔁 WebSocket echo: ws://localhost:${port}/ws/echo`);
+    console.log(`📐 ndt7: ws://localhost:${port}/ndt/v7/download, ws://localhost:${port}/ndt/v7/upload`);
+    console.log(`⚡ Link emulation: ${process.env.LINK_PROFILE ? `default profile ${process.env.LINK_PROFILE}` : 'per request (?link=<profile>)'}`);
+
+    // Register with the main backend and keep it informed of this node's load
+    startNodeRegistration(server, { port, version: '1.0.0' });
+
+    if (process.env.SERVE_BENCHMARK !== 'off') {
+      runServeBenchmark()
+        .then(result => console.log(`🏁 Serve benchmark: ${result.maxServeMbps} Mbps over ${result.streams} loopback streams`))
+        .catch(error => console.warn('⚠️ Serve benchmark failed:', error.message));
+    }
+  });
+
+  return { app, server };
+}
+
+module.exports = {
+  startSpeedTestNode
+};
@@ -0,0 +1,229 @@
+// Asynchronous comprehensive speed test runs.
+// A run executes in the background while clients poll its stage and partial
+// results. Every run owns an AbortController, so cancelling (or hitting the
+// run timeout) aborts all of the engine's in-flight requests. Once a run
+// finishes, fails or is cancelled its final state is persisted as a SpeedTestRun.
+// Runs waiting for a busy node report their queue position and ETA here and,
+// for WebSocket clients subscribed to the session, as `speedtest_queued` messages.
+
+const crypto = require('crypto');
+const { SpeedTestRun } = require('../models');
+const { broadcastToSession } = require('./webSocketService');
+
+const RUN_TIMEOUT = 60 * 1000;          // Same budget the synchronous endpoint had
+const QUEUE_TIMEOUT = 5 * 60 * 1000;     // Longest a run may wait for a node slot
+const FINISHED_RUN_TTL = 10 * 60 * 1000; // Keep finished runs in memory for polling
+
+const activeRuns = new Map();
+
+// The timeout covers the test itself; time spent queued gets its own budget.
+// The test timer stops while the run is queued and starts over on admission.
+function startRun({
+  engine, sessionId, sessionToken, config, execute, complete,
+  timeoutMs = RUN_TIMEOUT, queueTimeoutMs = QUEUE_TIMEOUT
+}) {
+  const run = {
+    runId: crypto.randomUUID(),
+    status: 'running',
+    stage: 'starting',
+    engine,
+    sessionId,
+    config,
+    queue: null,
+    partialResults: null,
+    result: null,
+    speedTestId: null,
+    error: null,
+    cancelReason: null,
+    startedAt: new Date(),
+    finishedAt: null,
+    timeoutMs,
+    queueTimeoutMs,
+    controller: new AbortController()
+  };
+
+  activeRuns.set(run.runId, run);
+
+  let timer = null;
+  const armTimer = (reason, ms) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => abortRun(run, reason), ms);
+  };
+  armTimer('timeout', timeoutMs);
+
+  run.done = (async () => {
+    try {
+      const execution = execute({
+        signal: run.controller.signal,
+        onStage: (stage, partialResults) => {
+          if (run.status === 'queued' && stage !== 'queued') {
+            run.status = 'running';
+            run.queue = null;
+            armTimer('timeout', timeoutMs);
+            broadcastToSession(sessionToken, { type: 'speedtest_admitted', runId: run.runId });
+          } else if (stage === 'queued' && run.status !== 'queued') {
+            run.status = 'queued';
+            armTimer('queue_timeout', queueTimeoutMs);
+          }
+          run.stage = stage;
+          run.partialResults = partialResults.results;
+        },
+        onQueue: (queueStatus) => {
+          run.queue = { ...queueStatus, updatedAt: Date.now() };
+          broadcastToSession(sessionToken, { type: 'speedtest_queued', runId: run.runId, ...queueStatus });
+        }
+      });
+
+      // Engines that ignore the signal are left to finish in the background
+      execution.catch(() => {});
+      const testResult = await Promise.race([execution, whenAborted(run.controller.signal)]);
+
+      if (run.controller.signal.aborted || testResult.cancelled) {
+        run.partialResults = testResult.results || run.partialResults;
+        finishAborted(run);
+        return;
+      }
+
+      // Engines report failures in the result rather than throwing
+      if (testResult.error) {
+        console.error(`❌ Speed test run ${run.runId} failed:`, testResult.error);
+        run.partialResults = testResult.results || run.partialResults;
+        run.status = 'failed';
+        run.error = testResult.error;
+        return;
+      }
+
+      run.stage = 'saving';
+      const { speedTest, response } = await complete(testResult);
+      run.result = response;
+      run.speedTestId = speedTest._id;
+      run.status = 'completed';
+      run.stage = 'completed';
+      console.log(`✅ Speed test run ${run.runId} completed`);
+
+    } catch (error) {
+      if (run.controller.signal.aborted) {
+        finishAborted(run);
+      } else {
+        console.error(`❌ Speed test run ${run.runId} failed:`, error);
+        run.status = 'failed';
+        run.error = error.message;
+      }
+    } finally {
+      clearTimeout(timer);
+      run.finishedAt = new Date();
+      await persistRun(run);
+      setTimeout(() => activeRuns.delete(run.runId), FINISHED_RUN_TTL).unref();
+    }
+  })();
+
+  return run;
+}
+
+function whenAborted(signal) {
+  return new Promise(resolve => {
+    signal.addEventListener('abort', () => resolve({ cancelled: true }), { once: true });
+  });
+}
+
+function abortRun(run, reason) {
+  if (run.finishedAt || run.controller.signal.aborted) {
+    return false;
+  }
+
+  console.log(`⏹️ Aborting speed test run ${run.runId} (${reason})`);
+  run.cancelReason = reason;
+  run.controller.abort();
+  return true;
+}
+
+// A timed-out run is a failure; one stopped by the client is a cancellation
+function finishAborted(run) {
+  if (run.cancelReason === 'timeout') {
+    run.status = 'failed';
+    run.error = `Speed test timeout after ${Math.round(run.timeoutMs / 1000)} seconds`;
+  } else if (run.cancelReason === 'queue_timeout') {
+    run.status = 'failed';
+    run.error = `Speed test waited for a server slot for more than ${Math.round(run.queueTimeoutMs / 1000)} seconds`;
+  } else {
+    run.status = 'cancelled';
+    run.error = 'Speed test cancelled';
+  }
+}
+
+async function persistRun(run) {
+  try {
+    await SpeedTestRun.create({
+      runId: run.runId,
+      status: run.status,
+      stage: run.stage,
+      engine: run.engine,
+      sessionId: run.sessionId,
+      config: run.config,
+      results: run.result || run.partialResults,
+      speedTestId: run.speedTestId && run.speedTestId !== 'unsaved' ? run.speedTestId : undefined,
+      error: run.error,
+      cancelReason: run.cancelReason,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt
+    });
+  } catch (error) {
+    console.error(`Failed to persist speed test run ${run.runId}:`, error.message);
+  }
+}
+
+function serializeRun(run) {
+  return {
+    runId: run.runId,
+    status: run.status,
+    stage: run.stage,
+    engine: run.engine,
+    queue: run.status === 'queued' && run.queue ? {
+      position: run.queue.position,
+      // The ETA was estimated when the position last changed
+      etaSeconds: Math.max(0, run.queue.etaSeconds - Math.round((Date.now() - run.queue.updatedAt) / 1000))
+    } : null,
+    partialResults: run.status === 'completed' ? null : run.partialResults,
+    result: run.result,
+    speedTestId: run.speedTestId,
+    error: run.error,
+    cancelReason: run.cancelReason,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt
+  };
+}
+
+async function getRun(runId) {
+  const run = activeRuns.get(runId);
+  if (run) {
+    return serializeRun(run);
+  }
+
+  const stored = await SpeedTestRun.findOne({ runId }).lean();
+  if (!stored) {
+    return null;
+  }
+
+  return serializeRun({
+    ...stored,
+    result: stored.status === 'completed' ? stored.results : null,
+    partialResults: stored.status === 'completed' ? null : stored.results
+  });
+}
+
+// Returns the run's state after the cancel request, or null if it isn't active
+async function cancelRun(runId, reason = 'cancelled') {
+  const run = activeRuns.get(runId);
+  if (!run || !abortRun(run, reason)) {
+    return null;
+  }
+
+  await run.done;
+  return serializeRun(run);
+}
+
+module.exports = {
+  startRun,
+  getRun,
+  cancelRun
+};
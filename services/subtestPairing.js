@@ -0,0 +1,46 @@
+// Pairing of the download and upload subtests one client runs back to back on a
+// node (ndt7's two subtests, iperf3 with and without -R) into a single result.
+// Callers key clients by something the client controls (its ticket, an iperf3
+// --extra-data label) rather than its address alone, which customers behind one
+// NAT share. A subtest whose partner doesn't arrive within the window is
+// reported on its own.
+
+const DEFAULT_PAIRING_WINDOW = 30 * 1000;
+
+// `onResult({ ...base, download, upload })` receives each paired (or lone) result
+function createSubtestPairing(onResult, { windowMs = DEFAULT_PAIRING_WINDOW } = {}) {
+  const pending = new Map();
+
+  const flush = (key) => {
+    const entry = pending.get(key);
+    if (!entry) return;
+    pending.delete(key);
+    clearTimeout(entry.timer);
+    onResult(entry.result);
+  };
+
+  // `subtest.test` is 'download' or 'upload'
+  return (key, base, subtest) => {
+    const entry = pending.get(key);
+    if (entry && !entry.result[subtest.test]) {
+      entry.result[subtest.test] = subtest;
+      flush(key);
+      return;
+    }
+
+    // A repeat of the same direction closes the earlier result
+    if (entry) flush(key);
+
+    const timer = setTimeout(() => flush(key), windowMs);
+    timer.unref();
+    pending.set(key, {
+      result: { ...base, download: null, upload: null, [subtest.test]: subtest },
+      timer
+    });
+  };
+}
+
+module.exports = {
+  DEFAULT_PAIRING_WINDOW,
+  createSubtestPairing
+};
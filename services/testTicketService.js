@@ -0,0 +1,261 @@
+// Signed test tickets for browser-executed speed tests.
+// The backend issues a ticket, the browser runs its transfers against a speed
+// test node with that ticket attached, and the submitted samples are checked
+// against the node's own transfer log for the ticket before anything is saved.
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { signTicket, verifyTicket, getConfiguredTicketSecret, ticketAddresses } = require('../utils/testTicket');
+const { reconcileTransfers } = require('../utils/transferReconciliation');
+const { serverBaseUrl } = require('./serverRegistryService');
+
+const TICKET_TTL = 5 * 60 * 1000; // 5 minutes to run and submit a test
+const RATE_TOLERANCE = 0.25;      // Client rate may exceed the node's view by 25%
+
+// Bytes one ticket may move through a node; enough for a full test on a gigabit link
+const TICKET_BUDGET = {
+  downloadBytes: Math.round((parseFloat(process.env.TEST_TICKET_DOWNLOAD_MB) || 1024) * 1024 * 1024),
+  uploadBytes: Math.round((parseFloat(process.env.TEST_TICKET_UPLOAD_MB) || 1024) * 1024 * 1024)
+};
+
+const issuedTickets = new Map();
+const ticketSecret = resolveTicketSecret();
+
+// Nodes verify tickets with the same secret, so a production backend without it
+// would issue nothing but rejected tickets (see checkTicketSecret). Elsewhere a
+// per-process secret keeps local development working.
+function resolveTicketSecret() {
+  const secret = getConfiguredTicketSecret();
+  if (secret || process.env.NODE_ENV === 'production') return secret;
+
+  console.warn('⚠️ TEST_TICKET_SECRET not set, using a per-process secret (tickets will not survive restarts)');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Check the ticket secret before the API starts
+ * @returns {Error|null} Error to fail startup with (production without a secret), otherwise null
+ */
+function checkTicketSecret() {
+  return ticketSecret ? null : new Error('TEST_TICKET_SECRET is required in production');
+}
+
+function signingSecret() {
+  if (!ticketSecret) {
+    throw new Error('TEST_TICKET_SECRET is not configured');
+  }
+  return ticketSecret;
+}
+
+// `dualStack` ({ groupId, family }) marks the ticket as one half of a dual-stack run
+function issueTicket({ sessionToken, clientIP, server, dualStack = null }) {
+  const ticketId = crypto.randomUUID();
+  const issuedAt = Date.now();
+  const expiresAt = issuedAt + TICKET_TTL;
+  const clientIPs = ticketAddresses(clientIP);
+
+  // Speed test nodes only serve transfers for the bound address, within the budget
+  const token = signTicket({
+    ticketId,
+    sessionToken,
+    serverId: server.id,
+    clientIPs,
+    budget: TICKET_BUDGET,
+    issuedAt,
+    expiresAt
+  }, signingSecret());
+
+  issuedTickets.set(ticketId, {
+    ticketId,
+    sessionToken,
+    clientIPs,
+    server,
+    dualStack,
+    issuedAt,
+    expiresAt,
+    redeemed: false
+  });
+
+  return { ticketId, token, budget: TICKET_BUDGET, issuedAt, expiresAt };
+}
+
+// Unexpired tickets issued for one dual-stack run
+function findDualStackTickets(groupId) {
+  const now = Date.now();
+  return [...issuedTickets.values()].filter(ticket =>
+    ticket.dualStack?.groupId === groupId && ticket.expiresAt >= now
+  );
+}
+
+// Ticket for transfers the backend runs itself (comprehensive tests). The node
+// sees the backend's address, which the backend can't know, so it is left
+// unbound; it never leaves the backend and can't be submitted.
+function issueEngineTicket(server) {
+  const issuedAt = Date.now();
+
+  return signTicket({
+    ticketId: crypto.randomUUID(),
+    serverId: server.id,
+    clientIPs: null,
+    budget: TICKET_BUDGET,
+    issuedAt,
+    expiresAt: issuedAt + TICKET_TTL
+  }, signingSecret());
+}
+
+// Verify a submitted ticket and mark it used so the same run can't be saved twice.
+// A submission that couldn't be checked gives it back with releaseTicket.
+function redeemTicket(token) {
+  const { valid, payload, reason } = verifyTicket(token, signingSecret());
+  if (!valid) {
+    return { valid: false, reason };
+  }
+
+  const ticket = issuedTickets.get(payload.ticketId);
+  if (!ticket) {
+    return { valid: false, reason: 'Unknown ticket' };
+  }
+
+  if (ticket.redeemed) {
+    return { valid: false, reason: 'Ticket already used' };
+  }
+
+  ticket.redeemed = true;
+  return { valid: true, ticket };
+}
+
+function releaseTicket(ticket) {
+  ticket.redeemed = false;
+}
+
+// Time the node was moving payload for the ticket in one direction. Logs from
+// nodes without activeMs fall back to the first-to-last byte window, then to
+// the request window; both include gaps between requests.
+function serverActiveMs(logged) {
+  if (logged.activeMs > 0) return logged.activeMs;
+  if (logged.firstByteAt && logged.lastByteAt) return logged.lastByteAt - logged.firstByteAt;
+  return logged.firstStartedAt && logged.lastFinishedAt ? logged.lastFinishedAt - logged.firstStartedAt : 0;
+}
+
+async function fetchServerTransferLog(server, ticketId) {
+  try {
+    const response = await fetch(`${serverBaseUrl(server)}/api/tickets/${ticketId}/log`, {
+      signal: AbortSignal.timeout(5000)
+    });
+
+    if (!response.ok) {
+      return null;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.warn(`Could not fetch transfer log from ${server.id}:`, error.message);
+    return null;
+  }
+}
+
+// Compare what the browser says it moved with what the node logged for the ticket
+function crossCheckSubmission(submission, serverLog) {
+  if (!serverLog) {
+    return {
+      status: 'unverifiable',
+      checks: [{ name: 'server_log', passed: false, detail: 'No transfer log available for ticket' }]
+    };
+  }
+
+  const checks = [];
+  const mbps = (bytes, ms) => (ms > 0 ? (bytes * 8) / (ms * 1000) : 0);
+
+  for (const direction of ['download', 'upload']) {
+    const client = submission[direction] || {};
+    const logged = serverLog[direction] || {};
+    const clientBytes = Number(client.bytes) || 0;
+    const serverBytes = Number(logged.bytes) || 0;
+
+    // The node can't have sent less than the browser received (download), and the
+    // browser can't have sent much more than the node received (upload)
+    const ratio = serverBytes > 0 ? clientBytes / serverBytes : (clientBytes > 0 ? Infinity : 1);
+    const [minRatio, maxRatio] = direction === 'download' ? [0.5, 1.02] : [0.9, 1.1];
+    checks.push({
+      name: `${direction}_bytes`,
+      passed: ratio >= minRatio && ratio <= maxRatio,
+      detail: `client ${clientBytes} bytes, server ${serverBytes} bytes`
+    });
+
+    const clientRate = mbps(clientBytes, Number(client.durationMs) || 0);
+    const serverRate = mbps(serverBytes, serverActiveMs(logged));
+    checks.push({
+      name: `${direction}_rate`,
+      passed: serverRate > 0 && clientRate <= serverRate * (1 + RATE_TOLERANCE),
+      detail: `client ${clientRate.toFixed(2)} Mbps, server ${serverRate.toFixed(2)} Mbps`
+    });
+
+    // Clients that send X-Transfer-Id can have each transfer matched individually
+    if (Array.isArray(client.transfers) && client.transfers.length > 0) {
+      const accounting = reconcileTransfers(client.transfers.slice(0, 500), logged.transfers || []);
+      checks.push({
+        name: `${direction}_transfers`,
+        passed: accounting.status !== 'unavailable' && accounting.missing === 0 && accounting.byteMismatches === 0,
+        detail: `${accounting.transfers} transfers, ${accounting.missing} unknown to server, ${accounting.byteMismatches || 0} byte mismatches`
+      });
+    }
+  }
+
+  return {
+    status: checks.every(check => check.passed) ? 'verified' : 'mismatch',
+    checks
+  };
+}
+
+// Rates a client reports without byte counts (LibreSpeed telemetry) can only be
+// checked against the rate the node itself saw for the ticket
+function checkReportedRates(rates, serverLog) {
+  if (!serverLog) {
+    return {
+      status: 'unverifiable',
+      checks: [{ name: 'server_log', passed: false, detail: 'No transfer log available for ticket' }]
+    };
+  }
+
+  const checks = [];
+  for (const direction of ['download', 'upload']) {
+    const clientRate = Number(rates[direction]) || 0;
+    if (clientRate <= 0) continue;
+
+    const logged = serverLog[direction] || {};
+    const serverWindow = serverActiveMs(logged);
+    const serverRate = serverWindow > 0 ? ((Number(logged.bytes) || 0) * 8) / (serverWindow * 1000) : 0;
+    checks.push({
+      name: `${direction}_rate`,
+      passed: serverRate > 0 && clientRate <= serverRate * (1 + RATE_TOLERANCE),
+      detail: `client ${clientRate.toFixed(2)} Mbps, server ${serverRate.toFixed(2)} Mbps`
+    });
+  }
+
+  return {
+    status: checks.length > 0 && checks.every(check => check.passed) ? 'verified' : 'mismatch',
+    checks
+  };
+}
+
+// Drop tickets that can no longer be submitted
+setInterval(() => {
+  const now = Date.now();
+  for (const [ticketId, ticket] of issuedTickets.entries()) {
+    if (ticket.expiresAt < now) {
+      issuedTickets.delete(ticketId);
+    }
+  }
+}, 60 * 1000).unref();
+
+module.exports = {
+  checkTicketSecret,
+  issueTicket,
+  issueEngineTicket,
+  findDualStackTickets,
+  redeemTicket,
+  releaseTicket,
+  fetchServerTransferLog,
+  crossCheckSubmission,
+  checkReportedRates
+};
@@ -0,0 +1,209 @@
+// Test ticket checks and the per-ticket transfer log of the speed test endpoints,
+// shared by every place they are served from (see routes/speedTestServer).
+// Clients pass their ticket on every request, and the main backend reads the log
+// back to cross-check submitted samples. The log also tracks how much of the
+// ticket's byte budget has been reserved.
+
+const { decodeTicket, verifyTicket, getConfiguredTicketSecret } = require('../utils/testTicket');
+
+const TICKET_LOG_TTL = 10 * 60 * 1000; // 10 minutes
+const ticketLogs = new Map();
+
+// Shared with the main backend through configuration. Without it the node can't
+// check tickets, which is only acceptable for local development; the places that
+// serve the endpoints refuse to start without it in production (see
+// checkTicketConfiguration).
+const TICKET_SECRET = getConfiguredTicketSecret();
+
+const ticketsRequired = () => Boolean(TICKET_SECRET);
+
+/**
+ * Check the ticket secret before serving the endpoints
+ * @returns {Error|null} Error to fail startup with (production without a secret), otherwise null
+ */
+function checkTicketConfiguration() {
+  if (TICKET_SECRET) return null;
+
+  if (process.env.NODE_ENV === 'production') {
+    return new Error('TEST_TICKET_SECRET is required in production');
+  }
+  console.warn('⚠️ TEST_TICKET_SECRET not set, download and upload endpoints are unprotected');
+  return null;
+}
+
+// ndt7 clients only know M-Lab's access_token parameter
+function readTicket(req) {
+  return req.query.ticket || req.query.access_token || req.headers['x-test-ticket'];
+}
+
+function getTicketId(req) {
+  if (req.ticket) return req.ticket.ticketId;
+
+  const payload = decodeTicket(readTicket(req));
+  return payload?.ticketId || null;
+}
+
+function getTicketLog(ticketId) {
+  let log = ticketLogs.get(ticketId);
+  if (!log) {
+    log = { ticketId, createdAt: Date.now(), downloads: [], uploads: [], reserved: { download: 0, upload: 0 } };
+    ticketLogs.set(ticketId, log);
+  }
+  return log;
+}
+
+const findTicketLog = (ticketId) => ticketLogs.get(ticketId) || null;
+
+function recordTicketTransfer(req, transfer) {
+  const ticketId = getTicketId(req);
+  if (!ticketId) return;
+
+  const log = getTicketLog(ticketId);
+  const { transferId, bytes, completed, startedAt, firstByteAt, lastByteAt, finishedAt, host } = transfer.toJSON();
+  log[transfer.direction === 'download' ? 'downloads' : 'uploads'].push({
+    transferId, bytes, completed, startedAt, firstByteAt, lastByteAt, finishedAt, host
+  });
+  log.updatedAt = Date.now();
+}
+
+// Unsigned, forged, expired or foreign-address tickets are rejected. Returns the
+// rejection ({ status, error, details }) or null once req.ticket is set.
+function checkTestTicket(req) {
+  const token = readTicket(req);
+  if (!token) {
+    return { status: 401, error: 'Test ticket required' };
+  }
+
+  const { valid, payload, reason } = verifyTicket(token, TICKET_SECRET, { clientIP: req.ip });
+  if (!valid) {
+    return { status: 403, error: 'Invalid test ticket', details: reason };
+  }
+
+  req.ticket = payload;
+  return null;
+}
+
+function requireTestTicket(req, res, next) {
+  if (!TICKET_SECRET || req.method === 'OPTIONS') return next();
+
+  const rejection = checkTestTicket(req);
+  if (rejection) {
+    const { status, ...body } = rejection;
+    return res.status(status).json(body);
+  }
+  next();
+}
+
+// Reserve bytes against the ticket's budget before the transfer starts, so a
+// single oversized request is refused up front rather than cut off midway.
+// Returns the remaining budget, or null when the request doesn't fit.
+function reserveTicketBytes(req, direction, bytes) {
+  if (!req.ticket) return Infinity;
+
+  const log = getTicketLog(req.ticket.ticketId);
+  const budget = Number(req.ticket.budget?.[`${direction}Bytes`]) || 0;
+  if (log.reserved[direction] + bytes > budget) {
+    return null;
+  }
+
+  log.reserved[direction] += bytes;
+  log.updatedAt = Date.now();
+  return budget - log.reserved[direction];
+}
+
+// Streams without a declared length (ndt7) hold whatever is left of the budget
+// and give back the unused part when they end
+function reserveRemainingTicketBytes(req, direction) {
+  if (!req.ticket) return Infinity;
+
+  const log = getTicketLog(req.ticket.ticketId);
+  const budget = Number(req.ticket.budget?.[`${direction}Bytes`]) || 0;
+  const remaining = Math.max(0, budget - log.reserved[direction]);
+  log.reserved[direction] += remaining;
+  log.updatedAt = Date.now();
+  return remaining;
+}
+
+// Give back the part of a download reservation that was never sent
+function releaseTicketBytes(req, direction, bytes) {
+  if (!req.ticket || bytes <= 0) return;
+
+  const log = ticketLogs.get(req.ticket.ticketId);
+  if (log) {
+    log.reserved[direction] = Math.max(0, log.reserved[direction] - bytes);
+  }
+}
+
+// Uploads are charged at their declared length, so chunked bodies are refused
+function reserveUploadBudget(req, res, next) {
+  if (!req.ticket || req.method !== 'POST') return next();
+
+  const declared = parseInt(req.headers['content-length'], 10);
+  if (!Number.isFinite(declared)) {
+    return res.status(411).json({ error: 'Content-Length required for ticketed uploads' });
+  }
+
+  if (reserveTicketBytes(req, 'upload', declared) === null) {
+    return res.status(403).json({ error: 'Ticket upload budget exceeded' });
+  }
+  next();
+}
+
+// Time during which at least one transfer was moving payload: the union of the
+// transfers' first-to-last byte spans, so idle gaps between requests don't count
+// and parallel transfers aren't counted twice
+function activeTransferMs(moved) {
+  const spans = moved.map(t => [t.firstByteAt, t.lastByteAt]).sort((a, b) => a[0] - b[0]);
+  let total = 0;
+  let current = null;
+  for (const [start, end] of spans) {
+    if (current && start <= current[1]) {
+      current[1] = Math.max(current[1], end);
+      continue;
+    }
+    if (current) total += current[1] - current[0];
+    current = [start, end];
+  }
+  return current ? total + current[1] - current[0] : 0;
+}
+
+// Totals, byte-time window and active time of a ticket's transfers in one
+// direction, and the limits the node hit during any of them (see services/hostTelemetry)
+function summarizeTransfers(transfers, withTransfers = true) {
+  const moved = transfers.filter(t => t.firstByteAt !== null);
+  const summary = {
+    count: transfers.length,
+    bytes: transfers.reduce((sum, t) => sum + t.bytes, 0),
+    firstStartedAt: transfers.length ? Math.min(...transfers.map(t => t.startedAt)) : null,
+    lastFinishedAt: transfers.length ? Math.max(...transfers.map(t => t.finishedAt)) : null,
+    firstByteAt: moved.length ? Math.min(...moved.map(t => t.firstByteAt)) : null,
+    lastByteAt: moved.length ? Math.max(...moved.map(t => t.lastByteAt)) : null,
+    activeMs: activeTransferMs(moved),
+    saturation: [...new Set(transfers.flatMap(t => t.host?.saturation || []))]
+  };
+  if (withTransfers) summary.transfers = transfers;
+  return summary;
+}
+
+setInterval(() => {
+  const cutoff = Date.now() - TICKET_LOG_TTL;
+  for (const [ticketId, log] of ticketLogs.entries()) {
+    if ((log.updatedAt || log.createdAt) < cutoff) {
+      ticketLogs.delete(ticketId);
+    }
+  }
+}, 60 * 1000).unref();
+
+module.exports = {
+  ticketsRequired,
+  checkTicketConfiguration,
+  findTicketLog,
+  recordTicketTransfer,
+  checkTestTicket,
+  requireTestTicket,
+  reserveTicketBytes,
+  reserveRemainingTicketBytes,
+  releaseTicketBytes,
+  reserveUploadBudget,
+  summarizeTransfers
+};
@@ -0,0 +1,176 @@
+// Per-transfer accounting on the speed test node.
+// Every download and upload gets a record of the payload bytes actually written
+// or read, first and last byte times and socket stats, under a transfer ID the
+// client can look up afterwards with the ticket it ran under (GET
+// /api/transfers/:transferId). Clients may
+// choose the ID (X-Transfer-Id header or ?transferId=) so that transfers they
+// abort can still be matched; otherwise one is generated and returned in the
+// X-Transfer-Id response header.
+//
+// Times are epoch milliseconds with sub-millisecond precision. A download's last
+// byte is when the final chunk was handed to the kernel, so short transfers read
+// slightly fast from this side; the client's view of the same bytes ends later.
+//
+// Finished records carry the node's host telemetry over the transfer (see
+// services/hostTelemetry), with `host.saturated` set when the node hit a limit.
+
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
+const { watchHost } = require('./hostTelemetry');
+
+const TRANSFER_TTL = 10 * 60 * 1000; // 10 minutes
+const MAX_LOOKUP_IDS = 200;
+const TRANSFER_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+const transfers = new Map();
+
+const preciseNow = () => performance.timeOrigin + performance.now();
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+class TransferRecord {
+  constructor(req, direction, expectedBytes) {
+    const requestedId = req.headers['x-transfer-id'] || req.query.transferId;
+    const socket = req.socket;
+
+    this.transferId = TRANSFER_ID_PATTERN.test(requestedId || '') && !transfers.has(requestedId)
+      ? requestedId
+      : crypto.randomUUID();
+    this.direction = direction;
+    this.ticketId = req.ticket?.ticketId || null;
+    this.expectedBytes = Number.isFinite(expectedBytes) ? expectedBytes : null;
+    this.bytes = 0;
+    this.startedAt = preciseNow();
+    this.firstByteAt = null;
+    this.lastByteAt = null;
+    this.finishedAt = null;
+    this.completed = false;
+    this.hostWatch = watchHost();
+    this.host = null;
+
+    // Socket counters cover every request on a kept-alive connection, so counting
+    // starts where the previous transfer on the socket ended. Reading them now would
+    // miss body bytes that arrived in the same read as the request headers.
+    socket.netpulseRequests = (socket.netpulseRequests || 0) + 1;
+    this.socketRef = socket;
+    this.socketStart = socket.netpulseCounters || { bytesRead: 0, bytesWritten: 0 };
+    // The peer address stays out of the record: the client knows its own, and
+    // anyone else reading it must not learn it
+    this.socketStats = {
+      localPort: socket.localPort,
+      reusedConnection: socket.netpulseRequests > 1,
+      writeStalls: 0,   // Writes that filled the socket buffer (download backpressure)
+      stalledMs: 0      // Time spent waiting for those buffers to drain
+    };
+  }
+
+  addBytes(count) {
+    const now = preciseNow();
+    if (this.firstByteAt === null) this.firstByteAt = now;
+    this.lastByteAt = now;
+    this.bytes += count;
+  }
+
+  addStall(durationMs) {
+    this.socketStats.writeStalls++;
+    this.socketStats.stalledMs += durationMs;
+  }
+
+  // `lastByteAt` overrides the last recorded byte time, e.g. when a response is flushed
+  finish({ completed, lastByteAt } = {}) {
+    if (this.finishedAt !== null) return;
+
+    this.finishedAt = preciseNow();
+    this.completed = Boolean(completed);
+    if (lastByteAt && this.bytes > 0) this.lastByteAt = lastByteAt;
+
+    const socket = this.socketRef;
+    this.socketStats.wireBytesRead = socket.bytesRead - this.socketStart.bytesRead;
+    this.socketStats.wireBytesWritten = socket.bytesWritten - this.socketStart.bytesWritten;
+    socket.netpulseCounters = { bytesRead: socket.bytesRead, bytesWritten: socket.bytesWritten };
+    this.socketRef = null;
+    this.host = this.hostWatch.end();
+  }
+
+  toJSON() {
+    const durationMs = this.firstByteAt !== null ? this.lastByteAt - this.firstByteAt : null;
+
+    return {
+      transferId: this.transferId,
+      direction: this.direction,
+      ticketId: this.ticketId,
+      bytes: this.bytes,
+      expectedBytes: this.expectedBytes,
+      completed: this.completed,
+      inProgress: this.finishedAt === null,
+      startedAt: round(this.startedAt),
+      firstByteAt: round(this.firstByteAt),
+      lastByteAt: round(this.lastByteAt),
+      finishedAt: round(this.finishedAt),
+      durationMs: round(durationMs),
+      mbps: durationMs > 0 ? round((this.bytes * 8) / (durationMs * 1000)) : null,
+      socket: { ...this.socketStats, stalledMs: round(this.socketStats.stalledMs) },
+      host: this.host
+    };
+  }
+}
+
+// Create a record and return its ID to the client before any payload moves.
+// WebSocket transfers have no response to carry the header (`res` is null) and
+// hand the ID to the client themselves.
+function startTransfer(req, res, direction, expectedBytes) {
+  const transfer = new TransferRecord(req, direction, expectedBytes);
+  transfers.set(transfer.transferId, transfer);
+  if (res) res.set('X-Transfer-Id', transfer.transferId);
+  return transfer;
+}
+
+// With a ticketId, only a transfer that ran under that ticket is returned
+function getTransfer(transferId, ticketId) {
+  const transfer = transfers.get(transferId);
+  if (!transfer || (ticketId !== undefined && transfer.ticketId !== ticketId)) return null;
+  return transfer.toJSON();
+}
+
+// Several records at once; unknown IDs are listed rather than failing the lookup
+function getTransfers(transferIds, ticketId) {
+  const found = [];
+  const missing = [];
+
+  transferIds.slice(0, MAX_LOOKUP_IDS).forEach(transferId => {
+    const transfer = getTransfer(transferId, ticketId);
+    if (transfer) {
+      found.push(transfer);
+    } else {
+      missing.push(transferId);
+    }
+  });
+
+  return { transfers: found, missing };
+}
+
+function activeTransferCount() {
+  let active = 0;
+  transfers.forEach(transfer => {
+    if (transfer.finishedAt === null) active++;
+  });
+  return active;
+}
+
+setInterval(() => {
+  const cutoff = preciseNow() - TRANSFER_TTL;
+  for (const [transferId, transfer] of transfers.entries()) {
+    if ((transfer.finishedAt ?? transfer.startedAt) < cutoff) {
+      transfer.hostWatch.end();
+      transfers.delete(transferId);
+    }
+  }
+}, 60 * 1000).unref();
+
+module.exports = {
+  MAX_LOOKUP_IDS,
+  preciseNow,
+  startTransfer,
+  getTransfer,
+  getTransfers,
+  activeTransferCount
+};
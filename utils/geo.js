@@ -0,0 +1,39 @@
+// utils/geo.js
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle distance between two coordinates using the haversine formula
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lng1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lng2 - Longitude of the second point
+ * @returns {number} Distance in kilometres
+ */
+function haversineDistance(lat1, lng1, lat2, lng2) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Check that a location carries usable coordinates
+ * @param {Object} location - Object with lat/lng fields
+ * @returns {boolean} True when both coordinates are finite numbers
+ */
+function hasCoordinates(location) {
+  return Boolean(location) &&
+    Number.isFinite(Number(location.lat)) &&
+    Number.isFinite(Number(location.lng)) &&
+    !(Number(location.lat) === 0 && Number(location.lng) === 0);
+}
+
+module.exports = {
+  haversineDistance,
+  hasCoordinates
+};
@@ -0,0 +1,109 @@
+// utils/requestTiming.js
+
+const http = require('http');
+const https = require('https');
+const { performance } = require('perf_hooks');
+
+const PHASES = ['dns', 'tcp', 'tls', 'ttfb', 'transfer'];
+
+/**
+ * Make a request on a fresh connection and split its duration into phases
+ * using the socket's lookup/connect/secureConnect events
+ * @param {string} url - Absolute http(s) URL
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @param {number} [options.timeoutMs=5000] - Socket inactivity timeout
+ * @returns {Promise<Object>} Phase durations in ms ({ dns, tcp, tls, ttfb, transfer, total }),
+ *   plus statusCode and bytes. `tls` is null for plain http and `dns` is 0 for IP literals.
+ */
+function timeRequest(url, { signal, timeoutMs = 5000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const secure = target.protocol === 'https:';
+    const transport = secure ? https : http;
+    const marks = { start: performance.now() };
+
+    // agent: false gives every probe its own socket, so no phase is skipped by keep-alive
+    const req = transport.request(target, { agent: false, signal, timeout: timeoutMs }, (res) => {
+      marks.firstByte = performance.now();
+      let bytes = 0;
+
+      res.on('data', (chunk) => { bytes += chunk.length; });
+      res.on('end', () => {
+        marks.end = performance.now();
+        resolve({ ...phasesFromMarks(marks, secure), statusCode: res.statusCode, bytes });
+      });
+      res.on('error', reject);
+    });
+
+    req.on('socket', (socket) => {
+      socket.once('lookup', () => { marks.lookup = performance.now(); });
+      socket.once('connect', () => { marks.connect = performance.now(); });
+      socket.once('secureConnect', () => { marks.secureConnect = performance.now(); });
+    });
+    req.on('timeout', () => req.destroy(new Error(`Request timed out after ${timeoutMs}ms`)));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+/**
+ * Convert raw timestamps into phase durations
+ * @param {Object} marks - performance.now() timestamps for each socket event
+ * @param {boolean} secure - Whether a TLS handshake took place
+ * @returns {Object} Phase durations in ms
+ */
+function phasesFromMarks(marks, secure) {
+  const round = (value) => Math.round(value * 100) / 100;
+  const lookupEnd = marks.lookup || marks.start;
+  const connectEnd = marks.connect || lookupEnd;
+  const handshakeEnd = secure && marks.secureConnect ? marks.secureConnect : connectEnd;
+
+  return {
+    dns: round(lookupEnd - marks.start),
+    tcp: round(connectEnd - lookupEnd),
+    tls: secure ? round(handshakeEnd - connectEnd) : null,
+    ttfb: round(marks.firstByte - handshakeEnd),
+    transfer: round(marks.end - marks.firstByte),
+    total: round(marks.end - marks.start)
+  };
+}
+
+/**
+ * Summarise phase timings across probes
+ * @param {Object[]} samples - Results from timeRequest
+ * @returns {Object|null} Per-phase { avg, median, p95 }, the total, the sample count
+ *   and the `bottleneck` phase with the largest median (excluding transfer)
+ */
+function summarizePhaseTimings(samples) {
+  if (!samples || samples.length === 0) return null;
+
+  const summary = { samples: samples.length };
+
+  for (const phase of [...PHASES, 'total']) {
+    const values = samples
+      .map(sample => sample[phase])
+      .filter(value => typeof value === 'number')
+      .sort((a, b) => a - b);
+
+    summary[phase] = values.length > 0 ? {
+      avg: Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 100) / 100,
+      median: values[Math.floor(values.length / 2)],
+      p95: values[Math.min(values.length - 1, Math.floor(values.length * 0.95))]
+    } : null;
+  }
+
+  // Transfer is bandwidth, not setup cost, so it never counts as the bottleneck
+  summary.bottleneck = ['dns', 'tcp', 'tls', 'ttfb']
+    .filter(phase => summary[phase])
+    .reduce((worst, phase) =>
+      !worst || summary[phase].median > summary[worst].median ? phase : worst, null);
+
+  return summary;
+}
+
+module.exports = {
+  PHASES,
+  timeRequest,
+  summarizePhaseTimings
+};
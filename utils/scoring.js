@@ -109,7 +109,172 @@ function calculateSpeedConsistency(speeds) {
   }
 }
 
+// Thresholds per use case as [great, good, okay]. Throughput metrics are
+// minimums (Mbps), the rest are maximums (ms or %). A metric that misses
+// "okay" rates the use case as poor. Without every `required` metric the use
+// case can't be rated at all.
+const USE_CASE_REQUIREMENTS = {
+  streaming4k: {
+    label: '4K streaming',
+    required: ['download'],
+    download: [50, 35, 25],
+    latency: [150, 250, 400],
+    packetLoss: [1, 2, 5]
+  },
+  videoCalls: {
+    label: 'Video calls',
+    required: ['download', 'upload', 'latency'],
+    download: [10, 4, 1.5],
+    upload: [5, 3, 1.5],
+    latency: [50, 100, 150],
+    jitter: [10, 20, 30],
+    packetLoss: [0.5, 1, 3],
+    loadedLatency: [100, 150, 250]
+  },
+  competitiveGaming: {
+    label: 'Competitive gaming',
+    required: ['download', 'latency'],
+    download: [25, 10, 3],
+    upload: [5, 3, 1],
+    latency: [20, 40, 70],
+    jitter: [5, 10, 20],
+    packetLoss: [0.1, 0.5, 1],
+    loadedLatency: [30, 60, 100]
+  },
+  browsing: {
+    label: 'Web browsing',
+    required: ['download'],
+    download: [50, 25, 10],
+    latency: [30, 60, 120],
+    packetLoss: [1, 2, 5]
+  }
+};
+
+const HIGHER_IS_BETTER = ['download', 'upload'];
+const EXPERIENCE_RATINGS = ['great', 'good', 'okay', 'poor'];
+
+/**
+ * Score one metric against its [great, good, okay] thresholds
+ * @param {string} metric - Metric name
+ * @param {number} value - Measured value
+ * @param {Array} thresholds - [great, good, okay]
+ * @returns {number} Score (0-100): 100 at great, 75 at good, 50 at okay, 0 at twice as bad as okay
+ */
+function scoreMetric(metric, value, [great, good, okay]) {
+  const interpolate = (from, to, scoreFrom, scoreTo) =>
+    scoreFrom + (scoreTo - scoreFrom) * (value - from) / (to - from);
+
+  if (HIGHER_IS_BETTER.includes(metric)) {
+    if (value >= great) return 100;
+    if (value >= good) return interpolate(good, great, 75, 100);
+    if (value >= okay) return interpolate(okay, good, 50, 75);
+    return Math.max(0, 50 * value / okay);
+  }
+
+  if (value <= great) return 100;
+  if (value <= good) return interpolate(good, great, 75, 100);
+  if (value <= okay) return interpolate(okay, good, 50, 75);
+  return Math.max(0, interpolate(okay, okay * 2, 50, 0));
+}
+
+const isMeasured = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Rate how well the connection handles common applications
+ * @param {Object} metrics - { download, upload, latency, jitter, packetLoss, loadedLatency };
+ *   missing optional metrics are skipped
+ * @returns {Object} Per use case { label, score (0-100), rating, limitedBy }, or with a null score
+ *   and rating plus `unmeasured` when required metrics are missing; plus `voip` (E-model MOS,
+ *   null without a latency measurement)
+ */
+function calculateExperienceScores(metrics) {
+  const experience = {};
+
+  for (const [useCase, { label, required, ...thresholdsByMetric }] of Object.entries(USE_CASE_REQUIREMENTS)) {
+    const unmeasured = required.filter(metric => !isMeasured(metrics[metric]));
+    if (unmeasured.length > 0) {
+      experience[useCase] = { label, score: null, rating: null, limitedBy: null, unmeasured };
+      continue;
+    }
+
+    let score = 100;
+    let worstTier = 0;
+    let limitedBy = null;
+
+    for (const [metric, thresholds] of Object.entries(thresholdsByMetric)) {
+      const value = metrics[metric];
+      if (!isMeasured(value)) continue;
+
+      const metricScore = scoreMetric(metric, value, thresholds);
+      const tier = thresholds.findIndex(threshold =>
+        HIGHER_IS_BETTER.includes(metric) ? value >= threshold : value <= threshold);
+
+      worstTier = Math.max(worstTier, tier === -1 ? 3 : tier);
+      if (metricScore < score) {
+        score = metricScore;
+        limitedBy = metric;
+      }
+    }
+
+    experience[useCase] = {
+      label,
+      score: Math.round(score * 100) / 100,
+      rating: EXPERIENCE_RATINGS[worstTier],
+      limitedBy: score < 100 ? limitedBy : null
+    };
+  }
+
+  experience.voip = isMeasured(metrics.latency) ? estimateVoipMos(metrics) : null;
+  return experience;
+}
+
+/**
+ * Estimate VoIP call quality with the ITU-T G.107 E-model (G.711 with packet
+ * loss concealment, using the Cole & Rosenbluth delay impairment)
+ * @param {Object} metrics - { latency (RTT ms), jitter (ms), packetLoss (%) }
+ * @returns {Object} { rFactor, mos (1-4.5), rating }
+ */
+function estimateVoipMos({ latency = 0, jitter = 0, packetLoss = 0 }) {
+  const R0 = 93.2;          // Default basic signal-to-noise ratio less simultaneous impairments
+  const CODEC_DELAY = 20;   // Packetisation delay (ms)
+  const BPL = 25.1;         // G.711 packet-loss robustness with PLC
+  const BURST_R = 1;        // Random (non-bursty) loss
+
+  // One-way mouth-to-ear delay: half the RTT plus a jitter buffer of twice the jitter
+  const oneWayDelay = (latency || 0) / 2 + 2 * (jitter || 0) + CODEC_DELAY;
+  const delayImpairment = 0.024 * oneWayDelay +
+    (oneWayDelay > 177.3 ? 0.11 * (oneWayDelay - 177.3) : 0);
+
+  const loss = Math.min(100, Math.max(0, packetLoss || 0));
+  const equipmentImpairment = 95 * loss / (loss / BURST_R + BPL);
+
+  const rFactor = R0 - delayImpairment - equipmentImpairment;
+
+  let mos;
+  if (rFactor <= 0) {
+    mos = 1;
+  } else if (rFactor >= 100) {
+    mos = 4.5;
+  } else {
+    mos = 1 + 0.035 * rFactor + rFactor * (rFactor - 60) * (100 - rFactor) * 7e-6;
+  }
+
+  let rating = 'poor';
+  if (mos >= 4.3) rating = 'great';
+  else if (mos >= 4.0) rating = 'good';
+  else if (mos >= 3.6) rating = 'okay';
+
+  return {
+    rFactor: Math.round(rFactor * 100) / 100,
+    mos: Math.round(mos * 100) / 100,
+    rating
+  };
+}
+
 module.exports = {
+  USE_CASE_REQUIREMENTS,
+  calculateExperienceScores,
+  estimateVoipMos,
   calculateQualityScore,
   getQualityGrade,
   calculateReliabilityScore,
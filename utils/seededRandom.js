@@ -0,0 +1,60 @@
+// utils/seededRandom.js
+
+/**
+ * Hash a seed of any type into a 32-bit integer (cyrb53-style mixing)
+ * @param {string|number} seed - Seed value
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashSeed(seed) {
+  const str = String(seed);
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  return (h1 ^ h2) >>> 0;
+}
+
+/**
+ * Create a repeatable pseudo-random generator (mulberry32)
+ * @param {string|number} seed - Seed value; the same seed yields the same sequence
+ * @returns {Object} Generator with next(), between(), normal() and chance()
+ */
+function createSeededRandom(seed) {
+  let state = hashSeed(seed);
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Box-Muller transform
+  const normal = (mean = 0, stdDev = 1) => {
+    const u = Math.max(next(), Number.EPSILON);
+    const v = next();
+    return mean + stdDev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  };
+
+  return {
+    seed,
+    next,
+    normal,
+    between: (min, max) => min + next() * (max - min),
+    chance: (probability) => next() < probability
+  };
+}
+
+module.exports = {
+  hashSeed,
+  createSeededRandom
+};
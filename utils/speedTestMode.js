@@ -0,0 +1,36 @@
+// utils/speedTestMode.js
+
+// How the main API serves speed tests: 'embedded' mounts the measurement
+// endpoints under /speedtest, 'standalone' leaves them to separate nodes
+// (server-speedtest.js), 'both' does the first and also runs a node in-process
+const SPEEDTEST_MODES = ['embedded', 'standalone', 'both'];
+const DEFAULT_SPEEDTEST_MODE = 'standalone';
+
+/**
+ * Read the speed test mode from SPEEDTEST_MODE
+ * @returns {string} One of SPEEDTEST_MODES, the default when unset or unknown
+ */
+function getSpeedTestMode() {
+  const configured = process.env.SPEEDTEST_MODE;
+  if (!configured) return DEFAULT_SPEEDTEST_MODE;
+
+  const mode = configured.trim().toLowerCase();
+  if (!SPEEDTEST_MODES.includes(mode)) {
+    console.warn(`⚠️ Unknown SPEEDTEST_MODE "${configured}", using ${DEFAULT_SPEEDTEST_MODE}`);
+    return DEFAULT_SPEEDTEST_MODE;
+  }
+  return mode;
+}
+
+/**
+ * Whether the main API mounts the measurement endpoints itself
+ * @param {string} mode - One of SPEEDTEST_MODES
+ * @returns {boolean} True for 'embedded' and 'both'
+ */
+const servesEmbedded = (mode) => mode === 'embedded' || mode === 'both';
+
+module.exports = {
+  SPEEDTEST_MODES,
+  getSpeedTestMode,
+  servesEmbedded
+};
@@ -0,0 +1,133 @@
+// utils/testTicket.js
+
+const crypto = require('crypto');
+const net = require('net');
+
+/**
+ * Sign a test ticket payload with HMAC-SHA256
+ * @param {Object} payload - Ticket claims (ticketId, expiresAt, ...)
+ * @param {string} secret - Shared signing secret
+ * @returns {string} Token in the form base64url(payload).base64url(signature)
+ */
+function signTicket(payload, secret) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+/**
+ * Read the claims of a ticket without checking its signature
+ * @param {string} token - Signed ticket
+ * @returns {Object|null} Decoded payload, or null if the token is malformed
+ */
+function decodeTicket(token) {
+  try {
+    const [body] = String(token || '').split('.');
+    if (!body) return null;
+    return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Signing secret shared by the main backend and the speed test nodes
+ * @returns {string|null} TEST_TICKET_SECRET, null if not set
+ */
+function getConfiguredTicketSecret() {
+  return process.env.TEST_TICKET_SECRET || null;
+}
+
+/**
+ * Key for node-to-backend messages, derived from the ticket secret so that a
+ * client ticket can never pass as a node message (or the reverse)
+ * @param {string} secret - Shared signing secret
+ * @returns {string} Hex HMAC of the secret under a node-only label
+ */
+function deriveNodeKey(secret) {
+  return crypto.createHmac('sha256', secret).update('netpulse-node-message').digest('hex');
+}
+
+/**
+ * Normalize a client address for ticket binding
+ * @param {string} ip - Address as seen by Express
+ * @returns {string} Address with IPv4-mapped and loopback IPv6 forms folded to IPv4
+ */
+function normalizeTicketIP(ip) {
+  const address = String(ip || '').split(',')[0].trim();
+  if (address === '::1') return '127.0.0.1';
+  return address.startsWith('::ffff:') && address.includes('.') ? address.slice(7) : address;
+}
+
+/**
+ * Address family of a client address, after normalization
+ * @param {string} ip - Address as seen by Express
+ * @returns {string} 'ipv6' or 'ipv4'
+ */
+function addressFamily(ip) {
+  return net.isIPv6(normalizeTicketIP(ip)) ? 'ipv6' : 'ipv4';
+}
+
+/**
+ * Client addresses a ticket is bound to, keyed by family
+ * @param {string} ip - Address the ticket request came from
+ * @returns {Object} { ipv4 } or { ipv6 }; the other family stays unbound and is refused
+ */
+function ticketAddresses(ip) {
+  return { [addressFamily(ip)]: normalizeTicketIP(ip) };
+}
+
+/**
+ * Verify a ticket's signature, expiry and, when given, the client address it is bound to.
+ * A bound ticket is only good from its address in the request's family, so a ticket
+ * issued to an IPv4 client can't be used over IPv6 (or the reverse).
+ * @param {string} token - Signed ticket
+ * @param {string} secret - Shared signing secret
+ * @param {Object} [options] - { clientIP } address the request came from
+ * @returns {Object} { valid, payload, reason }
+ */
+function verifyTicket(token, secret, options = {}) {
+  const [body, signature] = String(token || '').split('.');
+  if (!body || !signature) {
+    return { valid: false, payload: null, reason: 'Malformed ticket' };
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(body).digest();
+  const provided = Buffer.from(signature, 'base64url');
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return { valid: false, payload: null, reason: 'Invalid signature' };
+  }
+
+  const payload = decodeTicket(token);
+  if (!payload) {
+    return { valid: false, payload: null, reason: 'Malformed ticket' };
+  }
+
+  if (payload.expiresAt && Date.now() > payload.expiresAt) {
+    return { valid: false, payload, reason: 'Ticket expired' };
+  }
+
+  if (options.clientIP && payload.clientIPs) {
+    const family = addressFamily(options.clientIP);
+    const issuedTo = payload.clientIPs[family];
+    if (!issuedTo) {
+      return { valid: false, payload, reason: `Ticket not issued for ${family === 'ipv6' ? 'IPv6' : 'IPv4'}` };
+    }
+    if (normalizeTicketIP(issuedTo) !== normalizeTicketIP(options.clientIP)) {
+      return { valid: false, payload, reason: 'Ticket issued to another address' };
+    }
+  }
+
+  return { valid: true, payload, reason: null };
+}
+
+module.exports = {
+  signTicket,
+  decodeTicket,
+  verifyTicket,
+  getConfiguredTicketSecret,
+  deriveNodeKey,
+  normalizeTicketIP,
+  addressFamily,
+  ticketAddresses
+};
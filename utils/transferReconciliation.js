@@ -0,0 +1,97 @@
+// utils/transferReconciliation.js
+
+const DEFAULT_TOLERANCE = 0.25; // Rates may differ by 25% before a run is flagged
+
+const toMbps = (bytes, ms) => (ms > 0 ? (bytes * 8) / (ms * 1000) : 0);
+const round = (value) => Math.round(value * 100) / 100;
+
+// Share of a transfer's bytes that moved between `from` and `to`, taking the
+// rate as even from its first to its last byte
+function bytesInWindow(transfer, from, to) {
+  const first = transfer.firstByteAt;
+  const last = transfer.lastByteAt;
+  const bytes = Number(transfer.bytes) || 0;
+  if (first === null || first === undefined || last === null || last === undefined) return 0;
+  if (last <= first) return first >= from && first <= to ? bytes : 0;
+
+  const overlap = Math.min(last, to) - Math.max(first, from);
+  return overlap > 0 ? bytes * (overlap / (last - first)) : 0;
+}
+
+/**
+ * Reconcile a client's view of its transfers with the speed test node's records
+ * @param {Array} clientTransfers - [{ transferId, bytes, completed }] as the client counted them
+ * @param {Array} serverTransfers - Records from the node's /api/transfers lookup
+ * @param {Object} [options] - { clientDurationMs, clientMbps, skipMs, tolerance }.
+ *   clientMbps is the rate the client published (otherwise its bytes over
+ *   clientDurationMs); skipMs drops the same lead-in (slow start) from the server's
+ *   side, timed from its own first byte so the two clocks never meet
+ * @returns {Object} Byte totals and rates on both sides, the relative rate deviation,
+ *   transfers unknown to the node or with mismatched byte counts, the limits the node
+ *   hit during them (hostSaturation) and a status of 'consistent', 'disagreement' or
+ *   'unavailable'
+ */
+function reconcileTransfers(clientTransfers, serverTransfers, options = {}) {
+  const tolerance = options.tolerance ?? DEFAULT_TOLERANCE;
+  const client = (clientTransfers || []).filter(transfer => transfer && transfer.transferId);
+  const server = serverTransfers || [];
+  const serverById = new Map(server.map(transfer => [transfer.transferId, transfer]));
+
+  const clientBytes = client.reduce((sum, transfer) => sum + (Number(transfer.bytes) || 0), 0);
+  const serverBytes = server.reduce((sum, transfer) => sum + (Number(transfer.bytes) || 0), 0);
+
+  if (client.length === 0 || server.length === 0) {
+    return {
+      status: 'unavailable',
+      transfers: client.length,
+      clientBytes,
+      serverBytes,
+      missing: client.length
+    };
+  }
+
+  const missing = client.filter(transfer => !serverById.has(transfer.transferId));
+
+  // A transfer both sides saw through to the end must agree to the byte
+  const byteMismatches = client.filter(transfer => {
+    const record = serverById.get(transfer.transferId);
+    return record && transfer.completed && record.completed && Number(transfer.bytes) !== record.bytes;
+  });
+
+  // Server rate over the span from its first to its last payload byte, less the
+  // lead-in the client left out of its published rate
+  const moved = server.filter(transfer => transfer.firstByteAt !== null && transfer.firstByteAt !== undefined);
+  const skipMs = Math.max(0, Number(options.skipMs) || 0);
+  const windowStart = moved.length > 0 ? Math.min(...moved.map(transfer => transfer.firstByteAt)) + skipMs : 0;
+  const windowEnd = moved.length > 0 ? Math.max(...moved.map(transfer => transfer.lastByteAt)) : 0;
+  const windowBytes = skipMs > 0
+    ? moved.reduce((sum, transfer) => sum + bytesInWindow(transfer, windowStart, windowEnd), 0)
+    : serverBytes;
+  const serverMbps = toMbps(windowBytes, windowEnd - windowStart);
+  const clientMbps = Number.isFinite(options.clientMbps)
+    ? options.clientMbps
+    : toMbps(clientBytes, Number(options.clientDurationMs) || 0);
+  const deviation = serverMbps > 0 ? Math.abs(clientMbps - serverMbps) / serverMbps : null;
+
+  const disagrees = missing.length > 0 ||
+    byteMismatches.length > 0 ||
+    (deviation !== null && clientMbps > 0 && deviation > tolerance);
+
+  return {
+    status: disagrees ? 'disagreement' : 'consistent',
+    transfers: client.length,
+    clientBytes,
+    serverBytes,
+    clientMbps: round(clientMbps),
+    serverMbps: round(serverMbps),
+    deviation: deviation !== null ? round(deviation) : null,
+    missing: missing.length,
+    byteMismatches: byteMismatches.length,
+    hostSaturation: [...new Set(server.flatMap(transfer => transfer.host?.saturation || []))]
+  };
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE,
+  reconcileTransfers
+};